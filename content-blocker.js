@@ -0,0 +1,373 @@
+/**
+ * Zy Browser - Content Blocker Engine
+ *
+ * Parses Adblock Plus / uBlock Origin filter lists and matches requests
+ * against them. Used by the main process (see CONTENT BLOCKER in main.js);
+ * this module has no Electron dependencies.
+ *
+ * Supported syntax:
+ * - Network rules: ||host^, |anchors|, * wildcards, ^ separators, /regex/
+ * - Options: $third-party (3p), $first-party (1p), $domain=a.com|~b.com,
+ *   resource types ($script, $image, $stylesheet, $xmlhttprequest, ...),
+ *   $important, $match-case
+ * - Exception rules (@@), including @@...$document to allowlist a page
+ * - Cosmetic rules: ##selector, domain.com##selector, domain.com#@#selector
+ *
+ * Rules using anything else (e.g. $redirect, scriptlets) are skipped.
+ */
+
+// Filter option -> Electron resourceType(s)
+const RESOURCE_TYPES = {
+    script: ['script'],
+    image: ['image'],
+    stylesheet: ['stylesheet'],
+    css: ['stylesheet'],
+    xmlhttprequest: ['xhr'],
+    xhr: ['xhr'],
+    subdocument: ['subFrame'],
+    frame: ['subFrame'],
+    font: ['font'],
+    media: ['media'],
+    object: ['object'],
+    ping: ['ping'],
+    websocket: ['webSocket'],
+    other: ['other']
+};
+
+// Options that don't change matching here
+const IGNORED_OPTIONS = ['match-case', 'important', 'document', 'elemhide', 'generichide'];
+
+// Tokens too common to be useful as index keys
+const COMMON_TOKENS = new Set(['http', 'https', 'www', 'com', 'net', 'org', 'js']);
+
+// Second-level suffixes under which sites register a third-level domain
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+    'or.jp', 'co.kr', 'com.br', 'com.cn', 'com.mx', 'com.tr', 'co.in', 'co.za', 'com.sg', 'com.hk',
+    'github.io', 'blogspot.com', 'herokuapp.com', 'appspot.com', 'cloudfront.net'
+]);
+
+// URL tokens: runs of letters, digits and %
+const TOKEN_PATTERN = /[a-z0-9%]{2,}/g;
+
+// Bucket for rules without a usable token (checked for every request)
+const GENERIC_BUCKET = '';
+
+/**
+ * Site part of a hostname used for first/third-party checks
+ * (an approximation of eTLD+1 without the full public suffix list)
+ */
+function getBaseDomain(hostname) {
+    const labels = (hostname || '').toLowerCase().split('.');
+    if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return labels.join('.');
+
+    const lastTwo = labels.slice(-2).join('.');
+    return MULTI_PART_SUFFIXES.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+}
+
+/**
+ * Whether hostname is domain or one of its subdomains
+ */
+function isSameOrSubdomain(hostname, domain) {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Convert a filter pattern to a regular expression
+ */
+function compilePattern(pattern, matchCase) {
+    const flags = matchCase ? '' : 'i';
+
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+        return new RegExp(pattern.slice(1, -1), flags);
+    }
+
+    let source = '';
+    let rest = pattern;
+
+    if (rest.startsWith('||')) {
+        source = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+        rest = rest.slice(2);
+    } else if (rest.startsWith('|')) {
+        source = '^';
+        rest = rest.slice(1);
+    }
+
+    const anchoredEnd = rest.endsWith('|');
+    if (anchoredEnd) rest = rest.slice(0, -1);
+
+    source += rest
+        .replace(/[.+?${}()|[\]\\]/g, '\\$&')
+        .replace(/\*+/g, '.*')
+        .replace(/\^/g, '(?:[^a-zA-Z0-9_.%-]|$)');
+
+    if (anchoredEnd) source += '$';
+    return new RegExp(source, flags);
+}
+
+/**
+ * Pick the index token for a pattern: a run of token characters that is
+ * bounded on both sides in the pattern (so it appears whole in any matching
+ * URL). Longer, less common tokens filter better.
+ */
+function pickToken(pattern) {
+    if (pattern.startsWith('/') && pattern.endsWith('/')) return GENERIC_BUCKET;
+
+    const text = pattern.toLowerCase();
+    let best = GENERIC_BUCKET;
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(text))) {
+        const start = match.index;
+        const end = start + match[0].length;
+
+        // Unanchored pattern edges and wildcards could cut a URL token in half
+        const boundedBefore = start > 0 && text[start - 1] !== '*';
+        const boundedAfter = end < text.length && text[end] !== '*';
+        if (!boundedBefore || !boundedAfter) continue;
+
+        const token = match[0];
+        if (COMMON_TOKENS.has(token) && best) continue;
+        if (!best || COMMON_TOKENS.has(best) || token.length > best.length) best = token;
+    }
+    return best;
+}
+
+/**
+ * Parse the $options of a network rule. Returns null if any option is unsupported.
+ */
+function parseOptions(text) {
+    const options = {
+        thirdParty: null,   // true: only third-party, false: only first-party
+        types: null,        // Set of resourceTypes the rule applies to (null: all)
+        excludedTypes: null,
+        includeDomains: [],
+        excludeDomains: [],
+        important: false,
+        matchCase: false,
+        document: false
+    };
+
+    for (const raw of text.split(',')) {
+        const option = raw.trim().toLowerCase();
+        if (!option) continue;
+        const negated = option.startsWith('~');
+        const name = negated ? option.slice(1) : option;
+
+        if (name === 'third-party' || name === '3p') {
+            options.thirdParty = !negated;
+        } else if (name === 'first-party' || name === '1p') {
+            options.thirdParty = negated;
+        } else if (name.startsWith('domain=')) {
+            name.slice(7).split('|').forEach(domain => {
+                if (domain.startsWith('~')) options.excludeDomains.push(domain.slice(1));
+                else if (domain) options.includeDomains.push(domain);
+            });
+        } else if (RESOURCE_TYPES[name]) {
+            const key = negated ? 'excludedTypes' : 'types';
+            if (!options[key]) options[key] = new Set();
+            RESOURCE_TYPES[name].forEach(type => options[key].add(type));
+        } else if (IGNORED_OPTIONS.includes(name)) {
+            if (name === 'important') options.important = true;
+            if (name === 'match-case') options.matchCase = true;
+            if (name === 'document') options.document = true;
+        } else {
+            return null;
+        }
+    }
+    return options;
+}
+
+/**
+ * Parse one network filter line. Returns null for unsupported rules.
+ */
+function parseNetworkRule(line) {
+    const isException = line.startsWith('@@');
+    let pattern = isException ? line.slice(2) : line;
+    let options = parseOptions('');
+
+    // Options follow the last $, unless it belongs to a regex
+    const dollar = pattern.lastIndexOf('$');
+    if (dollar !== -1 && !(pattern.startsWith('/') && pattern.endsWith('/'))) {
+        options = parseOptions(pattern.slice(dollar + 1));
+        pattern = pattern.slice(0, dollar);
+    }
+    if (!options) return null;
+
+    // Only exceptions can allowlist whole pages
+    if (options.document && !isException) return null;
+
+    if (pattern === '') pattern = '*';
+
+    let regex;
+    try {
+        regex = compilePattern(pattern, options.matchCase);
+    } catch {
+        return null;
+    }
+
+    return { isException, regex, token: pickToken(pattern), options, text: line };
+}
+
+/**
+ * Whether a rule's options allow it to apply to this request
+ */
+function optionsMatch(options, request) {
+    if (options.thirdParty !== null && options.thirdParty !== request.isThirdParty) return false;
+    if (options.types && !options.types.has(request.resourceType)) return false;
+    if (options.excludedTypes && options.excludedTypes.has(request.resourceType)) return false;
+
+    const pageHost = request.pageHostname;
+    if (options.excludeDomains.some(d => isSameOrSubdomain(pageHost, d))) return false;
+    if (options.includeDomains.length && !options.includeDomains.some(d => isSameOrSubdomain(pageHost, d))) return false;
+    return true;
+}
+
+const ContentFilter = {
+    blockIndex: new Map(),     // token -> [rules]
+    exceptionIndex: new Map(), // token -> [rules]
+    documentExceptions: [],    // @@...$document rules
+    genericCosmetic: new Set(),       // selectors hidden everywhere
+    specificCosmetic: [],             // [{ includeDomains, excludeDomains, selector }]
+    cosmeticExceptions: [],           // [{ domains, selector }]
+    ruleCount: 0,
+
+    /**
+     * Replace the loaded rules with the given filter list texts
+     */
+    load: (listTexts) => {
+        ContentFilter.blockIndex = new Map();
+        ContentFilter.exceptionIndex = new Map();
+        ContentFilter.documentExceptions = [];
+        ContentFilter.genericCosmetic = new Set();
+        ContentFilter.specificCosmetic = [];
+        ContentFilter.cosmeticExceptions = [];
+        ContentFilter.ruleCount = 0;
+
+        listTexts.forEach(text => text.split(/\r?\n/).forEach(line => ContentFilter.addRule(line.trim())));
+    },
+
+    addRule: (line) => {
+        if (!line || line.startsWith('!') || line.startsWith('[')) return;
+
+        // Cosmetic rules: [domains]##selector / [domains]#@#selector
+        const cosmetic = line.match(/^([^#/]*?)(#@?#)(.+)$/);
+        if (cosmetic) {
+            ContentFilter.addCosmeticRule(cosmetic[1], cosmetic[2] === '#@#', cosmetic[3].trim());
+            return;
+        }
+
+        // Extended syntax (#?#, #$#, ##+js) is not supported
+        if (/#[?$@%]#|\$\$/.test(line)) return;
+
+        const rule = parseNetworkRule(line);
+        if (!rule) return;
+
+        ContentFilter.ruleCount++;
+        if (rule.options.document) {
+            ContentFilter.documentExceptions.push(rule);
+            return;
+        }
+
+        const index = rule.isException ? ContentFilter.exceptionIndex : ContentFilter.blockIndex;
+        if (!index.has(rule.token)) index.set(rule.token, []);
+        index.get(rule.token).push(rule);
+    },
+
+    addCosmeticRule: (domainText, isException, selector) => {
+        if (!selector || selector.startsWith('+js(') || /:(-abp-|has-text|xpath|style\()/.test(selector)) return;
+
+        const domains = domainText ? domainText.split(',').map(d => d.trim().toLowerCase()).filter(Boolean) : [];
+        ContentFilter.ruleCount++;
+
+        if (isException) {
+            ContentFilter.cosmeticExceptions.push({ domains, selector });
+        } else if (!domains.some(d => !d.startsWith('~'))) {
+            // No included domains: generic (exclusions handled as exceptions)
+            ContentFilter.genericCosmetic.add(selector);
+            domains.forEach(d => ContentFilter.cosmeticExceptions.push({ domains: [d.slice(1)], selector }));
+        } else {
+            ContentFilter.specificCosmetic.push({
+                includeDomains: domains.filter(d => !d.startsWith('~')),
+                excludeDomains: domains.filter(d => d.startsWith('~')).map(d => d.slice(1)),
+                selector
+            });
+        }
+    },
+
+    /**
+     * Find the first rule in the buckets of the URL's tokens that matches
+     */
+    findRule: (index, request) => {
+        const check = (rules) => rules && rules.find(r => r.regex.test(request.url) && optionsMatch(r.options, request));
+
+        for (const token of request.tokens) {
+            const rule = check(index.get(token));
+            if (rule) return rule;
+        }
+        return check(index.get(GENERIC_BUCKET)) || null;
+    },
+
+    /**
+     * Decide whether a request is blocked.
+     * request: { url, resourceType, pageUrl }
+     * Returns the matching block rule, or null if the request is allowed.
+     */
+    match: ({ url, resourceType, pageUrl }) => {
+        let requestHost, pageHostname;
+        try {
+            requestHost = new URL(url).hostname.toLowerCase();
+            pageHostname = new URL(pageUrl).hostname.toLowerCase();
+        } catch {
+            return null;
+        }
+
+        const lowerUrl = url.toLowerCase();
+        const request = {
+            url,
+            resourceType,
+            pageHostname,
+            isThirdParty: getBaseDomain(requestHost) !== getBaseDomain(pageHostname),
+            tokens: new Set(lowerUrl.match(TOKEN_PATTERN) || [])
+        };
+
+        const blockRule = ContentFilter.findRule(ContentFilter.blockIndex, request);
+        if (!blockRule) return null;
+        if (blockRule.options.important) return blockRule;
+        if (ContentFilter.isPageAllowlisted(pageUrl)) return null;
+        return ContentFilter.findRule(ContentFilter.exceptionIndex, request) ? null : blockRule;
+    },
+
+    /**
+     * @@||site^$document rules turn blocking off for a whole page
+     */
+    isPageAllowlisted: (pageUrl) => {
+        return ContentFilter.documentExceptions.some(rule => rule.regex.test(pageUrl));
+    },
+
+    /**
+     * Selectors to hide on a page with this hostname
+     */
+    getCosmeticSelectors: (hostname) => {
+        const host = (hostname || '').toLowerCase();
+        const matchesAny = (domains) => domains.some(d => isSameOrSubdomain(host, d));
+
+        const excluded = new Set(ContentFilter.cosmeticExceptions
+            .filter(e => e.domains.length === 0 || matchesAny(e.domains))
+            .map(e => e.selector));
+
+        const selectors = new Set();
+        ContentFilter.genericCosmetic.forEach(selector => {
+            if (!excluded.has(selector)) selectors.add(selector);
+        });
+        ContentFilter.specificCosmetic.forEach(rule => {
+            if (matchesAny(rule.includeDomains) && !matchesAny(rule.excludeDomains) && !excluded.has(rule.selector)) {
+                selectors.add(rule.selector);
+            }
+        });
+        return Array.from(selectors);
+    }
+};
+
+module.exports = { ContentFilter, getBaseDomain };
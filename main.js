@@ -5,16 +5,19 @@
  * and handles IPC communication with the renderer process.
  * 
  * Key responsibilities:
- * - Create and manage the main BrowserWindow
+ * - Create and manage the browser windows (tabs can move between them)
  * - Handle navigation IPC events (back, forward, reload, navigate)
  * - Manage developer tools toggle
+ * - Own persistent browser data (settings, history, downloads, site permissions)
+ * - Block ads and trackers in tabs (filter lists, see content-blocker.js)
  */
 
-const { app, BrowserWindow, ipcMain, session, desktopCapturer, dialog, protocol, net } = require('electron');
+const { app, BrowserWindow, ipcMain, session, desktopCapturer, dialog, protocol, net, shell, webContents, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const url = require('url');
+const { ContentFilter, getBaseDomain } = require('./content-blocker');
 
 // ============================================
 // CONFIGURATION
@@ -56,24 +59,2409 @@ protocol.registerSchemesAsPrivileged([
 const ZY_PAGES = {
     'home': 'home.html',
     'settings': 'settings.html',
-    'newtab': 'home.html'
+    'newtab': 'home.html',
+    'history': 'history.html',
+    'downloads': 'downloads.html',
+    'site-settings': 'site-settings.html',
+    'https-only': 'https-only.html',
+    'proxy': 'proxy.html',
+    'gpu': 'gpu.html',
+    'task-manager': 'task-manager.html'
+};
+
+/**
+ * zy:// protocol handler (registered on every session that shows tabs)
+ */
+function handleZyProtocol(request) {
+    const urlObj = new URL(request.url);
+    const pageName = urlObj.hostname; // e.g., 'home', 'settings'
+
+    // Get the file name from the mapping
+    const fileName = ZY_PAGES[pageName];
+    if (fileName) {
+        // The page itself lives at the root; its scripts and styles are
+        // served from the renderer folder (e.g. zy://history/history.js)
+        const rendererDir = path.join(__dirname, 'renderer');
+        const relativePath = urlObj.pathname === '/' ? fileName : decodeURIComponent(urlObj.pathname).slice(1);
+        const filePath = path.join(rendererDir, relativePath);
+
+        if (!filePath.startsWith(rendererDir + path.sep)) {
+            return new Response('Forbidden', { status: 403 });
+        }
+        return net.fetch(url.pathToFileURL(filePath).href);
+    }
+
+    // Return 404 for unknown zy:// pages
+    return new Response('Not Found', { status: 404 });
+}
+
+// ============================================
+// PERSISTENCE HELPERS
+// ============================================
+
+// Debounce delay for writing JSON data files to disk
+const SAVE_DELAY_MS = 1000;
+
+// Pending debounced writes: fileName -> { timer, getData }
+const pendingWrites = new Map();
+
+/**
+ * Resolve a data file inside the user data directory
+ */
+function getDataPath(fileName) {
+    return path.join(app.getPath('userData'), fileName);
+}
+
+/**
+ * Read a JSON data file, returning the fallback if it is missing or corrupt
+ */
+function readJsonFile(fileName, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(getDataPath(fileName), 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`[Storage] Failed to read ${fileName}:`, e.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON data file atomically (write to temp file, then rename)
+ */
+function writeJsonFile(fileName, data) {
+    const filePath = getDataPath(fileName);
+    const tempPath = `${filePath}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+    } catch (e) {
+        console.error(`[Storage] Failed to write ${fileName}:`, e.message);
+    }
+}
+
+/**
+ * Schedule a debounced write. getData is called when the write happens,
+ * so several changes in quick succession produce a single write.
+ */
+function scheduleJsonWrite(fileName, getData) {
+    const pending = pendingWrites.get(fileName);
+    if (pending) {
+        pending.getData = getData;
+        return;
+    }
+
+    const timer = setTimeout(() => {
+        const entry = pendingWrites.get(fileName);
+        pendingWrites.delete(fileName);
+        writeJsonFile(fileName, entry.getData());
+    }, SAVE_DELAY_MS);
+
+    pendingWrites.set(fileName, { timer, getData });
+}
+
+/**
+ * Write all pending data files immediately (used on quit)
+ */
+function flushJsonWrites() {
+    pendingWrites.forEach((entry, fileName) => {
+        clearTimeout(entry.timer);
+        writeJsonFile(fileName, entry.getData());
+    });
+    pendingWrites.clear();
+}
+
+// ============================================
+// RENDERER MESSAGING
+// ============================================
+
+/**
+ * Send a message to every trusted page: browser windows (file://) and
+ * internal pages open in tabs (zy://), e.g. zy://downloads
+ */
+function sendToTrustedPages(channel, payload) {
+    webContents.getAllWebContents().forEach(contents => {
+        if (contents.isDestroyed()) return;
+        const pageUrl = contents.getURL();
+        if (pageUrl.startsWith('file:') || pageUrl.startsWith('zy:')) {
+            contents.send(channel, payload);
+        }
+    });
+}
+
+// ============================================
+// SETTINGS STORE
+// ============================================
+
+const SETTINGS_FILE = 'settings.json';
+const SETTINGS_VERSION = 1;
+
+// Built-in search engine ids (must match renderer/search-engines.js)
+const BUILTIN_SEARCH_ENGINES = ['google', 'duckduckgo', 'bing'];
+
+// An object whose listed fields are all strings
+const hasStringFields = (item, fields) =>
+    !!item && typeof item === 'object' && fields.every(field => typeof item[field] === 'string');
+
+// Every setting with its type and default. Values that don't fit
+// (wrong type, unknown option) fall back to the default. For lists,
+// items() checks each entry and entries that fail are dropped.
+const SETTINGS_SCHEMA = {
+    theme: { type: 'string', values: ['light', 'dark', 'system'], default: 'dark' },
+    showHomeButton: { type: 'boolean', default: true },
+    verticalTabs: { type: 'boolean', default: false }, // Tab list in the sidebar instead of the tab strip
+    searchEngine: { type: 'string', default: 'google' }, // A built-in or custom engine id
+    customSearchEngines: {
+        type: 'array', default: [],
+        items: (e) => hasStringFields(e, ['id', 'name', 'keyword', 'url']) && e.url.includes('%s')
+    },
+    containers: { // null: the built-in containers
+        type: 'array', nullable: true, default: null,
+        items: (c) => hasStringFields(c, ['id', 'name', 'color']) && /^[a-z0-9-]+$/.test(c.id)
+    },
+    containerRules: {
+        type: 'array', default: [],
+        items: (r) => hasStringFields(r, ['host', 'containerId']) && r.host !== ''
+    },
+    clearOnExit: { type: 'boolean', default: false },
+    clearOnExitTypes: {
+        type: 'array', default: ['cookies', 'siteData', 'cache'],
+        items: (type) => ['history', 'downloads', 'cookies', 'siteData', 'cache'].includes(type)
+    },
+    clearOnExitKeepSites: { // Hosts whose cookies survive clear-on-exit
+        type: 'array', default: [],
+        items: (host) => typeof host === 'string' && host !== ''
+    },
+    contentBlocking: { type: 'boolean', default: true },
+    blockThirdPartyCookies: { type: 'boolean', default: true },
+    doNotTrack: { type: 'boolean', default: true },
+    httpsMode: { type: 'string', values: ['off', 'upgrade', 'strict'], default: 'upgrade' },
+    location: { type: 'string', default: '' }, // '' : the system Downloads folder
+    askDownload: { type: 'boolean', default: false },
+    hardwareAcceleration: { type: 'boolean', default: true },
+    rendererProcessLimit: { type: 'number', values: [0, 2, 4, 8], default: 2 }, // 0: no limit
+    v8HeapSizeMb: { type: 'number', values: [0, 512, 1024, 2048, 4096], default: 512 }, // 0: V8's default
+    backgroundThrottling: { type: 'boolean', default: true },
+    tabSleepMinutes: { type: 'number', values: [0, 5, 15, 30, 60, 120], default: 30 }, // 0: tabs never sleep
+    defaultZoom: { type: 'number', values: [0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2], default: 1 }
+};
+
+// Upgrade steps: MIGRATIONS[n] turns version n settings into version n + 1
+const SETTINGS_MIGRATIONS = {
+    // 0: the renderer's localStorage copy. The settings page saved the resolved
+    // Downloads folder as the location; keep following the default instead.
+    0: (settings) => {
+        const migrated = { ...settings };
+        if (migrated.location === app.getPath('downloads')) migrated.location = '';
+        return migrated;
+    }
+};
+
+// Current settings, always complete and valid (read by the stores below)
+let appSettings = {};
+
+/**
+ * Settings file in userData, owned by the main process. Read at startup
+ * (before app is ready) so switches like hardware acceleration can be applied.
+ *
+ * File: { version, settings: { ... } }
+ */
+const SettingsStore = {
+    // No settings file yet: the browser window may import its localStorage copy (once)
+    canImport: false,
+
+    load: () => {
+        const data = readJsonFile(SETTINGS_FILE, null);
+        SettingsStore.canImport = !data;
+        appSettings = data
+            ? SettingsStore.migrate(data.settings || {}, data.version || 0)
+            : SettingsStore.validate({});
+    },
+
+    save: () => {
+        scheduleJsonWrite(SETTINGS_FILE, () => ({ version: SETTINGS_VERSION, settings: appSettings }));
+        sendToTrustedPages('settings-updated', appSettings);
+    },
+
+    /**
+     * Bring settings saved by an older version up to date
+     */
+    migrate: (settings, version) => {
+        let migrated = settings;
+        for (let v = version; v < SETTINGS_VERSION; v++) {
+            migrated = SETTINGS_MIGRATIONS[v](migrated);
+        }
+        return SettingsStore.validate(migrated);
+    },
+
+    isValid: (key, value) => {
+        const rule = SETTINGS_SCHEMA[key];
+        if (!rule) return false;
+        if (value === null) return !!rule.nullable;
+        if (rule.type === 'array' ? !Array.isArray(value) : typeof value !== rule.type) return false;
+        return !rule.values || rule.values.includes(value);
+    },
+
+    /**
+     * A valid value with the list entries that don't fit dropped
+     */
+    clean: (key, value) => {
+        const rule = SETTINGS_SCHEMA[key];
+        return rule.items && Array.isArray(value) ? value.filter(item => rule.items(item)) : value;
+    },
+
+    /**
+     * Whether the selected search engine is a built-in or one of the custom engines
+     */
+    hasSearchEngine: (settings) =>
+        BUILTIN_SEARCH_ENGINES.includes(settings.searchEngine) ||
+        settings.customSearchEngines.some(e => e.id === settings.searchEngine),
+
+    /**
+     * A complete settings object: valid values kept, the rest defaulted, unknown keys dropped
+     */
+    validate: (settings) => {
+        const valid = {};
+        Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+            valid[key] = SettingsStore.isValid(key, settings[key])
+                ? SettingsStore.clean(key, settings[key])
+                : rule.default;
+        });
+        if (!SettingsStore.hasSearchEngine(valid)) valid.searchEngine = SETTINGS_SCHEMA.searchEngine.default;
+        return valid;
+    },
+
+    get: () => appSettings,
+
+    /**
+     * Apply a partial update. Invalid values are ignored and invalid list
+     * entries dropped. Returns the keys that were rejected.
+     */
+    set: (changes) => {
+        const rejected = [];
+        const next = { ...appSettings };
+
+        Object.entries(changes || {}).forEach(([key, value]) => {
+            if (SettingsStore.isValid(key, value)) {
+                next[key] = SettingsStore.clean(key, value);
+            } else {
+                rejected.push(key);
+            }
+        });
+
+        // An unknown engine id, or the selected custom engine was removed
+        if (!SettingsStore.hasSearchEngine(next)) {
+            if (next.searchEngine !== appSettings.searchEngine) rejected.push('searchEngine');
+            const previous = { ...next, searchEngine: appSettings.searchEngine };
+            next.searchEngine = SettingsStore.hasSearchEngine(previous)
+                ? appSettings.searchEngine
+                : SETTINGS_SCHEMA.searchEngine.default;
+        }
+
+        const throttlingChanged = next.backgroundThrottling !== appSettings.backgroundThrottling;
+        appSettings = next;
+        SettingsStore.save();
+        if (throttlingChanged) Performance.applyBackgroundThrottling();
+        return rejected;
+    },
+
+    /**
+     * One-time import of the settings older versions kept in localStorage
+     */
+    importLegacy: (settings) => {
+        if (!SettingsStore.canImport || !settings || typeof settings !== 'object') return false;
+        SettingsStore.canImport = false;
+        appSettings = SettingsStore.migrate(settings, 0);
+        SettingsStore.save();
+        return true;
+    }
+};
+
+// ============================================
+// HISTORY STORE
+// ============================================
+
+const HISTORY_FILE = 'history.json';
+
+// Keep history bounded so the file stays small and fast to load
+const HISTORY_MAX_VISITS = 20000;
+const HISTORY_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+// Transition types recorded with each visit
+const HISTORY_TRANSITIONS = ['link', 'typed', 'reload', 'back_forward', 'in_page', 'generated'];
+
+/**
+ * Main-process browsing history database.
+ *
+ * - entries: one record per URL (title, visit count, last visit)
+ * - visits:  one record per navigation (time, transition type)
+ */
+const HistoryStore = {
+    entries: new Map(), // url -> { url, title, visitCount, typedCount, lastVisit }
+    visits: [],         // [{ id, url, time, transition }], oldest first
+    nextId: 1,
+
+    load: () => {
+        const data = readJsonFile(HISTORY_FILE, null);
+        if (!data) return;
+
+        HistoryStore.visits = Array.isArray(data.visits) ? data.visits : [];
+        HistoryStore.entries = new Map((data.entries || []).map(e => [e.url, e]));
+        HistoryStore.nextId = data.nextId || (HistoryStore.visits.length + 1);
+        HistoryStore.expire();
+    },
+
+    save: () => {
+        scheduleJsonWrite(HISTORY_FILE, () => ({
+            version: 1,
+            nextId: HistoryStore.nextId,
+            entries: Array.from(HistoryStore.entries.values()),
+            visits: HistoryStore.visits
+        }));
+    },
+
+    /**
+     * Only web pages are recorded; internal zy:// pages are skipped
+     */
+    isRecordable: (pageUrl) => /^https?:\/\//i.test(pageUrl || ''),
+
+    /**
+     * Record a navigation
+     */
+    addVisit: ({ url: pageUrl, title, transition }) => {
+        if (!HistoryStore.isRecordable(pageUrl)) return;
+        if (!HISTORY_TRANSITIONS.includes(transition)) transition = 'link';
+
+        const now = Date.now();
+        let entry = HistoryStore.entries.get(pageUrl);
+        if (!entry) {
+            entry = { url: pageUrl, title: '', visitCount: 0, typedCount: 0, lastVisit: now };
+            HistoryStore.entries.set(pageUrl, entry);
+        }
+
+        if (title) entry.title = title;
+        entry.lastVisit = now;
+
+        // Reloads refresh the timestamp but don't count as a new visit
+        if (transition !== 'reload') {
+            entry.visitCount++;
+            if (transition === 'typed') entry.typedCount++;
+            HistoryStore.visits.push({ id: HistoryStore.nextId++, url: pageUrl, time: now, transition });
+        }
+
+        HistoryStore.expire();
+        HistoryStore.save();
+    },
+
+    updateTitle: (pageUrl, title) => {
+        const entry = HistoryStore.entries.get(pageUrl);
+        if (!entry || !title || entry.title === title) return;
+        entry.title = title;
+        HistoryStore.save();
+    },
+
+    /**
+     * Search visits, newest first. Matches text against URL and title.
+     */
+    search: ({ text = '', startTime = 0, endTime = Infinity, maxResults = 500 } = {}) => {
+        const needle = text.trim().toLowerCase();
+        const results = [];
+
+        for (let i = HistoryStore.visits.length - 1; i >= 0 && results.length < maxResults; i--) {
+            const visit = HistoryStore.visits[i];
+            if (visit.time < startTime || visit.time > endTime) continue;
+
+            const entry = HistoryStore.entries.get(visit.url);
+            const title = entry ? entry.title : '';
+            if (needle && !visit.url.toLowerCase().includes(needle) && !title.toLowerCase().includes(needle)) {
+                continue;
+            }
+
+            results.push({
+                id: visit.id,
+                url: visit.url,
+                title,
+                time: visit.time,
+                transition: visit.transition,
+                visitCount: entry ? entry.visitCount : 1
+            });
+        }
+
+        return results;
+    },
+
+    /**
+     * Frecency score: visit counts (typed visits weigh more) scaled by recency
+     */
+    frecency: (entry) => {
+        const ageDays = (Date.now() - entry.lastVisit) / (24 * 60 * 60 * 1000);
+        let recencyWeight = 10;
+        if (ageDays < 4) recencyWeight = 100;
+        else if (ageDays < 14) recencyWeight = 70;
+        else if (ageDays < 31) recencyWeight = 50;
+        else if (ageDays < 90) recencyWeight = 30;
+
+        return (entry.visitCount + entry.typedCount * 2) * recencyWeight / 100;
+    },
+
+    /**
+     * Address bar suggestions: URLs matching the text, best frecency first
+     */
+    suggest: (text, limit = 10) => {
+        const needle = (text || '').trim().toLowerCase();
+        if (!needle) return [];
+
+        const matches = [];
+        HistoryStore.entries.forEach(entry => {
+            if (!entry.url.toLowerCase().includes(needle) && !entry.title.toLowerCase().includes(needle)) return;
+            matches.push({
+                url: entry.url,
+                title: entry.title,
+                visitCount: entry.visitCount,
+                typedCount: entry.typedCount,
+                lastVisit: entry.lastVisit,
+                frecency: HistoryStore.frecency(entry)
+            });
+        });
+
+        return matches.sort((a, b) => b.frecency - a.frecency).slice(0, limit);
+    },
+
+    /**
+     * Delete individual visits by id
+     */
+    deleteVisits: (ids) => {
+        const idSet = new Set(ids);
+        HistoryStore.removeVisits(v => idSet.has(v.id));
+    },
+
+    /**
+     * Delete every visit to a URL
+     */
+    deleteUrl: (pageUrl) => {
+        HistoryStore.removeVisits(v => v.url === pageUrl);
+        HistoryStore.entries.delete(pageUrl);
+        HistoryStore.save();
+    },
+
+    /**
+     * Delete all visits within [startTime, endTime]
+     */
+    deleteRange: (startTime = 0, endTime = Infinity) => {
+        HistoryStore.removeVisits(v => v.time >= startTime && v.time <= endTime);
+    },
+
+    clear: () => {
+        HistoryStore.entries.clear();
+        HistoryStore.visits = [];
+        HistoryStore.save();
+    },
+
+    /**
+     * Drop visits older than the retention window or beyond the size cap
+     */
+    expire: () => {
+        const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+        const excess = HistoryStore.visits.length - HISTORY_MAX_VISITS;
+        if (excess > 0 || (HistoryStore.visits[0] && HistoryStore.visits[0].time < cutoff)) {
+            HistoryStore.removeVisits((v, i) => i < excess || v.time < cutoff);
+        }
+    },
+
+    /**
+     * Remove visits matching a predicate and keep the per-URL entries consistent
+     */
+    removeVisits: (predicate) => {
+        const removed = [];
+        HistoryStore.visits = HistoryStore.visits.filter((v, i) => {
+            if (predicate(v, i)) {
+                removed.push(v);
+                return false;
+            }
+            return true;
+        });
+        if (removed.length === 0) return;
+
+        removed.forEach(v => {
+            const entry = HistoryStore.entries.get(v.url);
+            if (!entry) return;
+            entry.visitCount--;
+            if (v.transition === 'typed') entry.typedCount--;
+        });
+
+        // Recompute last visit / drop entries that have no visits left
+        const lastVisits = new Map();
+        HistoryStore.visits.forEach(v => lastVisits.set(v.url, v.time));
+        removed.forEach(v => {
+            const entry = HistoryStore.entries.get(v.url);
+            if (!entry) return;
+            if (entry.visitCount <= 0 || !lastVisits.has(v.url)) {
+                HistoryStore.entries.delete(v.url);
+            } else {
+                entry.lastVisit = lastVisits.get(v.url);
+            }
+        });
+
+        HistoryStore.save();
+    }
+};
+
+// ============================================
+// DOWNLOAD MANAGER
+// ============================================
+
+const DOWNLOADS_FILE = 'downloads.json';
+const DOWNLOADS_MAX_HISTORY = 200;
+
+// Minimum interval between progress broadcasts for a single download
+const DOWNLOAD_PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Tracks every DownloadItem and keeps a persistent download history.
+ *
+ * Record states: 'progressing' | 'paused' | 'completed' | 'cancelled' | 'interrupted'
+ */
+const DownloadManager = {
+    downloads: [],      // Records, newest first
+    items: new Map(),   // id -> live DownloadItem (this session only)
+    nextId: 1,
+
+    load: () => {
+        const data = readJsonFile(DOWNLOADS_FILE, null);
+        if (!data) return;
+
+        DownloadManager.nextId = data.nextId || 1;
+        DownloadManager.downloads = (data.downloads || []).map(record => {
+            // Downloads still running when the app quit can't be resumed in place
+            if (record.state === 'progressing' || record.state === 'paused') {
+                return { ...record, state: 'interrupted', speed: 0 };
+            }
+            return record;
+        });
+    },
+
+    save: () => {
+        scheduleJsonWrite(DOWNLOADS_FILE, () => ({
+            version: 1,
+            nextId: DownloadManager.nextId,
+            downloads: DownloadManager.downloads.filter(d => !d.isPrivate).slice(0, DOWNLOADS_MAX_HISTORY)
+        }));
+    },
+
+    /**
+     * Listen for downloads started in a session. Downloads from private
+     * sessions are listed while the session lasts but never saved.
+     */
+    attach: (ses, isPrivate = false, containerId = null) => {
+        ses.on('will-download', (event, item) => DownloadManager.track(item, isPrivate, containerId));
+    },
+
+    /**
+     * Apply the download settings and start tracking a new item
+     */
+    track: (item, isPrivate = false, containerId = null) => {
+        const folder = appSettings.location || app.getPath('downloads');
+        const fileName = item.getFilename();
+
+        if (appSettings.askDownload) {
+            // Leaving the save path unset makes Electron show a save dialog
+            item.setSaveDialogOptions({ defaultPath: path.join(folder, fileName) });
+        } else {
+            item.setSavePath(DownloadManager.getUniquePath(folder, fileName));
+        }
+
+        const record = {
+            id: DownloadManager.nextId++,
+            url: item.getURL(),
+            fileName,
+            savePath: item.getSavePath(),
+            mimeType: item.getMimeType(),
+            totalBytes: item.getTotalBytes(),
+            receivedBytes: 0,
+            speed: 0, // bytes per second
+            state: 'progressing',
+            canResume: false,
+            startTime: Date.now(),
+            endTime: null,
+            isPrivate,
+            containerId // Retried in the same container (null: the default session)
+        };
+
+        DownloadManager.downloads.unshift(record);
+        DownloadManager.items.set(record.id, item);
+
+        let lastBytes = 0;
+        let lastTime = Date.now();
+        let lastBroadcast = 0;
+
+        item.on('updated', (event, state) => {
+            const now = Date.now();
+            const bytes = item.getReceivedBytes();
+
+            // Smoothed transfer speed
+            if (now > lastTime) {
+                const instant = (bytes - lastBytes) * 1000 / (now - lastTime);
+                record.speed = record.speed ? record.speed * 0.7 + instant * 0.3 : instant;
+            }
+            lastBytes = bytes;
+            lastTime = now;
+
+            record.receivedBytes = bytes;
+            record.totalBytes = item.getTotalBytes();
+            record.savePath = item.getSavePath();
+            record.fileName = path.basename(record.savePath || record.fileName);
+            record.canResume = item.canResume();
+            record.state = state === 'interrupted' ? 'interrupted' : (item.isPaused() ? 'paused' : 'progressing');
+
+            if (now - lastBroadcast >= DOWNLOAD_PROGRESS_INTERVAL_MS || state === 'interrupted') {
+                lastBroadcast = now;
+                DownloadManager.broadcast(record);
+            }
+        });
+
+        item.once('done', (event, state) => {
+            DownloadManager.items.delete(record.id);
+            record.state = state;
+            record.speed = 0;
+            record.receivedBytes = item.getReceivedBytes();
+            record.savePath = item.getSavePath();
+            record.endTime = Date.now();
+
+            DownloadManager.save();
+            DownloadManager.broadcast(record);
+        });
+
+        DownloadManager.save();
+        DownloadManager.broadcast(record);
+    },
+
+    /**
+     * Avoid overwriting existing files: "file.zip" -> "file (1).zip"
+     */
+    getUniquePath: (folder, fileName) => {
+        const ext = path.extname(fileName);
+        const base = path.basename(fileName, ext);
+        let candidate = path.join(folder, fileName);
+
+        for (let i = 1; fs.existsSync(candidate); i++) {
+            candidate = path.join(folder, `${base} (${i})${ext}`);
+        }
+        return candidate;
+    },
+
+    broadcast: (record) => {
+        sendToTrustedPages('download-updated', record);
+    },
+
+    getRecord: (id) => DownloadManager.downloads.find(d => d.id === id),
+
+    pause: (id) => {
+        const item = DownloadManager.items.get(id);
+        if (item && !item.isPaused()) item.pause();
+    },
+
+    resume: (id) => {
+        const item = DownloadManager.items.get(id);
+        if (item && item.canResume()) item.resume();
+    },
+
+    cancel: (id) => {
+        const item = DownloadManager.items.get(id);
+        if (item) item.cancel();
+    },
+
+    /**
+     * Start the download again from scratch, in the session it came from
+     * (cookies may be needed); the new attempt replaces the old record
+     */
+    retry: (id) => {
+        const record = DownloadManager.getRecord(id);
+        if (!record || DownloadManager.items.has(id)) return;
+
+        let ses = session.defaultSession;
+        if (record.isPrivate) {
+            ses = PrivateBrowsing.session;
+        } else if (record.containerId) {
+            ses = ContainerSessions.get(record.containerId);
+        }
+
+        DownloadManager.remove(id);
+        if (ses) ses.downloadURL(record.url);
+    },
+
+    /**
+     * Remove a finished download from the history (the file is kept)
+     */
+    remove: (id) => {
+        if (DownloadManager.items.has(id)) return;
+        DownloadManager.downloads = DownloadManager.downloads.filter(d => d.id !== id);
+        DownloadManager.save();
+        sendToTrustedPages('download-removed', id);
+    },
+
+    /**
+     * Clear the history of finished downloads (those started since a time, 0: all)
+     */
+    clear: (since = 0) => {
+        DownloadManager.downloads = DownloadManager.downloads.filter(d => DownloadManager.items.has(d.id) || d.startTime < since);
+        DownloadManager.save();
+        sendToTrustedPages('downloads-cleared');
+    },
+
+    /**
+     * The private session ended: cancel its downloads and drop their records
+     */
+    forgetPrivate: () => {
+        DownloadManager.downloads.filter(d => d.isPrivate).forEach(record => {
+            const item = DownloadManager.items.get(record.id);
+            if (item) {
+                DownloadManager.items.delete(record.id);
+                item.cancel();
+            }
+            sendToTrustedPages('download-removed', record.id);
+        });
+        DownloadManager.downloads = DownloadManager.downloads.filter(d => !d.isPrivate);
+    },
+
+    open: (id) => {
+        const record = DownloadManager.getRecord(id);
+        if (record && record.state === 'completed') shell.openPath(record.savePath);
+    },
+
+    showInFolder: (id) => {
+        const record = DownloadManager.getRecord(id);
+        if (record && record.savePath) shell.showItemInFolder(record.savePath);
+    }
+};
+
+// ============================================
+// PERMISSION MANAGER
+// ============================================
+
+const PERMISSIONS_FILE = 'permissions.json';
+
+// Permissions a site may ask for; the user is prompted for these.
+// Anything else is always denied.
+const PROMPTABLE_PERMISSIONS = [
+    'camera', 'microphone', 'geolocation', 'notifications', 'midi', 'midiSysex',
+    'clipboard-read', 'display-capture', 'pointerLock', 'idle-detection', 'window-management'
+];
+
+// Granted without asking, like other browsers do
+const ALWAYS_ALLOWED_PERMISSIONS = ['fullscreen', 'clipboard-sanitized-write'];
+
+/**
+ * Per-origin permission decisions and the prompt round-trip to the renderer.
+ *
+ * Stored decisions: { [origin]: { [permission]: 'allow' | 'block' } }
+ * "Allow once" grants live only as long as the tab stays on that origin.
+ */
+const PermissionManager = {
+    decisions: {},
+    oneTimeGrants: new Map(), // webContentsId -> Set of 'origin|permission'
+    pending: new Map(),       // requestId -> { callbacks, origin, permissions, contentsId }
+    nextRequestId: 1,
+
+    load: () => {
+        PermissionManager.decisions = readJsonFile(PERMISSIONS_FILE, {});
+    },
+
+    save: () => {
+        scheduleJsonWrite(PERMISSIONS_FILE, () => PermissionManager.decisions);
+        sendToTrustedPages('permissions-changed');
+    },
+
+    /**
+     * Electron reports camera + microphone as one 'media' permission;
+     * they are stored and prompted separately
+     */
+    expand: (permission, mediaTypes = []) => {
+        if (permission !== 'media') return [permission];
+        const keys = [];
+        if (mediaTypes.includes('video')) keys.push('camera');
+        if (mediaTypes.includes('audio')) keys.push('microphone');
+        return keys.length ? keys : ['camera', 'microphone'];
+    },
+
+    getOrigin: (pageUrl) => {
+        try {
+            return new URL(pageUrl).origin;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * 'allow' | 'block' | null (ask)
+     */
+    getDecision: (origin, permission, contentsId) => {
+        const stored = PermissionManager.decisions[origin] && PermissionManager.decisions[origin][permission];
+        if (stored) return stored;
+
+        const grants = PermissionManager.oneTimeGrants.get(contentsId);
+        return grants && grants.has(`${origin}|${permission}`) ? 'allow' : null;
+    },
+
+    setDecision: (origin, permission, decision) => {
+        if (!PermissionManager.decisions[origin]) PermissionManager.decisions[origin] = {};
+
+        if (decision === 'allow' || decision === 'block') {
+            PermissionManager.decisions[origin][permission] = decision;
+        } else {
+            // Reset to "ask"
+            delete PermissionManager.decisions[origin][permission];
+            if (Object.keys(PermissionManager.decisions[origin]).length === 0) {
+                delete PermissionManager.decisions[origin];
+            }
+        }
+        PermissionManager.save();
+    },
+
+    resetOrigin: (origin) => {
+        delete PermissionManager.decisions[origin];
+        PermissionManager.save();
+    },
+
+    /**
+     * List stored decisions for the Site Settings page
+     */
+    getAll: () => {
+        const list = [];
+        Object.entries(PermissionManager.decisions).forEach(([origin, permissions]) => {
+            Object.entries(permissions).forEach(([permission, decision]) => {
+                list.push({ origin, permission, decision });
+            });
+        });
+        return list;
+    },
+
+    /**
+     * setPermissionRequestHandler: answer from stored decisions or prompt the user
+     */
+    handleRequest: (contents, permission, callback, details) => {
+        if (ALWAYS_ALLOWED_PERMISSIONS.includes(permission)) return callback(true);
+
+        const origin = PermissionManager.getOrigin(details.requestingUrl);
+        const permissions = PermissionManager.expand(permission, details.mediaTypes);
+        const host = contents.hostWebContents;
+
+        // Only web pages in tabs can be granted anything
+        if (!origin || !host || !/^https?:/.test(origin) || !permissions.every(p => PROMPTABLE_PERMISSIONS.includes(p))) {
+            console.log(`[Security] Blocked permission request: ${permission} from ${details.requestingUrl}`);
+            return callback(false);
+        }
+
+        const decisions = permissions.map(p => PermissionManager.getDecision(origin, p, contents.id));
+        if (decisions.includes('block')) return callback(false);
+        if (decisions.every(d => d === 'allow')) return callback(true);
+
+        // Fold repeated requests into the prompt that is already showing
+        const key = permissions.join(',');
+        for (const request of PermissionManager.pending.values()) {
+            if (request.contentsId === contents.id && request.origin === origin && request.permissions.join(',') === key) {
+                request.callbacks.push(callback);
+                return;
+            }
+        }
+
+        const requestId = PermissionManager.nextRequestId++;
+        PermissionManager.pending.set(requestId, { callbacks: [callback], origin, permissions, contentsId: contents.id });
+
+        host.send('permission-request', { requestId, webContentsId: contents.id, origin, permissions });
+    },
+
+    /**
+     * setPermissionCheckHandler: synchronous checks (e.g. Notification.permission)
+     */
+    handleCheck: (contents, permission, requestingOrigin, details) => {
+        if (ALWAYS_ALLOWED_PERMISSIONS.includes(permission)) return true;
+
+        const origin = PermissionManager.getOrigin(requestingOrigin);
+        if (!origin) return false;
+
+        const mediaTypes = details && details.mediaType ? [details.mediaType] : [];
+        const contentsId = contents ? contents.id : null;
+        return PermissionManager.expand(permission, mediaTypes)
+            .every(p => PermissionManager.getDecision(origin, p, contentsId) === 'allow');
+    },
+
+    /**
+     * The user answered a prompt: 'allow' | 'allow-once' | 'block' | 'dismiss'
+     */
+    respond: (requestId, decision) => {
+        const request = PermissionManager.pending.get(requestId);
+        if (!request) return;
+        PermissionManager.pending.delete(requestId);
+
+        // Private windows leave nothing behind: answers last as long as the page
+        if (PrivateBrowsing.isPrivateContents(webContents.fromId(request.contentsId))) {
+            if (decision === 'allow') decision = 'allow-once';
+            if (decision === 'block') decision = 'dismiss';
+        }
+
+        if (decision === 'allow' || decision === 'block') {
+            request.permissions.forEach(p => PermissionManager.setDecision(request.origin, p, decision));
+        } else if (decision === 'allow-once') {
+            if (!PermissionManager.oneTimeGrants.has(request.contentsId)) {
+                PermissionManager.oneTimeGrants.set(request.contentsId, new Set());
+            }
+            const grants = PermissionManager.oneTimeGrants.get(request.contentsId);
+            request.permissions.forEach(p => grants.add(`${request.origin}|${p}`));
+        }
+
+        const granted = decision === 'allow' || decision === 'allow-once';
+        request.callbacks.forEach(callback => callback(granted));
+    },
+
+    /**
+     * Drop prompts and one-time grants when a tab leaves the page or closes
+     */
+    watchContents: (contents) => {
+        const reset = (keepOrigin) => {
+            PermissionManager.pending.forEach((request, requestId) => {
+                if (request.contentsId === contents.id && request.origin !== keepOrigin) {
+                    PermissionManager.respond(requestId, 'dismiss');
+                    if (!contents.isDestroyed() && contents.hostWebContents) {
+                        contents.hostWebContents.send('permission-request-cancelled', requestId);
+                    }
+                }
+            });
+
+            const grants = PermissionManager.oneTimeGrants.get(contents.id);
+            if (grants && keepOrigin) {
+                grants.forEach(grant => {
+                    if (!grant.startsWith(`${keepOrigin}|`)) grants.delete(grant);
+                });
+            } else {
+                PermissionManager.oneTimeGrants.delete(contents.id);
+            }
+        };
+
+        contents.on('did-navigate', (event, pageUrl) => reset(PermissionManager.getOrigin(pageUrl)));
+        contents.once('destroyed', () => reset(null));
+    }
+};
+
+// ============================================
+// CONTENT BLOCKER
+// ============================================
+
+const CONTENT_BLOCKER_FILE = 'content-blocker.json';
+
+// Filter lists (Adblock Plus / uBlock syntax, *.txt): the bundled ones
+// plus any the user drops into <userData>/filters
+const BUNDLED_FILTERS_DIR = path.join(__dirname, 'filters');
+const USER_FILTERS_DIR_NAME = 'filters';
+
+// Minimum interval between blocked-count updates for a single tab
+const BLOCKED_COUNT_INTERVAL_MS = 250;
+
+// Selectors per injected style rule: one invalid selector only hides its own chunk
+const COSMETIC_CHUNK_SIZE = 50;
+
+/**
+ * Blocks ad/tracker requests from tabs, hides ad elements and counts
+ * what was blocked per tab.
+ *
+ * Stored data: { version, disabledSites: [hostname] }
+ */
+const ContentBlocker = {
+    disabledSites: new Set(),
+    lists: [],              // [{ name, bundled }]
+    counts: new Map(),      // webContentsId -> blocked requests on the current page
+    countTimers: new Map(), // webContentsId -> pending count update
+
+    load: () => {
+        const data = readJsonFile(CONTENT_BLOCKER_FILE, {});
+        ContentBlocker.disabledSites = new Set(Array.isArray(data.disabledSites) ? data.disabledSites : []);
+        ContentBlocker.loadLists();
+    },
+
+    save: () => {
+        scheduleJsonWrite(CONTENT_BLOCKER_FILE, () => ({
+            version: 1,
+            disabledSites: Array.from(ContentBlocker.disabledSites)
+        }));
+    },
+
+    getUserFiltersDir: () => getDataPath(USER_FILTERS_DIR_NAME),
+
+    /**
+     * (Re)read every filter list from disk
+     */
+    loadLists: () => {
+        const texts = [];
+        ContentBlocker.lists = [];
+
+        [[BUNDLED_FILTERS_DIR, true], [ContentBlocker.getUserFiltersDir(), false]].forEach(([dir, bundled]) => {
+            let files = [];
+            try {
+                files = fs.readdirSync(dir).filter(f => f.endsWith('.txt')).sort();
+            } catch (e) {
+                if (e.code !== 'ENOENT') console.error(`[Blocker] Failed to read ${dir}:`, e.message);
+            }
+
+            files.forEach(fileName => {
+                try {
+                    texts.push(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+                    ContentBlocker.lists.push({ name: fileName, bundled });
+                } catch (e) {
+                    console.error(`[Blocker] Failed to read ${fileName}:`, e.message);
+                }
+            });
+        });
+
+        ContentFilter.load(texts);
+        console.log(`[Blocker] Loaded ${ContentFilter.ruleCount} rules from ${ContentBlocker.lists.length} lists`);
+    },
+
+    getInfo: () => ({
+        lists: ContentBlocker.lists,
+        ruleCount: ContentFilter.ruleCount,
+        userFiltersDir: ContentBlocker.getUserFiltersDir()
+    }),
+
+    isEnabled: () => appSettings.contentBlocking,
+
+    /**
+     * Site key for the per-site toggle ("www." is ignored)
+     */
+    getSiteKey: (pageUrl) => {
+        try {
+            const { protocol, hostname } = new URL(pageUrl);
+            return /^https?:$/.test(protocol) ? hostname.replace(/^www\./, '') : null;
+        } catch {
+            return null;
+        }
+    },
+
+    isSiteEnabled: (pageUrl) => {
+        const site = ContentBlocker.getSiteKey(pageUrl);
+        return !!site && !ContentBlocker.disabledSites.has(site);
+    },
+
+    setSiteEnabled: (site, enabled) => {
+        if (enabled) {
+            ContentBlocker.disabledSites.delete(site);
+        } else {
+            ContentBlocker.disabledSites.add(site);
+        }
+        ContentBlocker.save();
+    },
+
+    /**
+     * Decide a request from onBeforeRequest. Only requests made by tabs
+     * (webviews) are filtered; the browser UI and internal pages never are.
+     */
+    shouldBlock: (details) => {
+        const contents = details.webContents;
+        if (!contents || contents.isDestroyed() || !contents.hostWebContents) return false;
+
+        if (details.resourceType === 'mainFrame') {
+            ContentBlocker.setCount(contents, 0);
+            return false;
+        }
+
+        if (!ContentBlocker.isEnabled() || !/^(https?|wss?):/.test(details.url)) return false;
+
+        const pageUrl = contents.getURL();
+        if (!ContentBlocker.isSiteEnabled(pageUrl)) return false;
+
+        const rule = ContentFilter.match({ url: details.url, resourceType: details.resourceType, pageUrl });
+        if (!rule) return false;
+
+        ContentBlocker.setCount(contents, (ContentBlocker.counts.get(contents.id) || 0) + 1);
+        return true;
+    },
+
+    /**
+     * Record a tab's blocked count and tell its window (throttled)
+     */
+    setCount: (contents, count) => {
+        const contentsId = contents.id;
+        ContentBlocker.counts.set(contentsId, count);
+        if (ContentBlocker.countTimers.has(contentsId)) return;
+
+        const send = () => {
+            if (contents.isDestroyed() || !contents.hostWebContents) return;
+            contents.hostWebContents.send('blocker-count', {
+                webContentsId: contentsId,
+                count: ContentBlocker.counts.get(contentsId) || 0
+            });
+        };
+
+        // Resets go out right away; increments are batched
+        if (count === 0) {
+            send();
+            return;
+        }
+
+        ContentBlocker.countTimers.set(contentsId, setTimeout(() => {
+            ContentBlocker.countTimers.delete(contentsId);
+            send();
+        }, BLOCKED_COUNT_INTERVAL_MS));
+    },
+
+    /**
+     * Hide ad elements on each page a tab loads, and forget its count when it closes
+     */
+    watchContents: (contents) => {
+        contents.on('dom-ready', () => {
+            const pageUrl = contents.getURL();
+            if (!ContentBlocker.isEnabled() || !ContentBlocker.isSiteEnabled(pageUrl)) return;
+
+            const selectors = ContentFilter.getCosmeticSelectors(new URL(pageUrl).hostname);
+            for (let i = 0; i < selectors.length; i += COSMETIC_CHUNK_SIZE) {
+                const css = `${selectors.slice(i, i + COSMETIC_CHUNK_SIZE).join(',\n')} { display: none !important; }`;
+                contents.insertCSS(css, { cssOrigin: 'user' }).catch(() => { });
+            }
+        });
+
+        contents.once('destroyed', () => {
+            clearTimeout(ContentBlocker.countTimers.get(contents.id));
+            ContentBlocker.countTimers.delete(contents.id);
+            ContentBlocker.counts.delete(contents.id);
+        });
+    }
+};
+
+// ============================================
+// HTTPS-ONLY MODE
+// ============================================
+
+const HTTPS_EXCEPTIONS_FILE = 'https-exceptions.json';
+
+// appSettings.httpsMode:
+// - 'off':     load http:// as is
+// - 'upgrade': try https:// first, quietly fall back to http:// if it fails
+// - 'strict':  try https:// first, ask before falling back (interstitial)
+
+const HTTPS_INTERSTITIAL_URL = 'zy://https-only/';
+
+// Navigations cancelled by the browser itself (e.g. a new navigation), not failures
+const ERR_ABORTED = -3;
+
+/**
+ * Upgrades http:// requests from tabs to https:// and handles sites that
+ * don't support it.
+ *
+ * Stored exceptions: { version, hosts: [hostname] } - always loaded over http://
+ * Hosts the user continued to (or that fell back) this run are allowed until restart.
+ */
+const HttpsOnly = {
+    exceptions: new Set(),
+    allowedThisRun: new Set(),
+    pendingUpgrades: new Map(), // webContentsId -> { host, httpUrl } of an upgraded navigation
+
+    load: () => {
+        const data = readJsonFile(HTTPS_EXCEPTIONS_FILE, {});
+        HttpsOnly.exceptions = new Set(Array.isArray(data.hosts) ? data.hosts : []);
+    },
+
+    save: () => {
+        scheduleJsonWrite(HTTPS_EXCEPTIONS_FILE, () => ({
+            version: 1,
+            hosts: Array.from(HttpsOnly.exceptions)
+        }));
+        sendToTrustedPages('https-exceptions-changed');
+    },
+
+    getMode: () => appSettings.httpsMode,
+
+    getExceptions: () => Array.from(HttpsOnly.exceptions).sort(),
+
+    addException: (host) => {
+        HttpsOnly.exceptions.add(host);
+        HttpsOnly.save();
+    },
+
+    removeException: (host) => {
+        HttpsOnly.exceptions.delete(host);
+        HttpsOnly.allowedThisRun.delete(host);
+        HttpsOnly.save();
+    },
+
+    /**
+     * Hosts that can't have a public certificate: localhost, private and
+     * link-local IP ranges, .local/.localhost/.internal names and
+     * single-label intranet names (http://router/)
+     */
+    isLocalHost: (hostname) => {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (!host.includes('.') && !host.includes(':')) return true;
+        if (/\.(local|localhost|internal|lan|home\.arpa)$/.test(host)) return true;
+
+        const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/);
+        if (ipv4) {
+            const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+            return a === 10 || a === 127 ||
+                (a === 172 && b >= 16 && b <= 31) ||
+                (a === 192 && b === 168) ||
+                (a === 169 && b === 254) ||
+                (a === 100 && b >= 64 && b <= 127); // Carrier-grade NAT (e.g. Tailscale)
+        }
+
+        // IPv6 loopback, unique local (fc00::/7) and link-local (fe80::/10)
+        return host === '::1' || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+    },
+
+    /**
+     * Local hosts, and sites allowed over http:// (an exception covers its subdomains)
+     */
+    isExempt: (hostname) => {
+        if (HttpsOnly.isLocalHost(hostname) || HttpsOnly.allowedThisRun.has(hostname)) return true;
+
+        const labels = hostname.split('.');
+        return labels.some((label, i) => HttpsOnly.exceptions.has(labels.slice(i).join('.')));
+    },
+
+    /**
+     * Decide an http:// request from onBeforeRequest: the callback response
+     * ({ redirectURL } to upgrade it, { cancel } to stop it), or null to let it through.
+     * Only requests from tabs are upgraded.
+     */
+    check: (details) => {
+        const contents = details.webContents;
+        if (!contents || contents.isDestroyed() || !contents.hostWebContents) return null;
+        if (HttpsOnly.getMode() === 'off' || !details.url.startsWith('http://')) return null;
+
+        let parsed;
+        try {
+            parsed = new URL(details.url);
+        } catch {
+            return null;
+        }
+        if (HttpsOnly.isExempt(parsed.hostname)) return null;
+
+        if (details.resourceType === 'mainFrame') {
+            // The https:// page redirected straight back to http:// - the site doesn't support it
+            const pending = HttpsOnly.pendingUpgrades.get(contents.id);
+            if (pending && pending.host === parsed.hostname) {
+                HttpsOnly.pendingUpgrades.delete(contents.id);
+                setImmediate(() => HttpsOnly.handleFailure(contents, pending));
+                return { cancel: true };
+            }
+            HttpsOnly.pendingUpgrades.set(contents.id, { host: parsed.hostname, httpUrl: details.url });
+        }
+
+        parsed.protocol = 'https:';
+        if (parsed.port === '80') parsed.port = '';
+        return { redirectURL: parsed.toString() };
+    },
+
+    /**
+     * An upgraded navigation failed: fall back to http:// or show the interstitial
+     */
+    handleFailure: (contents, { host, httpUrl }) => {
+        HttpsOnly.pendingUpgrades.delete(contents.id);
+        if (contents.isDestroyed()) return;
+
+        if (HttpsOnly.getMode() === 'strict') {
+            contents.loadURL(`${HTTPS_INTERSTITIAL_URL}?url=${encodeURIComponent(httpUrl)}`);
+        } else {
+            HttpsOnly.allowedThisRun.add(host);
+            contents.loadURL(httpUrl);
+        }
+    },
+
+    /**
+     * Let a host load over http:// (from the interstitial), for this run or for good
+     */
+    allowHost: (host, remember) => {
+        if (remember) {
+            HttpsOnly.addException(host);
+        } else {
+            HttpsOnly.allowedThisRun.add(host);
+        }
+    },
+
+    /**
+     * Watch a tab's upgraded navigations for failure
+     */
+    watchContents: (contents) => {
+        contents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+            const pending = HttpsOnly.pendingUpgrades.get(contents.id);
+            if (!isMainFrame || !pending || errorCode === ERR_ABORTED) return;
+
+            let host = null;
+            try {
+                host = new URL(validatedURL).hostname;
+            } catch { /* not the upgraded page */ }
+
+            if (host === pending.host) HttpsOnly.handleFailure(contents, pending);
+        });
+
+        contents.on('did-navigate', () => HttpsOnly.pendingUpgrades.delete(contents.id));
+        contents.once('destroyed', () => HttpsOnly.pendingUpgrades.delete(contents.id));
+    }
+};
+
+// ============================================
+// SITE ZOOM
+// ============================================
+
+const SITE_ZOOM_FILE = 'site-zoom.json';
+
+// Zoom factors a site can be saved with (the renderer steps through a subset)
+const MIN_ZOOM_FACTOR = 0.25;
+const MAX_ZOOM_FACTOR = 5;
+
+/**
+ * Zoom levels chosen for sites, shared by all windows. Sites without one
+ * use appSettings.defaultZoom; private windows keep their changes to themselves.
+ *
+ * File: { version, sites: { hostname: factor } }
+ */
+const SiteZoom = {
+    levels: new Map(), // hostname -> zoom factor
+
+    load: () => {
+        const data = readJsonFile(SITE_ZOOM_FILE, {});
+        const sites = data.sites && typeof data.sites === 'object' ? data.sites : {};
+        SiteZoom.levels = new Map(Object.entries(sites).filter(([, factor]) => SiteZoom.isValid(factor)));
+    },
+
+    save: () => {
+        scheduleJsonWrite(SITE_ZOOM_FILE, () => ({
+            version: 1,
+            sites: Object.fromEntries(SiteZoom.levels)
+        }));
+        sendToTrustedPages('site-zoom-changed');
+    },
+
+    isValid: (factor) => typeof factor === 'number' && factor >= MIN_ZOOM_FACTOR && factor <= MAX_ZOOM_FACTOR,
+
+    /**
+     * [{ host, factor }] sorted by host
+     */
+    getAll: () => Array.from(SiteZoom.levels, ([host, factor]) => ({ host, factor }))
+        .sort((a, b) => a.host.localeCompare(b.host)),
+
+    /**
+     * Zooming a site back to the default zoom forgets it
+     */
+    set: (host, factor) => {
+        if (factor === appSettings.defaultZoom) {
+            SiteZoom.levels.delete(host);
+        } else {
+            SiteZoom.levels.set(host, factor);
+        }
+        SiteZoom.save();
+    },
+
+    remove: (host) => {
+        if (SiteZoom.levels.delete(host)) SiteZoom.save();
+    },
+
+    /**
+     * Pages don't zoom on Ctrl + scroll by themselves; pass it on to the
+     * tab's window, which steps the site's zoom level
+     */
+    watchContents: (contents) => {
+        contents.on('zoom-changed', (event, zoomDirection) => {
+            if (contents.isDestroyed() || !contents.hostWebContents) return;
+            contents.hostWebContents.send('tab-zoom-wheel', {
+                webContentsId: contents.id,
+                direction: zoomDirection === 'in' ? 1 : -1
+            });
+        });
+    }
+};
+
+// ============================================
+// TRACKING PROTECTION
+// ============================================
+
+/**
+ * Enforces the privacy settings on requests from tabs: blocks third-party
+ * cookies and sends Do Not Track / Global Privacy Control signals.
+ * Settings are read per request, so changes apply without a restart.
+ */
+const TrackingProtection = {
+    isDoNotTrackEnabled: () => appSettings.doNotTrack,
+
+    isThirdPartyCookieBlockingEnabled: () => appSettings.blockThirdPartyCookies,
+
+    /**
+     * Whether a request is third-party to the page shown in the tab (the
+     * top-level URL, also for requests made by iframes). Navigations of the
+     * tab itself are always first-party.
+     */
+    isThirdParty: (details) => {
+        const contents = details.webContents;
+        if (!contents || contents.isDestroyed() || !contents.hostWebContents) return false;
+        if (details.resourceType === 'mainFrame') return false;
+
+        try {
+            const pageUrl = new URL(contents.getURL());
+            if (!/^https?:$/.test(pageUrl.protocol)) return false;
+            return getBaseDomain(new URL(details.url).hostname) !== getBaseDomain(pageUrl.hostname);
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Switches telling a tab's preload which page-side protections to apply
+     * (fixed when the tab is created, so changes apply to new tabs)
+     */
+    getPreloadArguments: () => {
+        const args = [];
+        if (TrackingProtection.isDoNotTrackEnabled()) args.push('--zy-gpc');
+        if (TrackingProtection.isThirdPartyCookieBlockingEnabled()) args.push('--zy-block-third-party-cookies');
+        return args;
+    },
+
+    /**
+     * Header names are case-insensitive; remove every spelling of one
+     */
+    deleteHeader: (headers, name) => {
+        const lowerName = name.toLowerCase();
+        let deleted = false;
+        Object.keys(headers).forEach(key => {
+            if (key.toLowerCase() === lowerName) {
+                delete headers[key];
+                deleted = true;
+            }
+        });
+        return deleted;
+    },
+
+    /**
+     * onBeforeSendHeaders: add DNT / Sec-GPC, drop cookies sent to third parties
+     */
+    filterRequestHeaders: (details) => {
+        const headers = { ...details.requestHeaders };
+        if (!/^https?:/.test(details.url)) return headers;
+
+        if (TrackingProtection.isDoNotTrackEnabled()) {
+            headers['DNT'] = '1';
+            headers['Sec-GPC'] = '1';
+        }
+
+        if (TrackingProtection.isThirdPartyCookieBlockingEnabled() && TrackingProtection.isThirdParty(details)) {
+            TrackingProtection.deleteHeader(headers, 'Cookie');
+        }
+        return headers;
+    },
+
+    /**
+     * onHeadersReceived: drop cookies set by third parties.
+     * Returns the new headers, or null to leave the response untouched.
+     */
+    filterResponseHeaders: (details) => {
+        if (!details.responseHeaders || !TrackingProtection.isThirdPartyCookieBlockingEnabled()) return null;
+        if (!TrackingProtection.isThirdParty(details)) return null;
+
+        const headers = { ...details.responseHeaders };
+        return TrackingProtection.deleteHeader(headers, 'Set-Cookie') ? headers : null;
+    }
+};
+
+// ============================================
+// SESSION STORE
+// ============================================
+
+const SESSION_FILE = 'session.json';
+
+// Start pages: a window showing only these isn't worth offering to restore
+const SESSION_BLANK_URL = /^zy:\/\/(home|newtab)\/?$/;
+
+/**
+ * Continuous checkpoint of the open windows (tabs, active tab, split view,
+ * back/forward entries) for "restore last session" and crash recovery.
+ *
+ * The file records whether the app exited cleanly; if it didn't, the
+ * next launch offers the windows as a crashed session.
+ */
+const SessionStore = {
+    windows: new Map(), // BrowserWindow id -> window state sent by its renderer
+    previous: null,     // { crashed, windows } from the last run, until a window takes it
+    cleanExit: false,
+
+    load: () => {
+        const data = readJsonFile(SESSION_FILE, null);
+        if (!data || !Array.isArray(data.windows)) return;
+
+        const windows = data.windows.filter(w =>
+            Array.isArray(w.tabs) && w.tabs.some(t => t.url && !SESSION_BLANK_URL.test(t.url)));
+        if (windows.length) {
+            SessionStore.previous = { crashed: !data.cleanExit, windows };
+        }
+    },
+
+    save: () => {
+        scheduleJsonWrite(SESSION_FILE, () => ({
+            version: 1,
+            cleanExit: SessionStore.cleanExit,
+            savedAt: Date.now(),
+            windows: Array.from(SessionStore.windows.values())
+        }));
+    },
+
+    update: (windowId, windowState) => {
+        if (SessionStore.cleanExit || !windowState || !Array.isArray(windowState.tabs)) return;
+        SessionStore.windows.set(windowId, windowState);
+        SessionStore.save();
+    },
+
+    /**
+     * Forget a closed window, unless it was the last one: closing the
+     * last window ends the session and it should be restorable.
+     */
+    removeWindow: (windowId) => {
+        if (SessionStore.cleanExit || SessionStore.windows.size <= 1) return;
+        SessionStore.windows.delete(windowId);
+        SessionStore.save();
+    },
+
+    /**
+     * The previous session is offered to the first window that asks
+     */
+    takePrevious: () => {
+        const previous = SessionStore.previous;
+        SessionStore.previous = null;
+        return previous;
+    },
+
+    /**
+     * A window's renderer died: offer its last checkpoint again once it reloads
+     */
+    handleCrash: (windowId) => {
+        const windowState = SessionStore.windows.get(windowId);
+        if (windowState) SessionStore.previous = { crashed: true, windows: [windowState] };
+    },
+
+    /**
+     * Clearing all history: keep each checkpointed tab's current page, but
+     * not the pages it went through (its back/forward entries)
+     */
+    clearTabHistory: () => {
+        const trim = (windowState) => windowState.tabs.forEach(tab => {
+            const current = tab.history && tab.history.entries && tab.history.entries[tab.history.index];
+            if (current) tab.history = { entries: [current], index: 0 };
+        });
+
+        SessionStore.windows.forEach(trim);
+        if (SessionStore.previous) SessionStore.previous.windows.forEach(trim);
+        SessionStore.save();
+    },
+
+    markCleanExit: () => {
+        SessionStore.save();
+        SessionStore.cleanExit = true;
+    }
+};
+
+// ============================================
+// RECENTLY CLOSED
+// ============================================
+
+const RECENTLY_CLOSED_FILE = 'recently-closed.json';
+const RECENTLY_CLOSED_MAX_ENTRIES = 25;
+
+/**
+ * Tabs and windows closed lately, newest first, for Ctrl+Shift+T and the
+ * "Recently closed" lists. Private windows never add to it.
+ *
+ * Entry: { id, type: 'tab', closedAt, tab, index } (tab as saved in a
+ * session checkpoint, index its place in the strip) or
+ * { id, type: 'window', closedAt, windowState }
+ */
+const RecentlyClosed = {
+    entries: [],
+    counter: 0,
+
+    load: () => {
+        const data = readJsonFile(RECENTLY_CLOSED_FILE, null);
+        if (!data || !Array.isArray(data.entries)) return;
+        RecentlyClosed.entries = data.entries
+            .filter(e => (e.type === 'tab' && e.tab && e.tab.url) || (e.type === 'window' && e.windowState))
+            .slice(0, RECENTLY_CLOSED_MAX_ENTRIES);
+    },
+
+    save: () => {
+        scheduleJsonWrite(RECENTLY_CLOSED_FILE, () => ({ version: 1, entries: RecentlyClosed.entries }));
+        sendToTrustedPages('recently-closed-updated', RecentlyClosed.getList());
+    },
+
+    add: (entry) => {
+        RecentlyClosed.entries.unshift({
+            id: `${Date.now()}-${++RecentlyClosed.counter}`,
+            closedAt: Date.now(),
+            ...entry
+        });
+        RecentlyClosed.entries.length = Math.min(RecentlyClosed.entries.length, RECENTLY_CLOSED_MAX_ENTRIES);
+        RecentlyClosed.save();
+    },
+
+    addTab: (tab, index) => {
+        if (!tab || typeof tab.url !== 'string' || SESSION_BLANK_URL.test(tab.url)) return;
+        RecentlyClosed.add({ type: 'tab', tab, index: Number.isInteger(index) ? index : -1 });
+    },
+
+    /**
+     * Remember a window's last checkpoint (windows showing only start pages are skipped)
+     */
+    addWindow: (windowState) => {
+        if (!windowState || !Array.isArray(windowState.tabs)) return;
+        if (!windowState.tabs.some(t => t.url && !SESSION_BLANK_URL.test(t.url))) return;
+        RecentlyClosed.add({ type: 'window', windowState });
+    },
+
+    /**
+     * Summaries for menus and zy://history
+     */
+    getList: () => RecentlyClosed.entries.map(entry => {
+        if (entry.type === 'tab') {
+            return { id: entry.id, type: 'tab', closedAt: entry.closedAt, title: entry.tab.title || entry.tab.url, url: entry.tab.url };
+        }
+        const tabs = entry.windowState.tabs;
+        const active = tabs[entry.windowState.activeIndex] || tabs[0];
+        return {
+            id: entry.id,
+            type: 'window',
+            closedAt: entry.closedAt,
+            title: active.title || active.url,
+            url: active.url,
+            tabCount: tabs.length
+        };
+    }),
+
+    /**
+     * Remove an entry (the newest when id is null) and return it
+     */
+    take: (id = null) => {
+        const index = id === null ? 0 : RecentlyClosed.entries.findIndex(e => e.id === id);
+        if (index === -1 || !RecentlyClosed.entries[index]) return null;
+
+        const [entry] = RecentlyClosed.entries.splice(index, 1);
+        RecentlyClosed.save();
+        return entry;
+    },
+
+    /**
+     * Reopen an entry: a tab goes back to its place in `win` (if that's a
+     * regular browser window), a window opens again with all its tabs
+     */
+    reopen: (id, win) => {
+        const entry = RecentlyClosed.take(id);
+        if (!entry) return false;
+
+        if (entry.type === 'window') {
+            createWindow({ windowState: entry.windowState });
+            return true;
+        }
+
+        const target = [win, getTargetWindow()].find(w => w && !w.isDestroyed() && !PrivateBrowsing.isPrivateWindow(w));
+        if (target) {
+            target.webContents.send('tab-attach', { tab: entry.tab, index: entry.index });
+            target.focus();
+        } else {
+            createWindow({ windowState: { tabs: [entry.tab], activeIndex: 0 } });
+        }
+        return true;
+    },
+
+    /**
+     * Forget entries closed since a time (0: all)
+     */
+    clear: (since = 0) => {
+        RecentlyClosed.entries = RecentlyClosed.entries.filter(e => e.closedAt < since);
+        RecentlyClosed.save();
+    }
+};
+
+// ============================================
+// BROWSING SESSIONS
+// ============================================
+
+/**
+ * Give a session that shows tabs (other than the default one) the same
+ * zy:// pages, security handlers, download tracking and proxy
+ */
+function setupBrowsingSession(ses, isPrivate = false, containerId = null) {
+    ses.protocol.handle('zy', handleZyProtocol);
+    setupSecurityHandlers(ses);
+    DownloadManager.attach(ses, isPrivate, containerId);
+    ProxyManager.apply(ses, containerId);
+}
+
+// ============================================
+// CONTAINERS
+// ============================================
+
+// Container tabs browse in their own persistent partition: persist:container-<id>
+const CONTAINER_PARTITION = /^persist:container-([a-z0-9-]+)$/;
+
+/**
+ * Sessions of container tabs, set up on first use
+ */
+const ContainerSessions = {
+    sessions: new Map(), // container id -> Session
+
+    isContainerPartition: (partition) => CONTAINER_PARTITION.test(partition || ''),
+
+    get: (containerId) => {
+        if (!ContainerSessions.sessions.has(containerId)) {
+            const ses = session.fromPartition(`persist:container-${containerId}`);
+            setupBrowsingSession(ses, false, containerId);
+            ContainerSessions.sessions.set(containerId, ses);
+        }
+        return ContainerSessions.sessions.get(containerId);
+    },
+
+    getByPartition: (partition) => {
+        const match = CONTAINER_PARTITION.exec(partition || '');
+        return match ? ContainerSessions.get(match[1]) : null;
+    },
+
+    /**
+     * Container a tab's contents belong to (null for regular tabs)
+     */
+    getContainerId: (contents) => {
+        for (const [containerId, ses] of ContainerSessions.sessions) {
+            if (contents.session === ses) return containerId;
+        }
+        return null;
+    },
+
+    /**
+     * Delete a container's cookies, storage and cache
+     */
+    clearData: async (containerId) => {
+        const ses = ContainerSessions.get(containerId);
+        await Promise.all([ses.clearStorageData(), ses.clearCache(), ses.clearAuthCache()]);
+    }
+};
+
+// ============================================
+// PRIVATE BROWSING
+// ============================================
+
+// In-memory partitions (no "persist:" prefix); each private browsing
+// session gets a fresh one so nothing carries over to the next
+const PRIVATE_PARTITION_PREFIX = 'zy-private-';
+
+/**
+ * Private windows share one in-memory session while any of them is open.
+ * Closing the last one clears it and starts over with a new partition.
+ */
+const PrivateBrowsing = {
+    session: null,
+    partition: null,
+    windows: new Set(),
+    count: 0,
+
+    /**
+     * Partition for a new private window (sets the session up on first use)
+     */
+    getPartition: () => {
+        if (!PrivateBrowsing.session) {
+            PrivateBrowsing.partition = `${PRIVATE_PARTITION_PREFIX}${++PrivateBrowsing.count}`;
+
+            const ses = session.fromPartition(PrivateBrowsing.partition);
+            setupBrowsingSession(ses, true);
+            PrivateBrowsing.session = ses;
+        }
+        return PrivateBrowsing.partition;
+    },
+
+    isPrivateWindow: (win) => !!win && PrivateBrowsing.windows.has(win),
+
+    /**
+     * Whether a tab's contents belong to the private session
+     */
+    isPrivateContents: (contents) => {
+        return !!contents && !contents.isDestroyed() && !!PrivateBrowsing.session &&
+            contents.session === PrivateBrowsing.session;
+    },
+
+    addWindow: (win) => {
+        PrivateBrowsing.windows.add(win);
+    },
+
+    removeWindow: (win) => {
+        PrivateBrowsing.windows.delete(win);
+        if (PrivateBrowsing.windows.size === 0 && PrivateBrowsing.session) {
+            PrivateBrowsing.discard();
+        }
+    },
+
+    /**
+     * Throw away everything the private session stored
+     */
+    discard: () => {
+        const ses = PrivateBrowsing.session;
+        PrivateBrowsing.session = null;
+        PrivateBrowsing.partition = null;
+
+        DownloadManager.forgetPrivate();
+        Promise.all([ses.clearStorageData(), ses.clearCache(), ses.clearAuthCache()])
+            .catch(e => console.error('[Private] Failed to clear private data:', e.message));
+    }
+};
+
+// ============================================
+// PROXY
+// ============================================
+
+const PROXY_FILE = 'proxy.json';
+
+// How tabs connect:
+// - direct:   no proxy
+// - system:   the operating system's proxy settings (Electron's default)
+// - manual:   HTTP / HTTPS / SOCKS5 servers with a bypass list
+// - pac_url:  a proxy auto-config script at a URL
+// - pac_file: a local proxy auto-config file
+const PROXY_MODES = ['direct', 'system', 'manual', 'pac_url', 'pac_file'];
+
+const DEFAULT_PROXY_CONFIG = { mode: 'system', http: '', https: '', socks: '', bypass: '', pacUrl: '', pacFile: '' };
+
+// "host:port" or "[ipv6]:port"
+const PROXY_SERVER_PATTERN = /^([a-z0-9.-]+|\[[0-9a-f:.]+\]):\d{1,5}$/i;
+
+// In-memory session used to try a configuration before it is saved
+const PROXY_TEST_PARTITION = 'zy-proxy-test';
+const PROXY_TEST_URL = 'https://example.com/';
+const PROXY_TEST_TIMEOUT_MS = 10000;
+
+// A proxy asking again this many times in a short while is rejecting the stored password
+const PROXY_AUTH_MAX_ATTEMPTS = 3;
+const PROXY_AUTH_WINDOW_MS = 10000;
+
+/**
+ * Proxy configuration for tabs: one for all tabs, optionally overridden per
+ * container, plus the credentials sent when a proxy asks for them.
+ *
+ * Stored data: {
+ *   version,
+ *   default: config,
+ *   containers: { [containerId]: config },
+ *   credentials: { [scope]: { username, password, encrypted } }  (scope: 'default' or a container id)
+ * }
+ * Passwords are encrypted with the OS keychain (safeStorage) when it's available.
+ */
+const ProxyManager = {
+    config: { ...DEFAULT_PROXY_CONFIG },
+    containers: {},
+    credentials: {},
+    authAttempts: new Map(), // 'scope|host:port' -> { count, since }
+
+    load: () => {
+        const data = readJsonFile(PROXY_FILE, {});
+        ProxyManager.config = ProxyManager.normalize(data.default);
+        ProxyManager.containers = {};
+        Object.entries(data.containers || {}).forEach(([containerId, config]) => {
+            ProxyManager.containers[containerId] = ProxyManager.normalize(config);
+        });
+        ProxyManager.credentials = data.credentials || {};
+    },
+
+    save: () => {
+        scheduleJsonWrite(PROXY_FILE, () => ({
+            version: 1,
+            default: ProxyManager.config,
+            containers: ProxyManager.containers,
+            credentials: ProxyManager.credentials
+        }));
+    },
+
+    normalize: (config) => {
+        const normalized = { ...DEFAULT_PROXY_CONFIG };
+        Object.keys(DEFAULT_PROXY_CONFIG).forEach(key => {
+            if (config && typeof config[key] === 'string') normalized[key] = config[key].trim();
+        });
+        if (!PROXY_MODES.includes(normalized.mode)) normalized.mode = DEFAULT_PROXY_CONFIG.mode;
+        return normalized;
+    },
+
+    /**
+     * Returns an error message, or null if the configuration is usable
+     */
+    validate: (config) => {
+        if (config.mode === 'manual') {
+            const servers = [config.http, config.https, config.socks].filter(Boolean);
+            if (servers.length === 0) return 'Enter at least one proxy server';
+            const invalid = servers.find(server => !PROXY_SERVER_PATTERN.test(server));
+            if (invalid) return `"${invalid}" isn't a valid proxy (use host:port)`;
+        } else if (config.mode === 'pac_url') {
+            if (!/^(https?|file):\/\//i.test(config.pacUrl)) return 'Enter the URL of the PAC script';
+        } else if (config.mode === 'pac_file') {
+            if (!config.pacFile) return 'Choose a PAC file';
+        }
+        return null;
+    },
+
+    /**
+     * The config as Electron's session.setProxy() expects it
+     */
+    toSessionConfig: (config) => {
+        switch (config.mode) {
+            case 'direct':
+                return { mode: 'direct' };
+            case 'manual': {
+                const rules = [];
+                if (config.http) rules.push(`http=${config.http}`);
+                if (config.https) rules.push(`https=${config.https}`);
+                // SOCKS alone proxies everything; next to others it's the fallback
+                if (config.socks) rules.push(rules.length ? `socks=socks5://${config.socks}` : `socks5://${config.socks}`);
+                const bypass = config.bypass.split(/[\s,;]+/).filter(Boolean).join(',');
+                return { mode: 'fixed_servers', proxyRules: rules.join(';'), proxyBypassRules: bypass };
+            }
+            case 'pac_url':
+                return { mode: 'pac_script', pacScript: config.pacUrl };
+            case 'pac_file':
+                // Handed over as a data: URL (file:// PAC URLs aren't reliably supported)
+                try {
+                    const script = fs.readFileSync(config.pacFile);
+                    return { mode: 'pac_script', pacScript: `data:application/x-ns-proxy-autoconfig;base64,${script.toString('base64')}` };
+                } catch (e) {
+                    console.error('[Proxy] Failed to read PAC file:', e.message);
+                    return { mode: 'pac_script', pacScript: url.pathToFileURL(config.pacFile).href };
+                }
+            default:
+                return { mode: 'system' };
+        }
+    },
+
+    /**
+     * Config a session uses: its container's override, else the default
+     */
+    getEffective: (containerId) => {
+        return (containerId && ProxyManager.containers[containerId]) || ProxyManager.config;
+    },
+
+    apply: (ses, containerId = null) => {
+        const config = ProxyManager.getEffective(containerId);
+        return ses.setProxy(ProxyManager.toSessionConfig(config))
+            .then(() => ses.closeAllConnections())
+            .catch(e => console.error('[Proxy] Failed to apply proxy settings:', e.message));
+    },
+
+    /**
+     * Re-apply to every session that shows tabs (after a change)
+     */
+    applyAll: () => {
+        ProxyManager.apply(session.defaultSession);
+        if (PrivateBrowsing.session) ProxyManager.apply(PrivateBrowsing.session);
+        ContainerSessions.sessions.forEach((ses, containerId) => ProxyManager.apply(ses, containerId));
+    },
+
+    /**
+     * What the proxy page shows for a scope ('default' or a container id).
+     * The password itself never leaves the main process.
+     */
+    getScope: (scope) => {
+        const isDefault = scope === 'default';
+        const credentials = ProxyManager.credentials[scope];
+        return {
+            config: isDefault ? ProxyManager.config : (ProxyManager.containers[scope] || ProxyManager.config),
+            hasOverride: isDefault || !!ProxyManager.containers[scope],
+            username: credentials ? credentials.username : '',
+            hasPassword: !!(credentials && credentials.password)
+        };
+    },
+
+    /**
+     * Save a scope's config (null removes a container's override) and credentials.
+     * credentials: { username, password } - an empty password keeps the stored one.
+     * Returns an error message, or null.
+     */
+    setScope: (scope, config, credentials) => {
+        const isDefault = scope === 'default';
+        if (config === null && !isDefault) {
+            delete ProxyManager.containers[scope];
+            delete ProxyManager.credentials[scope];
+        } else {
+            const normalized = ProxyManager.normalize(config);
+            const error = ProxyManager.validate(normalized);
+            if (error) return error;
+
+            if (isDefault) {
+                ProxyManager.config = normalized;
+            } else {
+                ProxyManager.containers[scope] = normalized;
+            }
+            ProxyManager.setCredentials(scope, credentials);
+        }
+
+        ProxyManager.authAttempts.clear();
+        ProxyManager.save();
+        ProxyManager.applyAll();
+        return null;
+    },
+
+    setCredentials: (scope, credentials) => {
+        const username = credentials && typeof credentials.username === 'string' ? credentials.username.trim() : '';
+        if (!username) {
+            delete ProxyManager.credentials[scope];
+            return;
+        }
+
+        const stored = ProxyManager.credentials[scope];
+        const password = credentials.password
+            ? ProxyManager.encrypt(credentials.password)
+            : stored && { password: stored.password, encrypted: stored.encrypted };
+        ProxyManager.credentials[scope] = { username, ...(password || { password: '', encrypted: false }) };
+    },
+
+    encrypt: (password) => {
+        if (safeStorage.isEncryptionAvailable()) {
+            return { password: safeStorage.encryptString(password).toString('base64'), encrypted: true };
+        }
+        return { password, encrypted: false };
+    },
+
+    /**
+     * Credentials of a scope, falling back to the default ones
+     */
+    getCredentials: (scope) => {
+        const stored = ProxyManager.credentials[scope] || ProxyManager.credentials.default;
+        if (!stored) return null;
+
+        try {
+            const password = stored.encrypted
+                ? safeStorage.decryptString(Buffer.from(stored.password, 'base64'))
+                : stored.password;
+            return { username: stored.username, password };
+        } catch (e) {
+            console.error('[Proxy] Failed to decrypt the proxy password:', e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Credentials to answer a proxy's login request from a tab with,
+     * or null to let it fail (none stored, or they keep being rejected)
+     */
+    getCredentialsFor: (contents, authInfo) => {
+        const containerId = contents && !contents.isDestroyed() ? ContainerSessions.getContainerId(contents) : null;
+        const scope = containerId && ProxyManager.containers[containerId] ? containerId : 'default';
+
+        const key = `${scope}|${authInfo.host}:${authInfo.port}`;
+        const now = Date.now();
+        const attempts = ProxyManager.authAttempts.get(key);
+        if (attempts && now - attempts.since < PROXY_AUTH_WINDOW_MS) {
+            if (++attempts.count > PROXY_AUTH_MAX_ATTEMPTS) return null;
+        } else {
+            ProxyManager.authAttempts.set(key, { count: 1, since: now });
+        }
+
+        return ProxyManager.getCredentials(scope);
+    },
+
+    /**
+     * Load a test page through a configuration (not yet saved) and report
+     * the proxy used, the HTTP status and the time taken
+     */
+    test: async (scope, config, credentials) => {
+        const normalized = ProxyManager.normalize(config);
+        const error = ProxyManager.validate(normalized);
+        if (error) return { ok: false, error };
+
+        const ses = session.fromPartition(PROXY_TEST_PARTITION);
+        await ses.setProxy(ProxyManager.toSessionConfig(normalized));
+        await ses.closeAllConnections();
+        const proxy = await ses.resolveProxy(PROXY_TEST_URL);
+        const startTime = Date.now();
+
+        return new Promise(resolve => {
+            const request = net.request({ url: PROXY_TEST_URL, session: ses, useSessionCookies: false });
+            const finish = (result) => {
+                clearTimeout(timer);
+                resolve({ proxy, ...result });
+            };
+            const timer = setTimeout(() => {
+                request.abort();
+                finish({ ok: false, error: 'Timed out' });
+            }, PROXY_TEST_TIMEOUT_MS);
+
+            request.on('login', (authInfo, callback) => {
+                const login = credentials && credentials.username && credentials.password
+                    ? credentials
+                    : ProxyManager.getCredentials(scope);
+                if (authInfo.isProxy && login) {
+                    callback(login.username, login.password);
+                } else {
+                    callback();
+                }
+            });
+            request.on('response', (response) => {
+                response.on('data', () => { });
+                finish({ ok: true, status: response.statusCode, time: Date.now() - startTime });
+            });
+            request.on('error', (e) => finish({ ok: false, error: e.message }));
+            request.end();
+        });
+    }
+};
+
+// ============================================
+// BROWSING DATA
+// ============================================
+
+// What the clear-browsing-data dialog can clear. Cookies, site data and the
+// cache can only be cleared for all time (Electron can't clear them by date).
+const BROWSING_DATA_TYPES = ['history', 'downloads', 'cookies', 'siteData', 'cache', 'sessions', 'cssOverrides'];
+
+// Kept by the browser windows (localStorage): they clear these when told to
+const RENDERER_DATA_TYPES = ['sessions', 'cssOverrides'];
+
+// "Other site data": everything a site can store except cookies
+const SITE_DATA_STORAGES = ['localstorage', 'indexdb', 'websql', 'filesystem', 'serviceworkers', 'cachestorage', 'shadercache'];
+
+// Data files that shrink when history, downloads or sessions are cleared
+const BROWSING_DATA_FILES = [HISTORY_FILE, DOWNLOADS_FILE, RECENTLY_CLOSED_FILE, SESSION_FILE];
+
+/**
+ * Clears browsing data on request (settings) and on exit (clear-on-exit rules)
+ */
+const BrowsingData = {
+    clearedOnExit: false,
+
+    /**
+     * Sessions holding persistent data: the default one and every container
+     * partition on disk (private sessions are discarded anyway). Containers
+     * not used this run are opened bare: nothing browses in them.
+     */
+    getSessions: () => {
+        const sessions = [session.defaultSession];
+        try {
+            fs.readdirSync(getDataPath('Partitions')).forEach(dirName => {
+                const match = CONTAINER_PARTITION.exec(`persist:${dirName}`);
+                if (match) sessions.push(ContainerSessions.sessions.get(match[1]) || session.fromPartition(`persist:${dirName}`));
+            });
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error('[BrowsingData] Failed to list partitions:', e.message);
+        }
+        return sessions;
+    },
+
+    /**
+     * Bytes used by the history, downloads and session files
+     */
+    getFilesSize: async () => {
+        const sizes = await Promise.all(BROWSING_DATA_FILES.map(fileName =>
+            fs.promises.stat(getDataPath(fileName)).then(stats => stats.size, () => 0)));
+        return sizes.reduce((total, size) => total + size, 0);
+    },
+
+    /**
+     * Delete cookies, except those of the given sites (and their subdomains)
+     */
+    clearCookies: async (ses, keepSites = []) => {
+        if (keepSites.length === 0) {
+            await ses.clearStorageData({ storages: ['cookies'] });
+            return;
+        }
+
+        const cookies = await ses.cookies.get({});
+        await Promise.all(cookies.map(cookie => {
+            const domain = cookie.domain.replace(/^\./, '');
+            if (keepSites.some(site => domain === site || domain.endsWith(`.${site}`))) return null;
+
+            const cookieUrl = `${cookie.secure ? 'https' : 'http'}://${domain}${cookie.path || '/'}`;
+            return ses.cookies.remove(cookieUrl, cookie.name);
+        }));
+    },
+
+    /**
+     * Clear the selected types of data created since a time (0: all time).
+     * Resolves to { freedBytes }: how much the cache and the history, downloads
+     * and session files shrank (Chromium deletes cookies and site data lazily,
+     * so they can't be measured).
+     */
+    clear: async ({ types = [], since = 0, keepSites = [] } = {}) => {
+        const selected = types.filter(type => BROWSING_DATA_TYPES.includes(type));
+        flushJsonWrites();
+        const filesSizeBefore = await BrowsingData.getFilesSize();
+
+        if (selected.includes('history')) {
+            if (since > 0) {
+                HistoryStore.deleteRange(since);
+            } else {
+                HistoryStore.clear();
+                SessionStore.clearTabHistory();
+            }
+            RecentlyClosed.clear(since);
+        }
+        if (selected.includes('downloads')) DownloadManager.clear(since);
+        if (selected.includes('sessions')) SessionStore.takePrevious();
+
+        // Each session resolves to the cache bytes it freed
+        const freedCache = await Promise.all(BrowsingData.getSessions().map(async (ses) => {
+            if (selected.includes('cookies')) await BrowsingData.clearCookies(ses, keepSites);
+            if (selected.includes('siteData')) await ses.clearStorageData({ storages: SITE_DATA_STORAGES });
+            if (!selected.includes('cache')) return 0;
+
+            const cacheSize = await ses.getCacheSize();
+            await ses.clearCache();
+            return Math.max(0, cacheSize - await ses.getCacheSize());
+        }));
+
+        const rendererTypes = selected.filter(type => RENDERER_DATA_TYPES.includes(type));
+        if (rendererTypes.length > 0) {
+            browserWindows.forEach(win => win.webContents.send('browsing-data-cleared', { types: rendererTypes, since }));
+        }
+
+        flushJsonWrites();
+        const filesSizeAfter = await BrowsingData.getFilesSize();
+        const freedBytes = freedCache.reduce((sum, bytes) => sum + bytes, 0) +
+            Math.max(0, filesSizeBefore - filesSizeAfter);
+        return { freedBytes };
+    },
+
+    /**
+     * Apply the clear-on-exit rules (once per run)
+     */
+    clearOnExit: () => {
+        BrowsingData.clearedOnExit = true;
+        return BrowsingData.clear({
+            types: appSettings.clearOnExitTypes,
+            keepSites: appSettings.clearOnExitKeepSites
+        });
+    }
+};
+
+// ============================================
+// TASK MANAGER
+// ============================================
+
+// Process types reported by app.getAppMetrics(), as shown to the user
+const PROCESS_TYPE_LABELS = {
+    Browser: 'Zy (main process)',
+    GPU: 'GPU process',
+    Utility: 'Utility',
+    Zygote: 'Zygote',
+    'Sandbox helper': 'Sandbox helper',
+    'Pepper Plugin': 'Plugin',
+    'Pepper Plugin Broker': 'Plugin broker',
+    Unknown: 'Process'
+};
+
+/**
+ * Data for zy://task-manager: every process with its memory and CPU use,
+ * the tabs it renders, and how many network requests each tab made.
+ */
+const TaskManager = {
+    network: new Map(), // webContentsId -> { requests } since the tab opened
+
+    /**
+     * Count a finished request against its tab. Electron doesn't report
+     * transferred bytes (Content-Length is often missing), so only requests.
+     */
+    recordRequest: (details) => {
+        if (!details.webContentsId || details.fromCache) return;
+
+        let totals = TaskManager.network.get(details.webContentsId);
+        if (!totals) {
+            const contents = webContents.fromId(details.webContentsId);
+            if (!contents || contents.getType() !== 'webview') return;
+
+            totals = { requests: 0 };
+            TaskManager.network.set(details.webContentsId, totals);
+            contents.once('destroyed', () => TaskManager.network.delete(details.webContentsId));
+        }
+
+        totals.requests++;
+    },
+
+    /**
+     * Processes sorted by memory use. Network totals are cumulative:
+     * the page turns them into rates between refreshes.
+     */
+    getProcesses: () => {
+        const contentsByPid = new Map();
+        webContents.getAllWebContents().forEach(contents => {
+            if (contents.isDestroyed()) return;
+            const pid = contents.getOSProcessId();
+            if (!contentsByPid.has(pid)) contentsByPid.set(pid, []);
+            contentsByPid.get(pid).push(contents);
+        });
+
+        return app.getAppMetrics().map(metric => {
+            const contents = contentsByPid.get(metric.pid) || [];
+            const tabs = contents.filter(c => c.getType() === 'webview').map(c => ({
+                id: c.id,
+                title: c.getTitle(),
+                url: c.getURL(),
+                network: TaskManager.network.get(c.id) || { requests: 0 }
+            }));
+
+            let name;
+            if (tabs.length) {
+                name = tabs.length === 1 ? `Tab: ${tabs[0].title || tabs[0].url}` : `${tabs.length} tabs`;
+            } else if (contents.length) {
+                name = 'Browser window';
+            } else {
+                name = PROCESS_TYPE_LABELS[metric.type] || metric.type;
+                if (metric.serviceName || metric.name) name += `: ${metric.name || metric.serviceName}`;
+            }
+
+            return {
+                pid: metric.pid,
+                type: metric.type,
+                name,
+                memory: metric.memory.workingSetSize * 1024,
+                cpu: metric.cpu.percentCPUUsage,
+                tabs
+            };
+        }).sort((a, b) => b.memory - a.memory);
+    },
+
+    /**
+     * End a renderer process that shows tabs (every tab in it shows as crashed)
+     */
+    killProcess: (pid) => {
+        const contents = webContents.getAllWebContents()
+            .find(c => !c.isDestroyed() && c.getType() === 'webview' && c.getOSProcessId() === pid);
+        if (!contents) return false;
+
+        contents.forcefullyCrashRenderer();
+        return true;
+    },
+
+    reloadTab: (webContentsId) => {
+        const contents = webContents.fromId(webContentsId);
+        if (!contents || contents.isDestroyed() || contents.getType() !== 'webview') return false;
+
+        contents.reload();
+        return true;
+    }
 };
 
 // ============================================
 // WINDOW MANAGEMENT
 // ============================================
 
-// Keep a global reference of the window object to prevent garbage collection
-let mainWindow = null;
+// Isolated world the browser's own scripts run in inside tabs (see guest-execute-isolated)
+const ISOLATED_WORLD_ID = 1001;
+
+// Keep a global reference of the browser windows to prevent garbage collection
+const browserWindows = new Set();
+
+// Tabs for windows that haven't loaded yet: BrowserWindow id -> window state
+const pendingWindowStates = new Map();
+
+// Target for tabs opened from outside a browser window (e.g. settings)
+let lastFocusedWindow = null;
 
 /**
- * Creates the main browser window with optimized settings
+ * Creates a browser window with optimized settings
  * for performance and low memory usage.
+ *
+ * options.windowState (same shape as a session checkpoint) gives the window
+ * its initial tabs; without it the window opens a single home tab.
+ * options.position places it (e.g. where a tab was dropped) and
+ * options.isPrivate makes it a private window.
  */
-function createWindow() {
-    mainWindow = new BrowserWindow({
+function createWindow({ windowState = null, position = null, isPrivate = false } = {}) {
+    const win = new BrowserWindow({
         width: DEFAULT_WIDTH,
         height: DEFAULT_HEIGHT,
+        ...(position || {}),
         minWidth: MIN_WIDTH,
         minHeight: MIN_HEIGHT,
 
@@ -125,34 +2513,185 @@ function createWindow() {
         }
     });
 
-    // Load the renderer HTML file
-    mainWindow.loadFile(path.join(__dirname, 'renderer', 'index.html'));
+    const windowId = win.id;
+    browserWindows.add(win);
+    lastFocusedWindow = win;
+    if (windowState) pendingWindowStates.set(windowId, windowState);
+
+    // Load the renderer HTML file (private windows learn their partition from the query)
+    if (isPrivate) {
+        PrivateBrowsing.addWindow(win);
+        win.loadFile(path.join(__dirname, 'renderer', 'index.html'), { query: { private: PrivateBrowsing.getPartition() } });
+    } else {
+        win.loadFile(path.join(__dirname, 'renderer', 'index.html'));
+    }
 
     // Show window when ready to prevent white flash
-    mainWindow.once('ready-to-show', () => {
-        mainWindow.show();
+    win.once('ready-to-show', () => {
+        win.show();
     });
 
     // Remove default menu for minimal UI
-    mainWindow.setMenu(null);
+    win.setMenu(null);
+
+    win.on('focus', () => {
+        lastFocusedWindow = win;
+    });
+
+    // Recover from a renderer crash: reload and offer the last checkpoint
+    win.webContents.on('render-process-gone', (event, details) => {
+        if (details.reason === 'clean-exit') return;
+        console.error('[Session] Browser window renderer gone:', details.reason);
+        SessionStore.handleCrash(windowId);
+        if (!win.isDestroyed()) win.reload();
+    });
 
     // Handle window closed event
-    mainWindow.on('closed', () => {
-        mainWindow = null;
+    win.on('closed', () => {
+        // Closed by the user (not by quitting): it can be reopened from "Recently closed"
+        if (!isPrivate && !SessionStore.cleanExit) RecentlyClosed.addWindow(SessionStore.windows.get(windowId));
+        SessionStore.removeWindow(windowId);
+        browserWindows.delete(win);
+        pendingWindowStates.delete(windowId);
+        if (isPrivate) PrivateBrowsing.removeWindow(win);
+        if (lastFocusedWindow === win) {
+            lastFocusedWindow = Array.from(browserWindows).pop() || null;
+        }
     });
 
     // Setup Window Specific Security Handlers
-    handleWindowSecurity(mainWindow);
+    handleWindowSecurity(win);
+    return win;
+}
+
+/**
+ * The browser window whose own renderer is `contents`
+ * (null for settings, webview guests and other pages)
+ */
+function getBrowserWindow(contents) {
+    const win = BrowserWindow.fromWebContents(contents);
+    return win && browserWindows.has(win) && win.webContents === contents ? win : null;
+}
+
+/**
+ * The focused browser window, or the one used most recently
+ */
+function getTargetWindow() {
+    const focused = BrowserWindow.getFocusedWindow();
+    if (focused && browserWindows.has(focused)) return focused;
+    return lastFocusedWindow;
+}
+
+/**
+ * Ask a browser window to open a URL in a new tab.
+ * options: { activate = true, containerId, openerWebContentsId }
+ */
+function openTabInWindow(win, targetUrl, options = {}) {
+    if (!win || win.isDestroyed()) return;
+    const activate = options.activate !== false;
+    win.webContents.send('open-tab', targetUrl, { ...options, activate });
+    if (activate) win.focus();
+}
+
+/**
+ * Pages asking for a new window (target=_blank, window.open) get a tab in
+ * the window hosting them; popups with window features get a browser window.
+ */
+function handleGuestWindowOpen(contents) {
+    contents.setWindowOpenHandler(({ url: targetUrl, disposition }) => {
+        if (!/^https?:\/\//i.test(targetUrl)) return { action: 'deny' };
+
+        // The new tab stays in the opener's container
+        const host = contents.hostWebContents && getBrowserWindow(contents.hostWebContents);
+        const containerId = ContainerSessions.getContainerId(contents);
+        if (disposition === 'new-window') {
+            createWindow({
+                windowState: { tabs: [{ url: targetUrl, containerId }], activeIndex: 0 },
+                isPrivate: PrivateBrowsing.isPrivateWindow(host)
+            });
+        } else {
+            // The opener's id lets the window nest the new tab under it (only when it's in that window)
+            openTabInWindow(host || getTargetWindow(), targetUrl, {
+                activate: disposition !== 'background-tab',
+                containerId,
+                openerWebContentsId: host ? contents.id : null
+            });
+        }
+        return { action: 'deny' };
+    });
+}
+
+/**
+ * Browser shortcuts (see the renderer's ShortcutManager), as a before-input-event input
+ */
+function isBrowserShortcut(input) {
+    const cmdOrCtrl = input.control || input.meta;
+    const key = input.key.length === 1 ? input.key.toLowerCase() : input.key;
+
+    if (cmdOrCtrl && ['t', 'n', 'w', 'r', 'f', 'h', 'j', 'l', '+', '=', '-', '_', '0', 'Tab'].includes(key)) return true;
+    if (cmdOrCtrl && input.shift && key === 'c') return true; // CSS overrides panel
+    if (input.alt && ['ArrowLeft', 'ArrowRight', 'd'].includes(key)) return true;
+    if (input.shift && key === 'Escape') return true;
+    return ['F5', 'F6', 'F12'].includes(key);
+}
+
+/**
+ * Key presses go to the focused page, not the window around it: hand the
+ * browser's shortcuts to the tab's window instead (the page doesn't see them)
+ */
+function forwardGuestShortcuts(contents) {
+    contents.on('before-input-event', (event, input) => {
+        if (input.type !== 'keyDown' || !contents.hostWebContents || !isBrowserShortcut(input)) return;
+        event.preventDefault();
+        contents.hostWebContents.send('guest-shortcut', {
+            key: input.key,
+            code: input.code,
+            ctrlKey: input.control,
+            shiftKey: input.shift,
+            altKey: input.alt,
+            metaKey: input.meta
+        });
+    });
 }
 
 function handleWindowSecurity(win) {
-    // Prevent new window creation from renderer without permission
-    win.webContents.setWindowOpenHandler(({ url }) => {
-        // Only allow specific protocols if needed, or deny all
-        // For a browser, we might want to create a new tab instead
+    // The browser UI itself never opens windows; pages inside tabs do (see handleGuestWindowOpen)
+    win.webContents.setWindowOpenHandler(() => {
         return { action: 'deny' };
     });
 
+    // Harden every <webview> before it attaches and give it the shared preload.
+    // The preload only exposes zyAPI to internal (zy://) pages.
+    win.webContents.on('will-attach-webview', (event, webPreferences, params) => {
+        delete webPreferences.preloadURL;
+        webPreferences.preload = path.join(__dirname, 'preload.js');
+        webPreferences.nodeIntegration = false;
+        webPreferences.contextIsolation = true;
+        webPreferences.backgroundThrottling = appSettings.backgroundThrottling;
+        // The preload also runs in iframes (to block cookies in third-party frames)
+        webPreferences.nodeIntegrationInSubFrames = true;
+        webPreferences.additionalArguments = TrackingProtection.getPreloadArguments();
+
+        // Tabs of a private window always use the private partition. Other
+        // windows may only use container partitions (set up before the tab loads).
+        if (PrivateBrowsing.isPrivateWindow(win)) {
+            params.partition = PrivateBrowsing.partition;
+        } else if (ContainerSessions.isContainerPartition(params.partition)) {
+            ContainerSessions.getByPartition(params.partition);
+        } else {
+            delete params.partition;
+        }
+    });
+
+    win.webContents.on('did-attach-webview', (event, contents) => {
+        PermissionManager.watchContents(contents);
+        ContentBlocker.watchContents(contents);
+        HttpsOnly.watchContents(contents);
+        SiteZoom.watchContents(contents);
+        handleGuestWindowOpen(contents);
+        forwardGuestShortcuts(contents);
+    });
+
     // Prevent navigation to strictly internal pages
     win.webContents.on('will-navigate', (event, url) => {
         if (!url.startsWith('file://')) {
@@ -163,6 +2702,41 @@ function handleWindowSecurity(win) {
     });
 }
 
+// ============================================
+// TAB DRAG BETWEEN WINDOWS
+// ============================================
+
+// Where the cursor sits in a window created from a dragged-out tab
+const TAB_DRAG_OFFSET = { x: 100, y: 20 };
+
+// The tab being dragged: { win, tabId, tab (session tab state and the page's
+// scroll/form state), isOnlyTab }. Its page reloads in the window it moves to.
+let draggedTab = null;
+
+/**
+ * Close the dragged tab in its source window (or the window, if it was its only tab)
+ */
+function detachDraggedTab() {
+    const { win, tabId, isOnlyTab } = draggedTab;
+    draggedTab = null;
+    if (win.isDestroyed()) return;
+
+    if (isOnlyTab) {
+        win.close();
+    } else {
+        win.webContents.send('tab-detach', tabId);
+    }
+}
+
+/**
+ * Recreate the dragged tab in another window at `index` (-1 = end)
+ */
+function moveDraggedTab(target, index) {
+    target.webContents.send('tab-attach', { tab: draggedTab.tab, index });
+    target.focus();
+    detachDraggedTab();
+}
+
 // ============================================
 // SETTINGS WINDOW
 // ============================================
@@ -172,7 +2746,7 @@ let settingsWindow = null;
 /**
  * Creates the settings window
  */
-function createSettingsWindow() {
+function createSettingsWindow(parent) {
     if (settingsWindow) {
         settingsWindow.focus();
         return;
@@ -185,7 +2759,7 @@ function createSettingsWindow() {
         minHeight: 600,
         backgroundColor: '#f1f3f4', // Chrome light gray default, will update with theme
         show: false,
-        parent: mainWindow,
+        parent,
         webPreferences: {
             preload: path.join(__dirname, 'preload.js'),
             contextIsolation: true,
@@ -221,20 +2795,43 @@ function setupIpcHandlers() {
     });
 
     // --- Window Control IPC ---
-    ipcMain.on('window-minimize', () => {
-        mainWindow.minimize();
+    // Each handler acts on the window that sent the message
+    ipcMain.on('window-minimize', (event) => {
+        BrowserWindow.fromWebContents(event.sender)?.minimize();
     });
 
-    ipcMain.on('window-maximize', () => {
-        if (mainWindow.isMaximized()) {
-            mainWindow.unmaximize();
+    ipcMain.on('window-maximize', (event) => {
+        const win = BrowserWindow.fromWebContents(event.sender);
+        if (!win) return;
+        if (win.isMaximized()) {
+            win.unmaximize();
         } else {
-            mainWindow.maximize();
+            win.maximize();
         }
     });
 
-    ipcMain.on('window-close', () => {
-        mainWindow.close();
+    ipcMain.on('window-close', (event) => {
+        BrowserWindow.fromWebContents(event.sender)?.close();
+    });
+
+    // Open a new browser window, optionally with tabs (e.g. a saved session)
+    ipcMain.on('window-new', (event, windowState) => {
+        if (!getBrowserWindow(event.sender)) return;
+        const valid = windowState && Array.isArray(windowState.tabs) && windowState.tabs.length;
+        createWindow({ windowState: valid ? windowState : null });
+    });
+
+    ipcMain.on('window-new-private', (event) => {
+        if (getBrowserWindow(event.sender)) createWindow({ isPrivate: true });
+    });
+
+    // A new window picks up the tabs it was created with (once)
+    ipcMain.handle('window-take-initial-state', (event) => {
+        const win = getBrowserWindow(event.sender);
+        if (!win) return null;
+        const windowState = pendingWindowStates.get(win.id) || null;
+        pendingWindowStates.delete(win.id);
+        return windowState;
     });
 
     // --- Developer Tools IPC ---
@@ -269,36 +2866,114 @@ function setupIpcHandlers() {
         }
     });
 
+    // Run a script in one of the window's tabs apart from the page's own scripts
+    // (the find bar's regex search): same DOM, separate globals
+    ipcMain.handle('guest-execute-isolated', (event, { webContentsId, code }) => {
+        const contents = webContents.fromId(webContentsId);
+        if (!getBrowserWindow(event.sender) || !contents || contents.isDestroyed() ||
+            contents.hostWebContents !== event.sender || typeof code !== 'string') {
+            throw new Error('Not a tab of this window');
+        }
+        return contents.executeJavaScriptInIsolatedWorld(ISOLATED_WORLD_ID, [{ code }]);
+    });
+
     // --- Settings Window IPC ---
-    ipcMain.on('open-settings', () => {
-        createSettingsWindow();
+    ipcMain.on('open-settings', (event) => {
+        createSettingsWindow(getBrowserWindow(event.sender) || getTargetWindow());
     });
 
-    ipcMain.on('settings-changed', (event, settings) => {
-        // Broadcast settings update to all windows
-        BrowserWindow.getAllWindows().forEach(win => {
-            win.webContents.send('settings-updated', settings);
-        });
+    // --- Settings IPC ---
+    // Changes are broadcast to every window and internal page (settings-updated).
+    // Privacy settings (cookies, DNT, HTTPS-Only, content blocking) are read
+    // per request, so they apply from the next request on.
+
+    ipcMain.handle('settings-get', () => SettingsStore.get());
+
+    ipcMain.handle('settings-set', (event, changes) => SettingsStore.set(changes));
+
+    ipcMain.handle('settings-import-legacy', (event, settings) => SettingsStore.importLegacy(settings));
+
+    // --- Performance IPC ---
+
+    ipcMain.handle('performance-get-status', () => ({ restartRequired: Performance.isRestartRequired() }));
+
+    ipcMain.handle('performance-get-diagnostics', () => Performance.getDiagnostics());
 
-        // Apply Main Process Side Settings Immediately
-        // (e.g. Clearin cache, etc.)
+    ipcMain.handle('performance-get-tab-memory', (event, webContentsId) => Performance.getTabMemory(webContentsId));
+
+    // --- Task Manager IPC ---
+
+    ipcMain.handle('task-manager-get', () => TaskManager.getProcesses());
+
+    ipcMain.handle('task-manager-kill', (event, pid) => TaskManager.killProcess(pid));
+
+    ipcMain.handle('task-manager-reload', (event, webContentsId) => TaskManager.reloadTab(webContentsId));
+
+    ipcMain.on('app-restart', () => {
+        app.relaunch();
+        app.quit();
     });
 
     // --- Clear Data IPC ---
-    ipcMain.on('clear-cache', async () => {
-        const ses = session.defaultSession;
-        await ses.clearCache();
+    ipcMain.handle('browsing-data-clear', (event, { types, since }) => {
+        if (!Array.isArray(types)) return { freedBytes: 0 };
+        return BrowsingData.clear({ types, since: Number(since) || 0 });
+    });
+
+    // --- History IPC ---
+    // Private windows don't record history
+    ipcMain.on('history-add-visit', (event, visit) => {
+        if (PrivateBrowsing.isPrivateWindow(getBrowserWindow(event.sender))) return;
+        HistoryStore.addVisit(visit);
+    });
+
+    ipcMain.on('history-update-title', (event, { url: pageUrl, title }) => {
+        if (PrivateBrowsing.isPrivateWindow(getBrowserWindow(event.sender))) return;
+        HistoryStore.updateTitle(pageUrl, title);
+    });
+
+    ipcMain.handle('history-search', (event, query) => {
+        return HistoryStore.search(query);
+    });
+
+    ipcMain.handle('history-suggest', (event, text) => {
+        return HistoryStore.suggest(text);
+    });
+
+    ipcMain.handle('history-delete-visits', (event, ids) => {
+        HistoryStore.deleteVisits(ids);
     });
 
-    ipcMain.on('clear-cookies', async () => {
-        const ses = session.defaultSession;
-        await ses.clearStorageData({ storages: ['cookies'] });
+    ipcMain.handle('history-delete-url', (event, pageUrl) => {
+        HistoryStore.deleteUrl(pageUrl);
     });
 
-    ipcMain.on('clear-all-data', async () => {
-        const ses = session.defaultSession;
-        await ses.clearStorageData();
-        await ses.clearCache();
+    ipcMain.handle('history-delete-range', (event, { startTime, endTime }) => {
+        HistoryStore.deleteRange(startTime, endTime);
+    });
+
+    ipcMain.on('clear-history', () => {
+        HistoryStore.clear();
+        RecentlyClosed.clear();
+    });
+
+    // --- Search Engine IPC ---
+
+    // Fetch an OpenSearch description (or the page advertising one).
+    // Done here because the settings page can't make cross-origin requests.
+    ipcMain.handle('search-fetch-opensearch', async (event, targetUrl) => {
+        try {
+            if (!/^https?:\/\//i.test(targetUrl)) throw new Error('Only http(s) URLs can be imported');
+
+            const response = await net.fetch(targetUrl);
+            if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+
+            const text = await response.text();
+            if (text.length > 512 * 1024) throw new Error('Response is too large');
+            return { success: true, text, url: response.url || targetUrl };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
     });
 
     // --- Download Location IPC ---
@@ -310,39 +2985,258 @@ function setupIpcHandlers() {
         const result = await dialog.showOpenDialog({ properties: ['openDirectory'] });
         return result.canceled ? null : result.filePaths[0];
     });
+
+    // --- Downloads IPC ---
+    ipcMain.handle('downloads-get-all', () => DownloadManager.downloads);
+    ipcMain.on('download-pause', (event, id) => DownloadManager.pause(id));
+    ipcMain.on('download-resume', (event, id) => DownloadManager.resume(id));
+    ipcMain.on('download-cancel', (event, id) => DownloadManager.cancel(id));
+    ipcMain.on('download-retry', (event, id) => DownloadManager.retry(id));
+    ipcMain.on('download-remove', (event, id) => DownloadManager.remove(id));
+    ipcMain.on('download-open', (event, id) => DownloadManager.open(id));
+    ipcMain.on('download-show', (event, id) => DownloadManager.showInFolder(id));
+    ipcMain.on('downloads-clear', () => DownloadManager.clear());
+
+    // --- Site Permissions IPC ---
+    ipcMain.on('permission-response', (event, { requestId, decision }) => {
+        PermissionManager.respond(requestId, decision);
+    });
+
+    ipcMain.handle('permissions-get-all', () => PermissionManager.getAll());
+
+    ipcMain.handle('permission-set', (event, { origin, permission, decision }) => {
+        PermissionManager.setDecision(origin, permission, decision);
+    });
+
+    ipcMain.handle('permissions-reset-origin', (event, origin) => {
+        PermissionManager.resetOrigin(origin);
+    });
+
+    // --- Tabs IPC ---
+
+    // Open a URL in a new tab of the browser window (e.g. from the settings window)
+    ipcMain.on('open-url-in-tab', (event, targetUrl) => {
+        if (!/^(https?|zy):\/\//i.test(targetUrl)) return;
+
+        // A page inside a tab opens next to itself; other windows use the last browser window
+        const host = event.sender.hostWebContents && getBrowserWindow(event.sender.hostWebContents);
+        openTabInWindow(host || getTargetWindow(), targetUrl);
+    });
+
+    // --- Containers IPC ---
+
+    ipcMain.handle('container-clear-data', async (event, containerId) => {
+        if (!/^[a-z0-9-]+$/.test(containerId || '')) return false;
+        await ContainerSessions.clearData(containerId);
+        return true;
+    });
+
+    // --- Content Blocker IPC ---
+
+    ipcMain.handle('blocker-get-info', () => ContentBlocker.getInfo());
+
+    ipcMain.handle('blocker-get-site-state', (event, pageUrl) => ({
+        enabled: ContentBlocker.isEnabled(),
+        site: ContentBlocker.getSiteKey(pageUrl),
+        siteEnabled: ContentBlocker.isSiteEnabled(pageUrl)
+    }));
+
+    ipcMain.handle('blocker-set-site-enabled', (event, { site, enabled }) => {
+        if (typeof site !== 'string' || !site) return false;
+        ContentBlocker.setSiteEnabled(site.toLowerCase(), !!enabled);
+        return true;
+    });
+
+    ipcMain.handle('blocker-reload-lists', () => {
+        ContentBlocker.loadLists();
+        return ContentBlocker.getInfo();
+    });
+
+    ipcMain.on('blocker-open-filters-folder', () => {
+        const dir = ContentBlocker.getUserFiltersDir();
+        fs.mkdirSync(dir, { recursive: true });
+        shell.openPath(dir);
+    });
+
+    // --- HTTPS-Only IPC ---
+
+    ipcMain.handle('https-get-exceptions', () => HttpsOnly.getExceptions());
+
+    ipcMain.handle('https-add-exception', (event, host) => {
+        if (typeof host !== 'string' || !host) return false;
+        HttpsOnly.addException(host.toLowerCase());
+        return true;
+    });
+
+    ipcMain.handle('https-remove-exception', (event, host) => {
+        HttpsOnly.removeException(host);
+    });
+
+    // "Continue to HTTP site" on the interstitial
+    ipcMain.handle('https-allow-host', (event, { host, remember }) => {
+        if (typeof host !== 'string' || !host) return false;
+        HttpsOnly.allowHost(host.toLowerCase(), !!remember);
+        return true;
+    });
+
+    // --- Site Zoom IPC ---
+
+    ipcMain.handle('site-zoom-get-all', () => SiteZoom.getAll());
+
+    ipcMain.handle('site-zoom-set', (event, { host, factor }) => {
+        if (typeof host !== 'string' || !host || !SiteZoom.isValid(factor)) return false;
+        SiteZoom.set(host.toLowerCase(), factor);
+        return true;
+    });
+
+    ipcMain.handle('site-zoom-remove', (event, host) => {
+        SiteZoom.remove(host);
+    });
+
+    // --- Proxy IPC ---
+    // Scope: 'default' (all tabs) or a container id
+
+    const isProxyScope = (scope) => scope === 'default' || /^[a-z0-9-]+$/.test(scope || '');
+
+    ipcMain.handle('proxy-get', (event, scope) => {
+        return isProxyScope(scope) ? ProxyManager.getScope(scope) : null;
+    });
+
+    ipcMain.handle('proxy-set', (event, { scope, config, credentials }) => {
+        if (!isProxyScope(scope)) return 'Unknown scope';
+        return ProxyManager.setScope(scope, config, credentials);
+    });
+
+    ipcMain.handle('proxy-test', (event, { scope, config, credentials }) => {
+        if (!isProxyScope(scope)) return { ok: false, error: 'Unknown scope' };
+        return ProxyManager.test(scope, config, credentials);
+    });
+
+    ipcMain.handle('proxy-select-pac-file', async (event) => {
+        const result = await dialog.showOpenDialog({
+            properties: ['openFile'],
+            filters: [{ name: 'Proxy auto-config', extensions: ['pac', 'js', 'dat'] }, { name: 'All files', extensions: ['*'] }]
+        });
+        return result.canceled ? null : result.filePaths[0];
+    });
+
+    // --- Tab Drag IPC ---
+    // The window a tab is dragged from reports the drag; the window it's
+    // dropped on (if any) asks for it. Dropped elsewhere, it gets a new window.
+
+    ipcMain.on('tab-drag-start', (event, { tabId, tab, isOnlyTab }) => {
+        const win = getBrowserWindow(event.sender);
+        if (!win || !tab || !tab.url) return;
+        draggedTab = { win, tabId, tab, isOnlyTab };
+    });
+
+    // Scroll position and form input of the dragged tab's page, captured after the drag started
+    ipcMain.on('tab-drag-page-state', (event, { tabId, pageState }) => {
+        if (!draggedTab || event.sender !== draggedTab.win.webContents || draggedTab.tabId !== tabId) return;
+        draggedTab.tab.pageState = pageState;
+    });
+
+    ipcMain.on('tab-drop', (event, index) => {
+        const target = getBrowserWindow(event.sender);
+        if (!draggedTab || !target || target === draggedTab.win) return;
+        if (PrivateBrowsing.isPrivateWindow(target) !== PrivateBrowsing.isPrivateWindow(draggedTab.win)) return;
+        moveDraggedTab(target, index);
+    });
+
+    ipcMain.on('tab-drag-end', (event, { screenX, screenY }) => {
+        if (!draggedTab || event.sender !== draggedTab.win.webContents) return;
+
+        const source = draggedTab.win;
+        const point = { x: Math.round(screenX), y: Math.round(screenY) };
+        const contains = (bounds) => point.x >= bounds.x && point.x < bounds.x + bounds.width &&
+            point.y >= bounds.y && point.y < bounds.y + bounds.height;
+
+        // Dropped back inside its own window (a reorder, or cancelled)
+        if (contains(source.getBounds())) {
+            draggedTab = null;
+            return;
+        }
+
+        // Tabs don't move between private and regular windows
+        const isPrivate = PrivateBrowsing.isPrivateWindow(source);
+        const target = Array.from(browserWindows).find(w => w !== source && !w.isMinimized() && contains(w.getBounds()));
+        if (target && PrivateBrowsing.isPrivateWindow(target) !== isPrivate) {
+            draggedTab = null;
+        } else if (target) {
+            moveDraggedTab(target, -1);
+        } else if (draggedTab.isOnlyTab) {
+            // Nothing to detach from: move the window instead
+            source.setPosition(point.x - TAB_DRAG_OFFSET.x, point.y - TAB_DRAG_OFFSET.y);
+            draggedTab = null;
+        } else {
+            const position = { x: point.x - TAB_DRAG_OFFSET.x, y: point.y - TAB_DRAG_OFFSET.y };
+            createWindow({ windowState: { tabs: [draggedTab.tab], activeIndex: 0 }, position, isPrivate });
+            detachDraggedTab();
+        }
+    });
+
+    // --- Session IPC ---
+
+    // Only browser windows checkpoint their tabs (not pages inside a tab)
+    // Private windows are never checkpointed and don't take the previous session
+    ipcMain.on('session-checkpoint', (event, windowState) => {
+        const win = getBrowserWindow(event.sender);
+        if (win && !PrivateBrowsing.isPrivateWindow(win)) SessionStore.update(win.id, windowState);
+    });
+
+    ipcMain.handle('session-take-previous', (event) => {
+        const win = getBrowserWindow(event.sender);
+        return win && !PrivateBrowsing.isPrivateWindow(win) ? SessionStore.takePrevious() : null;
+    });
+
+    // --- Recently Closed IPC ---
+
+    ipcMain.on('recently-closed-add-tab', (event, { tab, index }) => {
+        const win = getBrowserWindow(event.sender);
+        if (win && !PrivateBrowsing.isPrivateWindow(win)) RecentlyClosed.addTab(tab, index);
+    });
+
+    ipcMain.handle('recently-closed-get', () => RecentlyClosed.getList());
+
+    // From a browser window (Ctrl+Shift+T, menu) or zy://history inside one of its tabs
+    ipcMain.handle('recently-closed-reopen', (event, id = null) => {
+        const win = getBrowserWindow(event.sender) ||
+            (event.sender.hostWebContents && getBrowserWindow(event.sender.hostWebContents));
+        return RecentlyClosed.reopen(id, win);
+    });
 }
 
 // ============================================
 // SECURITY & PERMISSIONS
 // ============================================
 
-function setupSecurityHandlers() {
-    const ses = session.defaultSession;
-
-    // 1. Permission Management (Deny by default)
+/**
+ * Security and privacy handlers for a session that shows tabs
+ * (the default session and private sessions)
+ */
+function setupSecurityHandlers(ses = session.defaultSession) {
+    // 1. Permission Management (Deny by default, prompt the user via the tab)
     ses.setPermissionRequestHandler((webContents, permission, callback, details) => {
-        // For secure implementation, we default to false.
-        // In a real browser, you would show a UI prompt here.
-        // For this task, we will allow based on user explicit action concept 
-        // effectively blocking purely background requests.
-        // But fulfilling the prompt: "Default = deny", "Allow only when user clicks 'Allow'"
-        // IPC would be needed to show prompt in renderer.
+        PermissionManager.handleRequest(webContents, permission, callback, details);
+    });
 
-        // For now, we deny everything by default to be secure.
-        // A complex implementation would involve sending an IPC to the active tab to show a prompt.
-        // We will log it.
-        console.log(`[Security] Blocked permission request: ${permission} from ${details.requestingUrl}`);
-        callback(false);
+    ses.setPermissionCheckHandler((webContents, permission, requestingOrigin, details) => {
+        return PermissionManager.handleCheck(webContents, permission, requestingOrigin, details);
     });
 
     // 2. Network Security
     ses.webRequest.onBeforeRequest((details, callback) => {
         const url = details.url;
 
-        // Auto-upgrade HTTP to HTTPS
-        if (url.startsWith('http://') && !url.startsWith('http://localhost') && !url.startsWith('http://127.0.0.1')) {
-            const httpsUrl = url.replace('http://', 'https://');
-            return callback({ redirectURL: httpsUrl });
+        // Upgrade HTTP to HTTPS (HTTPS-Only mode)
+        const httpsResponse = HttpsOnly.check(details);
+        if (httpsResponse) {
+            return callback(httpsResponse);
+        }
+
+        // Block ads and trackers
+        if (ContentBlocker.shouldBlock(details)) {
+            return callback({ cancel: true });
         }
 
         // Strip Tracking Parameters
@@ -366,7 +3260,20 @@ function setupSecurityHandlers() {
         callback({});
     });
 
-    // 3. User Agent (Privacy)
+    // 3. Tracking Protection (third-party cookies, DNT / GPC)
+    ses.webRequest.onBeforeSendHeaders((details, callback) => {
+        callback({ requestHeaders: TrackingProtection.filterRequestHeaders(details) });
+    });
+
+    ses.webRequest.onHeadersReceived((details, callback) => {
+        const responseHeaders = TrackingProtection.filterResponseHeaders(details);
+        callback(responseHeaders ? { responseHeaders } : {});
+    });
+
+    // 4. Network activity per tab (zy://task-manager)
+    ses.webRequest.onCompleted((details) => TaskManager.recordRequest(details));
+
+    // 5. User Agent (Privacy)
     ses.setUserAgent("ZyBrowser/1.0 Secure (Minimal)");
 }
 
@@ -378,20 +3285,19 @@ function setupSecurityHandlers() {
 // Create window when Electron is ready
 app.whenReady().then(() => {
     // Register zy:// protocol handler
-    protocol.handle('zy', (request) => {
-        const urlObj = new URL(request.url);
-        const pageName = urlObj.hostname; // e.g., 'home', 'settings'
-
-        // Get the file name from the mapping
-        const fileName = ZY_PAGES[pageName];
-        if (fileName) {
-            const filePath = path.join(__dirname, 'renderer', fileName);
-            return net.fetch(url.pathToFileURL(filePath).href);
-        }
-
-        // Return 404 for unknown zy:// pages
-        return new Response('Not Found', { status: 404 });
-    });
+    protocol.handle('zy', handleZyProtocol);
+
+    HistoryStore.load();
+    SessionStore.load();
+    RecentlyClosed.load();
+    PermissionManager.load();
+    ContentBlocker.load();
+    HttpsOnly.load();
+    SiteZoom.load();
+    ProxyManager.load();
+    ProxyManager.apply(session.defaultSession);
+    DownloadManager.load();
+    DownloadManager.attach(session.defaultSession);
 
     setupSecurityHandlers();
     createWindow();
@@ -405,6 +3311,31 @@ app.whenReady().then(() => {
     });
 });
 
+// Answer proxy login requests with the stored credentials
+app.on('login', (event, contents, details, authInfo, callback) => {
+    if (!authInfo.isProxy) return;
+
+    const credentials = ProxyManager.getCredentialsFor(contents, authInfo);
+    if (credentials) {
+        event.preventDefault();
+        callback(credentials.username, credentials.password);
+    }
+});
+
+// Persist any pending data before the app exits, then apply the
+// clear-on-exit rules (quitting waits until they're done)
+app.on('before-quit', (event) => {
+    SessionStore.markCleanExit();
+    flushJsonWrites();
+
+    if (appSettings.clearOnExit && !BrowsingData.clearedOnExit) {
+        event.preventDefault();
+        BrowsingData.clearOnExit()
+            .catch(e => console.error('[BrowsingData] Failed to clear on exit:', e.message))
+            .finally(() => app.quit());
+    }
+});
+
 // Quit when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') {
@@ -416,15 +3347,110 @@ app.on('window-all-closed', () => {
 // RESOURCE OPTIMIZATION
 // ============================================
 
-// Disable hardware acceleration only if necessary (can cause scrolling issues if disabled blindly)
-// app.disableHardwareAcceleration();
+// Settings that are command-line switches only take effect when the app
+// starts: the values in use this run are kept to tell when a restart is due
+const STARTUP_SETTINGS = ['hardwareAcceleration', 'rendererProcessLimit', 'v8HeapSizeMb'];
+
+// Always on, whatever the settings
+const BASE_SWITCHES = [
+    ['enable-features', 'CalculateNativeWinOcclusion'],
+    ['enable-background-thread-pool']
+];
+
+/**
+ * Performance settings: startup switches (hardware acceleration, renderer
+ * process limit, V8 heap size) and background throttling of tabs, which
+ * applies immediately.
+ */
+const Performance = {
+    applied: {},  // STARTUP_SETTINGS values this run started with
+    switches: [], // [name, value] appended to the command line
+
+    applyStartupSwitches: () => {
+        STARTUP_SETTINGS.forEach(key => {
+            Performance.applied[key] = appSettings[key];
+        });
+
+        // Disable hardware acceleration only if the user turned it off (can cause scrolling issues if disabled blindly)
+        if (!appSettings.hardwareAcceleration) {
+            app.disableHardwareAcceleration();
+        }
+
+        const switches = [...BASE_SWITCHES];
+        // Reduce memory usage by limiting renderer process count (0: Chromium decides)
+        if (appSettings.rendererProcessLimit > 0) {
+            switches.push(['renderer-process-limit', String(appSettings.rendererProcessLimit)]);
+        }
+        // Hint V8 to keep heap small (0: V8's default)
+        if (appSettings.v8HeapSizeMb > 0) {
+            switches.push(['js-flags', `--max-old-space-size=${appSettings.v8HeapSizeMb}`]);
+        }
 
-// Reduce memory usage by limiting renderer process count
-app.commandLine.appendSwitch('renderer-process-limit', '2'); // Strict limit
+        switches.forEach(([name, value]) => {
+            if (value === undefined) {
+                app.commandLine.appendSwitch(name);
+            } else {
+                app.commandLine.appendSwitch(name, value);
+            }
+        });
+        Performance.switches = switches;
+    },
+
+    isRestartRequired: () => STARTUP_SETTINGS.some(key => appSettings[key] !== Performance.applied[key]),
+
+    /**
+     * Let (or stop) hidden tabs' timers and rendering be slowed down
+     */
+    applyBackgroundThrottling: () => {
+        webContents.getAllWebContents()
+            .filter(contents => contents.getType() === 'webview' && !contents.isDestroyed())
+            .forEach(contents => contents.setBackgroundThrottling(appSettings.backgroundThrottling));
+    },
+
+    /**
+     * Rough memory use of a tab: its renderer process's working set,
+     * split evenly between the pages sharing that process (bytes)
+     */
+    getTabMemory: (webContentsId) => {
+        const contents = webContents.fromId(webContentsId);
+        if (!contents || contents.isDestroyed()) return 0;
+
+        const pid = contents.getOSProcessId();
+        const metric = app.getAppMetrics().find(m => m.pid === pid);
+        if (!metric) return 0;
+
+        const sharing = webContents.getAllWebContents()
+            .filter(c => !c.isDestroyed() && c.getOSProcessId() === pid).length;
+        return Math.round(metric.memory.workingSetSize * 1024 / Math.max(sharing, 1));
+    },
+
+    /**
+     * What zy://gpu shows
+     */
+    getDiagnostics: async () => {
+        let gpuInfo = null;
+        try {
+            gpuInfo = await app.getGPUInfo('basic');
+        } catch (e) {
+            console.error('[Performance] Failed to get GPU info:', e.message);
+        }
 
-// Enable memory optimization flags
-app.commandLine.appendSwitch('js-flags', '--max-old-space-size=512'); // Hint V8 to keep heap small
-app.commandLine.appendSwitch('enable-features', 'CalculateNativeWinOcclusion');
+        return {
+            hardwareAcceleration: app.isHardwareAccelerationEnabled(),
+            featureStatus: app.getGPUFeatureStatus(),
+            switches: Performance.switches.map(([name, value]) => ({
+                name,
+                value: app.commandLine.getSwitchValue(name) || value || ''
+            })),
+            applied: Performance.applied,
+            restartRequired: Performance.isRestartRequired(),
+            backgroundThrottling: appSettings.backgroundThrottling,
+            gpuDevices: gpuInfo && gpuInfo.gpuDevice ? gpuInfo.gpuDevice : [],
+            versions: { electron: process.versions.electron, chrome: process.versions.chrome, v8: process.versions.v8 }
+        };
+    }
+};
 
-// Disable background timer throttling to save CPU when in background
-app.commandLine.appendSwitch('enable-background-thread-pool');
+// Settings are read before the app is ready: some of them are startup switches
+SettingsStore.load();
+Performance.applyStartupSwitches();
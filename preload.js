@@ -9,19 +9,27 @@
  * - Only expose necessary APIs to the renderer
  * - Never expose Node.js or Electron internals directly
  * - Validate all data passed through the bridge
+ *
+ * The same script is attached to every <webview>, so the API is only
+ * exposed to trusted pages: the app shell (file://) and internal zy:// pages.
+ * Web pages only get navigator.globalPrivacyControl (when Do Not Track is on),
+ * lose document.cookie in third-party iframes (when those cookies are blocked)
+ * and report unsaved form input to the tab strip (so the tab isn't put to sleep).
  */
 
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
 
 // ============================================
 // EXPOSED API
 // ============================================
 
+const TRUSTED_PROTOCOLS = ['file:', 'zy:'];
+
 /**
  * Expose a minimal, secure API to the renderer process.
  * This is accessed via `window.zyAPI` in the renderer.
  */
-contextBridge.exposeInMainWorld('zyAPI', {
+const zyAPI = {
     /**
      * Get the application version
      * @returns {Promise<string>} The app version
@@ -33,6 +41,12 @@ contextBridge.exposeInMainWorld('zyAPI', {
      */
     getMetrics: () => ipcRenderer.invoke('get-system-metrics'),
 
+    /**
+     * Run code in a tab's isolated world (browser windows only):
+     * it sees the page's DOM but not the page's globals
+     */
+    executeInIsolatedWorld: (webContentsId, code) => ipcRenderer.invoke('guest-execute-isolated', { webContentsId, code }),
+
     /**
      * Window controls for frameless window
      */
@@ -40,15 +54,30 @@ contextBridge.exposeInMainWorld('zyAPI', {
     windowMaximize: () => ipcRenderer.send('window-maximize'),
     windowClose: () => ipcRenderer.send('window-close'),
 
+    /**
+     * Browser windows
+     * openWindow() opens a window with a home tab; pass a window state
+     * ({ tabs, activeIndex }) to open it with those tabs instead
+     */
+    openWindow: (windowState) => ipcRenderer.send('window-new', windowState),
+    openPrivateWindow: () => ipcRenderer.send('window-new-private'),
+    takeInitialWindowState: () => ipcRenderer.invoke('window-take-initial-state'),
+
     /**
      * Open settings window
      */
     openSettings: () => ipcRenderer.send('open-settings'),
 
-    updateSettings: (settings) => ipcRenderer.send('settings-changed', settings),
-
     /**
      * Settings Management
+     * The main process owns the settings file; setSettings takes a partial
+     * update and resolves to the keys it rejected as invalid
+     */
+    getSettings: () => ipcRenderer.invoke('settings-get'),
+    setSettings: (changes) => ipcRenderer.invoke('settings-set', changes),
+    importLegacySettings: (settings) => ipcRenderer.invoke('settings-import-legacy', settings),
+
+    /**
      * Listen for settings updates from main process
      */
     onSettingsUpdated: (callback) => {
@@ -60,22 +89,300 @@ contextBridge.exposeInMainWorld('zyAPI', {
         return () => ipcRenderer.removeListener('settings-updated', subscription);
     },
 
+    /**
+     * Performance
+     */
+    getPerformanceStatus: () => ipcRenderer.invoke('performance-get-status'),
+    getGpuDiagnostics: () => ipcRenderer.invoke('performance-get-diagnostics'),
+    getTabMemory: (webContentsId) => ipcRenderer.invoke('performance-get-tab-memory', webContentsId),
+    restartApp: () => ipcRenderer.send('app-restart'),
+
+    /**
+     * Task Manager
+     */
+    getTaskManagerProcesses: () => ipcRenderer.invoke('task-manager-get'),
+    killProcess: (pid) => ipcRenderer.invoke('task-manager-kill', pid),
+    reloadTabContents: (webContentsId) => ipcRenderer.invoke('task-manager-reload', webContentsId),
+
     /**
      * Data Clearing
+     * clearBrowsingData({ types, since }) resolves to { freedBytes }.
+     * Browser windows clear the data they keep themselves on onBrowsingDataCleared.
+     */
+    clearBrowsingData: (options) => ipcRenderer.invoke('browsing-data-clear', options),
+    clearHistory: () => ipcRenderer.send('clear-history'),
+
+    onBrowsingDataCleared: (callback) => {
+        const subscription = (event, data) => callback(data);
+        ipcRenderer.on('browsing-data-cleared', subscription);
+        return () => ipcRenderer.removeListener('browsing-data-cleared', subscription);
+    },
+
+    /**
+     * Browsing History
+     * Visits are recorded by the browser shell; zy://history reads and edits them
      */
-    clearCache: () => ipcRenderer.send('clear-cache'),
-    clearCookies: () => ipcRenderer.send('clear-cookies'),
-    clearHistory: () => ipcRenderer.send('clear-history'), // Handled in renderer logic mostly, but good to have hooks
-    clearAllData: () => ipcRenderer.send('clear-all-data'),
+    addHistoryVisit: (visit) => ipcRenderer.send('history-add-visit', visit),
+    updateHistoryTitle: (url, title) => ipcRenderer.send('history-update-title', { url, title }),
+    searchHistory: (query) => ipcRenderer.invoke('history-search', query),
+    suggestHistory: (text) => ipcRenderer.invoke('history-suggest', text),
+    deleteHistoryVisits: (ids) => ipcRenderer.invoke('history-delete-visits', ids),
+    deleteHistoryUrl: (url) => ipcRenderer.invoke('history-delete-url', url),
+    deleteHistoryRange: (startTime, endTime) => ipcRenderer.invoke('history-delete-range', { startTime, endTime }),
+
+    /**
+     * Search
+     * Internal pages hand search input to the browser shell, which resolves it
+     * with the selected engine and keywords
+     */
+    submitSearchInput: (text) => ipcRenderer.sendToHost('submit-search-input', text),
+    fetchOpenSearch: (url) => ipcRenderer.invoke('search-fetch-opensearch', url),
 
     /**
      * Download Management
      */
     selectDownloadLocation: () => ipcRenderer.invoke('select-download-location'),
     getDefaultDownloadPath: () => ipcRenderer.invoke('get-default-download-path'),
+    getDownloads: () => ipcRenderer.invoke('downloads-get-all'),
+    pauseDownload: (id) => ipcRenderer.send('download-pause', id),
+    resumeDownload: (id) => ipcRenderer.send('download-resume', id),
+    cancelDownload: (id) => ipcRenderer.send('download-cancel', id),
+    retryDownload: (id) => ipcRenderer.send('download-retry', id),
+    removeDownload: (id) => ipcRenderer.send('download-remove', id),
+    openDownload: (id) => ipcRenderer.send('download-open', id),
+    showDownloadInFolder: (id) => ipcRenderer.send('download-show', id),
+    clearDownloads: () => ipcRenderer.send('downloads-clear'),
+
+    /**
+     * Listen for download progress/state changes
+     * @returns {Function} cleanup function
+     */
+    onDownloadUpdated: (callback) => {
+        const subscription = (event, download) => callback(download);
+        ipcRenderer.on('download-updated', subscription);
+        return () => ipcRenderer.removeListener('download-updated', subscription);
+    },
+
+    onDownloadRemoved: (callback) => {
+        const subscription = (event, id) => callback(id);
+        ipcRenderer.on('download-removed', subscription);
+        return () => ipcRenderer.removeListener('download-removed', subscription);
+    },
+
+    onDownloadsCleared: (callback) => {
+        const subscription = () => callback();
+        ipcRenderer.on('downloads-cleared', subscription);
+        return () => ipcRenderer.removeListener('downloads-cleared', subscription);
+    },
+
+    /**
+     * Site Permissions
+     * Prompts are shown by the browser shell; zy://site-settings reviews decisions
+     */
+    onPermissionRequest: (callback) => {
+        const subscription = (event, request) => callback(request);
+        ipcRenderer.on('permission-request', subscription);
+        return () => ipcRenderer.removeListener('permission-request', subscription);
+    },
+
+    onPermissionRequestCancelled: (callback) => {
+        const subscription = (event, requestId) => callback(requestId);
+        ipcRenderer.on('permission-request-cancelled', subscription);
+        return () => ipcRenderer.removeListener('permission-request-cancelled', subscription);
+    },
+
+    respondToPermission: (requestId, decision) => ipcRenderer.send('permission-response', { requestId, decision }),
+    getPermissions: () => ipcRenderer.invoke('permissions-get-all'),
+    setPermission: (origin, permission, decision) => ipcRenderer.invoke('permission-set', { origin, permission, decision }),
+    resetSitePermissions: (origin) => ipcRenderer.invoke('permissions-reset-origin', origin),
+
+    onPermissionsChanged: (callback) => {
+        const subscription = () => callback();
+        ipcRenderer.on('permissions-changed', subscription);
+        return () => ipcRenderer.removeListener('permissions-changed', subscription);
+    },
+
+    /**
+     * Tabs
+     * Open a URL in a new tab of the browser window
+     */
+    openInNewTab: (url) => ipcRenderer.send('open-url-in-tab', url),
+
+    onOpenTab: (callback) => {
+        const subscription = (event, url, options = {}) => callback(url, options);
+        ipcRenderer.on('open-tab', subscription);
+        return () => ipcRenderer.removeListener('open-tab', subscription);
+    },
+
+    // Browser shortcuts pressed while a tab's page has focus
+    // ({ key, code, ctrlKey, shiftKey, altKey, metaKey })
+    onGuestShortcut: (callback) => {
+        const subscription = (event, keys) => callback(keys);
+        ipcRenderer.on('guest-shortcut', subscription);
+        return () => ipcRenderer.removeListener('guest-shortcut', subscription);
+    },
+
+    /**
+     * Containers
+     * Delete a container's cookies, storage and cache
+     */
+    clearContainerData: (containerId) => ipcRenderer.invoke('container-clear-data', containerId),
+
+    /**
+     * Content Blocker
+     * Per-tab blocked counts arrive via onBlockedCount ({ webContentsId, count })
+     */
+    getBlockerInfo: () => ipcRenderer.invoke('blocker-get-info'),
+    getBlockerSiteState: (pageUrl) => ipcRenderer.invoke('blocker-get-site-state', pageUrl),
+    setBlockerSiteEnabled: (site, enabled) => ipcRenderer.invoke('blocker-set-site-enabled', { site, enabled }),
+    reloadFilterLists: () => ipcRenderer.invoke('blocker-reload-lists'),
+    openFiltersFolder: () => ipcRenderer.send('blocker-open-filters-folder'),
+
+    onBlockedCount: (callback) => {
+        const subscription = (event, data) => callback(data);
+        ipcRenderer.on('blocker-count', subscription);
+        return () => ipcRenderer.removeListener('blocker-count', subscription);
+    },
+
+    /**
+     * HTTPS-Only Mode
+     * Hosts always loaded over http://, and "Continue to HTTP site" from the interstitial
+     */
+    getHttpsExceptions: () => ipcRenderer.invoke('https-get-exceptions'),
+    addHttpsException: (host) => ipcRenderer.invoke('https-add-exception', host),
+    removeHttpsException: (host) => ipcRenderer.invoke('https-remove-exception', host),
+    allowHttpHost: (host, remember) => ipcRenderer.invoke('https-allow-host', { host, remember }),
+
+    onHttpsExceptionsChanged: (callback) => {
+        const subscription = () => callback();
+        ipcRenderer.on('https-exceptions-changed', subscription);
+        return () => ipcRenderer.removeListener('https-exceptions-changed', subscription);
+    },
+
+    /**
+     * Site Zoom
+     * Zoom levels saved per hostname; Ctrl + scroll in a tab arrives via
+     * onTabZoomWheel ({ webContentsId, direction: 1 in, -1 out })
+     */
+    getSiteZoomLevels: () => ipcRenderer.invoke('site-zoom-get-all'),
+    setSiteZoom: (host, factor) => ipcRenderer.invoke('site-zoom-set', { host, factor }),
+    removeSiteZoom: (host) => ipcRenderer.invoke('site-zoom-remove', host),
+
+    onSiteZoomChanged: (callback) => {
+        const subscription = () => callback();
+        ipcRenderer.on('site-zoom-changed', subscription);
+        return () => ipcRenderer.removeListener('site-zoom-changed', subscription);
+    },
+
+    onTabZoomWheel: (callback) => {
+        const subscription = (event, data) => callback(data);
+        ipcRenderer.on('tab-zoom-wheel', subscription);
+        return () => ipcRenderer.removeListener('tab-zoom-wheel', subscription);
+    },
+
+    /**
+     * Proxy
+     * scope is 'default' (all tabs) or a container id; saving a container's
+     * config as null makes it use the default again
+     */
+    getProxySettings: (scope) => ipcRenderer.invoke('proxy-get', scope),
+    setProxySettings: (scope, config, credentials) => ipcRenderer.invoke('proxy-set', { scope, config, credentials }),
+    testProxySettings: (scope, config, credentials) => ipcRenderer.invoke('proxy-test', { scope, config, credentials }),
+    selectPacFile: () => ipcRenderer.invoke('proxy-select-pac-file'),
+
+    /**
+     * Tab drag between windows
+     * The source window reports start/end, the window it's dropped on
+     * reports the drop; tabs then arrive via onTabAttach / leave via onTabDetach.
+     * The page reloads in its new window, with the scroll position and form
+     * input sent by setTabDragPageState put back.
+     */
+    startTabDrag: (drag) => ipcRenderer.send('tab-drag-start', drag),
+    setTabDragPageState: (tabId, pageState) => ipcRenderer.send('tab-drag-page-state', { tabId, pageState }),
+    dropTab: (index) => ipcRenderer.send('tab-drop', index),
+    endTabDrag: (point) => ipcRenderer.send('tab-drag-end', point),
+
+    onTabAttach: (callback) => {
+        const subscription = (event, data) => callback(data);
+        ipcRenderer.on('tab-attach', subscription);
+        return () => ipcRenderer.removeListener('tab-attach', subscription);
+    },
+
+    onTabDetach: (callback) => {
+        const subscription = (event, tabId) => callback(tabId);
+        ipcRenderer.on('tab-detach', subscription);
+        return () => ipcRenderer.removeListener('tab-detach', subscription);
+    },
+
+    /**
+     * Session Restore
+     * Checkpoint the window's tabs and take the previous session (once)
+     */
+    checkpointSession: (windowState) => ipcRenderer.send('session-checkpoint', windowState),
+    takePreviousSession: () => ipcRenderer.invoke('session-take-previous'),
+
+    /**
+     * Recently Closed
+     * Browser windows report the tabs they close; reopenClosed(id) brings an
+     * entry back (null: the newest), a tab into the window asking for it
+     */
+    recordClosedTab: (tab, index) => ipcRenderer.send('recently-closed-add-tab', { tab, index }),
+    getRecentlyClosed: () => ipcRenderer.invoke('recently-closed-get'),
+    reopenClosed: (id = null) => ipcRenderer.invoke('recently-closed-reopen', id),
+
+    onRecentlyClosedUpdated: (callback) => {
+        const subscription = (event, list) => callback(list);
+        ipcRenderer.on('recently-closed-updated', subscription);
+        return () => ipcRenderer.removeListener('recently-closed-updated', subscription);
+    },
 
     /**
      * Platform information for UI customization
      */
     platform: process.platform
-});
+};
+
+// Tabs also run this script in their iframes; only top-level pages get the API
+const isMainFrame = window === window.top;
+const isWebPage = /^https?:$/.test(window.location.protocol);
+
+if (TRUSTED_PROTOCOLS.includes(window.location.protocol) && isMainFrame) {
+    contextBridge.exposeInMainWorld('zyAPI', zyAPI);
+} else if (isWebPage) {
+    // Privacy flags are passed by main.js as command line switches
+    const pageScripts = [];
+
+    // Global Privacy Control: the page-side counterpart of the Sec-GPC header
+    if (process.argv.includes('--zy-gpc')) {
+        pageScripts.push(
+            "Object.defineProperty(Navigator.prototype, 'globalPrivacyControl', { get: () => true, configurable: true });"
+        );
+    }
+
+    // Third-party frames lose script access to cookies (the headers are
+    // filtered in main.js). Site isolation puts cross-site frames in their
+    // own process, so the top frame is only missing here for those.
+    if (process.argv.includes('--zy-block-third-party-cookies') && !isMainFrame && webFrame.top === null) {
+        pageScripts.push(
+            "Object.defineProperty(Document.prototype, 'cookie', { get: () => '', set: () => {}, configurable: true });" +
+            'delete window.cookieStore;'
+        );
+    }
+
+    if (pageScripts.length) webFrame.executeJavaScript(pageScripts.join('\n'));
+}
+
+// Typing into a page makes its tab "form-dirty" until the form is submitted
+// or the page navigates away: sleeping tabs reload and would lose the input
+if (isWebPage && isMainFrame) {
+    let formDirty = false;
+    window.addEventListener('input', (e) => {
+        if (formDirty || !e.isTrusted) return;
+        formDirty = true;
+        ipcRenderer.sendToHost('form-dirty', true);
+    }, true);
+    window.addEventListener('submit', () => {
+        formDirty = false;
+        ipcRenderer.sendToHost('form-dirty', false);
+    }, true);
+}
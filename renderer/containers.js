@@ -0,0 +1,93 @@
+/**
+ * Container Registry
+ * Shared by the browser window and the settings page.
+ *
+ * A container is { id, name, color }. Each one browses in its own
+ * persistent partition (cookies, storage and cache are kept apart).
+ * Site rules { host, containerId } make a site always open in a container.
+ */
+
+const Containers = {
+    colors: {
+        blue: '#37adff',
+        orange: '#ff9f00',
+        green: '#51cd00',
+        red: '#ff613d',
+        purple: '#af51f5',
+        yellow: '#ffcb00',
+        pink: '#ff4bda',
+        turquoise: '#00c79a'
+    },
+
+    defaults: [
+        { id: 'personal', name: 'Personal', color: 'blue' },
+        { id: 'work', name: 'Work', color: 'orange' },
+        { id: 'testing', name: 'Testing', color: 'green' }
+    ],
+
+    /**
+     * The user's containers (the defaults until they change them)
+     */
+    getAll(settings = {}) {
+        return Array.isArray(settings.containers) ? settings.containers : this.defaults;
+    },
+
+    get(id, settings = {}) {
+        return id ? this.getAll(settings).find(c => c.id === id) || null : null;
+    },
+
+    getColor(container) {
+        return this.colors[container.color] || this.colors.blue;
+    },
+
+    /**
+     * Partition name for a container (must match the one main.js accepts)
+     */
+    getPartition(id) {
+        return `persist:container-${id}`;
+    },
+
+    /**
+     * Validate a new container. Returns an error message, or null if valid.
+     */
+    validate(container, settings = {}) {
+        if (!container.name || !container.name.trim()) return 'Name is required';
+        if (!this.colors[container.color]) return 'Pick a colour';
+        const needle = container.name.trim().toLowerCase();
+        if (this.getAll(settings).some(c => c.name.toLowerCase() === needle)) {
+            return `A container named "${container.name.trim()}" already exists`;
+        }
+        return null;
+    },
+
+    /**
+     * Normalize user input to a bare host ("https://www.x.com/a" -> "x.com")
+     */
+    normalizeHost(input) {
+        const text = (input || '').trim().toLowerCase();
+        if (!text) return '';
+        try {
+            return new URL(/^[a-z]+:\/\//.test(text) ? text : `https://${text}`).hostname.replace(/^www\./, '');
+        } catch {
+            return '';
+        }
+    },
+
+    /**
+     * The "always open in" rule matching a URL (the host or a parent domain)
+     */
+    findRule(pageUrl, settings = {}) {
+        let host;
+        try {
+            host = new URL(pageUrl).hostname.replace(/^www\./, '');
+        } catch {
+            return null;
+        }
+
+        const rules = (settings.containerRules || []).filter(r => this.get(r.containerId, settings));
+        return rules.find(r => host === r.host || host.endsWith(`.${r.host}`)) || null;
+    }
+};
+
+// Export singleton
+window.Containers = Containers;
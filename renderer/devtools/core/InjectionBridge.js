@@ -6,15 +6,17 @@
 class InjectionBridge {
     constructor() {
         this.listeners = new Map();
+        this.findStyleKeys = new WeakMap(); // webview -> key of its find highlight styles (insertCSS)
     }
 
     /**
      * Execute JavaScript in the active webview
      * @param {string} code - JavaScript code to execute
+     * @param {Element} [webview] - Webview to run in instead of the active one
      * @returns {Promise<any>} - Result from execution
      */
-    async execute(code) {
-        const webview = window.DevToolsManager?.getActiveWebview();
+    async execute(code, webview = null) {
+        webview = webview || window.DevToolsManager?.getActiveWebview();
         if (!webview) {
             throw new Error('No active webview');
         }
@@ -30,9 +32,9 @@ class InjectionBridge {
     /**
      * Execute and return JSON-serializable data
      */
-    async executeJSON(code) {
+    async executeJSON(code, webview = null) {
         const wrappedCode = `JSON.stringify((function() { ${code} })())`;
-        const result = await this.execute(wrappedCode);
+        const result = await this.execute(wrappedCode, webview);
         return JSON.parse(result);
     }
 
@@ -187,6 +189,130 @@ class InjectionBridge {
     async getMutations() {
         return this.executeJSON(`return window.__zyMutationTracker || []`);
     }
+
+    /**
+     * Execute JavaScript in the webview's isolated world: it shares the page's
+     * DOM but not its globals, so the page can't see or change what runs there
+     * @param {string} code - JavaScript code to execute
+     * @param {Element} [webview] - Webview to run in instead of the active one
+     * @returns {Promise<any>} - Result from execution
+     */
+    async executeIsolated(code, webview = null) {
+        webview = webview || window.DevToolsManager?.getActiveWebview();
+        if (!webview) {
+            throw new Error('No active webview');
+        }
+
+        try {
+            return await window.zyAPI.executeInIsolatedWorld(webview.getWebContentsId(), code);
+        } catch (err) {
+            console.error('[InjectionBridge] Isolated execution failed:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Inject the regex finder used by the find bar (webview findInPage
+     * only matches plain text). Matches are highlighted with the CSS Custom
+     * Highlight API, so the page's DOM isn't touched; a match can't span elements.
+     */
+    async injectRegexFinder(webview = null) {
+        webview = webview || window.DevToolsManager?.getActiveWebview();
+        if (!webview) {
+            throw new Error('No active webview');
+        }
+
+        // A user stylesheet doesn't change the DOM either (replaced on every
+        // search: inserted CSS only lasts until the page navigates)
+        const styleKey = this.findStyleKeys.get(webview);
+        if (styleKey) await webview.removeInsertedCSS(styleKey).catch(() => { });
+        this.findStyleKeys.set(webview, await webview.insertCSS(`
+            ::highlight(zy-find-match) { background-color: #ffff00 !important; color: #000 !important; }
+            ::highlight(zy-find-active) { background-color: #ff9632 !important; color: #000 !important; }
+        `, { cssOrigin: 'user' }));
+
+        return this.executeIsolated(`
+            if (!window.__zyRegexFind) {
+                const MAX_MATCHES = 1000;
+                const SKIP = /^(SCRIPT|STYLE|NOSCRIPT|TEXTAREA|TEMPLATE)$/;
+
+                window.__zyRegexFind = {
+                    ranges: [],
+
+                    clear() {
+                        CSS.highlights.delete('zy-find-match');
+                        CSS.highlights.delete('zy-find-active');
+                        this.ranges = [];
+                    },
+
+                    find(source, flags) {
+                        this.clear();
+                        let regex;
+                        try {
+                            regex = new RegExp(source, flags);
+                        } catch (e) {
+                            return { error: e.message };
+                        }
+
+                        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+                            acceptNode: node => node.parentElement && !SKIP.test(node.parentElement.nodeName) &&
+                                node.parentElement.getClientRects().length
+                                ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+                        });
+
+                        while (walker.nextNode() && this.ranges.length < MAX_MATCHES) {
+                            const node = walker.currentNode;
+                            regex.lastIndex = 0;
+                            let match;
+                            while ((match = regex.exec(node.nodeValue)) && this.ranges.length < MAX_MATCHES) {
+                                if (!match[0].length) {
+                                    regex.lastIndex++; // Empty matches (e.g. "a*") would never advance
+                                    continue;
+                                }
+                                const range = new Range();
+                                range.setStart(node, match.index);
+                                range.setEnd(node, match.index + match[0].length);
+                                this.ranges.push(range);
+                            }
+                        }
+
+                        CSS.highlights.set('zy-find-match', new Highlight(...this.ranges));
+                        return { matches: this.ranges.length };
+                    },
+
+                    select(index) {
+                        const range = this.ranges[index];
+                        if (!range) return;
+                        CSS.highlights.set('zy-find-active', new Highlight(range));
+                        range.startContainer.parentElement.scrollIntoView({ block: 'center', inline: 'nearest' });
+                    }
+                };
+            }
+        `, webview);
+    }
+
+    /**
+     * Highlight the matches of a regular expression.
+     * Resolves to { matches } or { error } for an invalid pattern.
+     */
+    async findRegex(source, flags, webview = null) {
+        await this.injectRegexFinder(webview);
+        return this.executeIsolated(
+            `window.__zyRegexFind.find(${JSON.stringify(source)}, ${JSON.stringify(flags)})`,
+            webview
+        );
+    }
+
+    /**
+     * Scroll to a match (0-based) and mark it as the current one
+     */
+    async selectRegexMatch(index, webview = null) {
+        return this.executeIsolated(`window.__zyRegexFind && window.__zyRegexFind.select(${Number(index)})`, webview);
+    }
+
+    async clearRegexFind(webview = null) {
+        return this.executeIsolated(`window.__zyRegexFind && window.__zyRegexFind.clear()`, webview);
+    }
 }
 
 // Export singleton
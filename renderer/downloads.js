@@ -0,0 +1,151 @@
+/**
+ * Downloads Page Logic (zy://downloads)
+ * Live list of downloads with pause/resume/cancel/retry controls
+ */
+
+const elements = {
+    list: document.getElementById('downloads-list'),
+    search: document.getElementById('downloads-search'),
+    btnClear: document.getElementById('btn-clear-downloads')
+};
+
+let downloads = []; // Newest first
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    downloads = await window.zyAPI.getDownloads();
+    setupListeners();
+    render();
+});
+
+/**
+ * Setup event listeners for actions and live updates
+ */
+function setupListeners() {
+    window.zyAPI.onDownloadUpdated((download) => {
+        const index = downloads.findIndex(d => d.id === download.id);
+        if (index === -1) {
+            downloads.unshift(download);
+        } else {
+            downloads[index] = download;
+        }
+        render();
+    });
+
+    window.zyAPI.onDownloadRemoved((id) => {
+        downloads = downloads.filter(d => d.id !== id);
+        render();
+    });
+
+    window.zyAPI.onDownloadsCleared(async () => {
+        downloads = await window.zyAPI.getDownloads();
+        render();
+    });
+
+    elements.search.addEventListener('input', render);
+
+    elements.btnClear.addEventListener('click', () => {
+        window.zyAPI.clearDownloads();
+    });
+
+    // Row actions (event delegation)
+    elements.list.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        const row = e.target.closest('.download-row');
+        if (!action || !row) return;
+
+        const id = Number(row.dataset.id);
+        const handlers = {
+            pause: window.zyAPI.pauseDownload,
+            resume: window.zyAPI.resumeDownload,
+            cancel: window.zyAPI.cancelDownload,
+            retry: window.zyAPI.retryDownload,
+            open: window.zyAPI.openDownload,
+            show: window.zyAPI.showDownloadInFolder,
+            remove: window.zyAPI.removeDownload
+        };
+        if (handlers[action]) handlers[action](id);
+    });
+}
+
+function render() {
+    const needle = elements.search.value.trim().toLowerCase();
+    const visible = downloads.filter(d => !needle ||
+        d.fileName.toLowerCase().includes(needle) || d.url.toLowerCase().includes(needle));
+
+    if (visible.length === 0) {
+        elements.list.innerHTML = `<div class="empty-state">${needle ? 'No search results found' : 'Files you download appear here'}</div>`;
+        return;
+    }
+
+    elements.list.innerHTML = `
+        <div class="card">
+            ${visible.map(renderRow).join('')}
+        </div>
+    `;
+}
+
+function renderRow(d) {
+    const isActive = d.state === 'progressing' || d.state === 'paused';
+    const progress = d.totalBytes > 0 ? Math.round(d.receivedBytes / d.totalBytes * 100) : 0;
+
+    const actions = [];
+    if (d.state === 'progressing') actions.push(['pause', 'Pause'], ['cancel', 'Cancel']);
+    if (d.state === 'paused') actions.push(['resume', 'Resume'], ['cancel', 'Cancel']);
+    if (d.state === 'completed') actions.push(['open', 'Open file'], ['show', 'Show in folder']);
+    if (d.state === 'cancelled' || d.state === 'interrupted') actions.push(['retry', 'Retry']);
+    if (!isActive) actions.push(['remove', 'Remove from list']);
+
+    return `
+        <div class="row download-row" data-id="${d.id}">
+            <div class="download-icon">${d.state === 'completed' ? '📄' : isActive ? '⬇️' : '⚠️'}</div>
+            <div class="download-info">
+                <div class="download-name ${d.state === 'cancelled' ? 'inactive' : ''}">${Format.escapeHtml(d.fileName)}</div>
+                <div class="download-url" title="${Format.escapeHtml(d.url)}">${Format.escapeHtml(d.url)}</div>
+                <div class="download-status">${Format.escapeHtml(getStatusText(d))}</div>
+                ${isActive ? `
+                    <div class="download-bar ${d.state === 'paused' ? 'paused' : ''}">
+                        <div class="download-bar-fill" style="width: ${progress}%"></div>
+                    </div>
+                ` : ''}
+                <div class="download-actions">
+                    ${actions.map(([action, label]) => `<button class="link-btn" data-action="${action}">${label}</button>`).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// FORMATTING HELPERS
+// ============================================
+
+function getStatusText(d) {
+    const received = Format.bytes(d.receivedBytes);
+    const total = d.totalBytes > 0 ? Format.bytes(d.totalBytes) : 'unknown size';
+
+    switch (d.state) {
+        case 'progressing': {
+            let text = `${received} of ${total}`;
+            if (d.speed > 0) {
+                text += `, ${Format.bytes(d.speed)}/s`;
+                if (d.totalBytes > 0) text += ` - ${formatDuration((d.totalBytes - d.receivedBytes) / d.speed)} left`;
+            }
+            return text;
+        }
+        case 'paused':
+            return `Paused - ${received} of ${total}`;
+        case 'completed':
+            return `${Format.bytes(d.totalBytes || d.receivedBytes)} - ${new Date(d.endTime).toLocaleString()}`;
+        case 'cancelled':
+            return 'Cancelled';
+        default:
+            return 'Failed - download was interrupted';
+    }
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.ceil(seconds)} s`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
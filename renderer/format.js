@@ -0,0 +1,28 @@
+/**
+ * Formatting Helpers
+ * Shared by the browser window and the internal pages.
+ */
+
+const Format = {
+    /**
+     * Text made safe for HTML content and attribute values
+     */
+    escapeHtml(str) {
+        if (typeof str !== 'string') return str;
+        return str.replace(/[&<>"']/g, m => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[m]));
+    },
+
+    /**
+     * A byte count for display: "512 B", "1.5 MB"
+     */
+    bytes(bytes) {
+        if (bytes < 1024) return `${Math.round(bytes)} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+};
+
+window.Format = Format;
@@ -0,0 +1,78 @@
+/**
+ * GPU Diagnostics Page Logic (zy://gpu)
+ * Graphics feature status and the startup flags in effect
+ */
+
+const elements = {
+    diagnostics: document.getElementById('diagnostics'),
+    btnRefresh: document.getElementById('btn-refresh')
+};
+
+// Settings that are applied as startup flags, as shown here
+const STARTUP_SETTING_LABELS = {
+    hardwareAcceleration: 'Hardware acceleration',
+    rendererProcessLimit: 'Renderer process limit',
+    v8HeapSizeMb: 'V8 heap size (MB)'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    elements.btnRefresh.addEventListener('click', render);
+    render();
+});
+
+async function render() {
+    const info = await window.zyAPI.getGpuDiagnostics();
+
+    const features = Object.entries(info.featureStatus).map(([feature, status]) => {
+        // Statuses start with "enabled", "disabled" or "unavailable" (e.g. "enabled_on")
+        const className = status.startsWith('enabled') ? 'status-enabled' : 'status-disabled';
+        return renderRow(feature, `<span class="${className}">${Format.escapeHtml(status)}</span>`);
+    });
+
+    const startup = Object.entries(STARTUP_SETTING_LABELS).map(([key, label]) => {
+        return renderRow(label, Format.escapeHtml(formatSetting(info.applied[key])));
+    });
+
+    const switches = info.switches.map(sw => renderRow(`--${sw.name}`, Format.escapeHtml(sw.value || '(set)')));
+
+    const devices = info.gpuDevices.map((device, i) => renderRow(
+        `GPU ${i}${device.active ? ' (active)' : ''}`,
+        Format.escapeHtml(`vendor 0x${device.vendorId.toString(16)}, device 0x${device.deviceId.toString(16)}`)
+    ));
+
+    elements.diagnostics.innerHTML = `
+        ${info.restartRequired ? '<div class="restart-note">Settings have changed since Zy started. Restart to apply them.</div>' : ''}
+        <h2 class="section-title">Summary</h2>
+        <div class="card">
+            ${renderRow('Hardware acceleration', info.hardwareAcceleration ? 'Enabled' : 'Disabled')}
+            ${renderRow('Background tab throttling', info.backgroundThrottling ? 'On' : 'Off')}
+            ${renderRow('Electron', Format.escapeHtml(info.versions.electron))}
+            ${renderRow('Chromium', Format.escapeHtml(info.versions.chrome))}
+            ${renderRow('V8', Format.escapeHtml(info.versions.v8))}
+        </div>
+        <h2 class="section-title">Graphics feature status</h2>
+        <div class="card">${features.join('')}</div>
+        <h2 class="section-title">Applied at startup</h2>
+        <div class="card">${startup.join('')}</div>
+        <h2 class="section-title">Command-line switches</h2>
+        <div class="card">${switches.join('')}</div>
+        ${devices.length ? `<h2 class="section-title">GPU devices</h2><div class="card">${devices.join('')}</div>` : ''}
+    `;
+}
+
+/**
+ * A label / value row (value is HTML)
+ */
+function renderRow(label, valueHtml) {
+    return `
+        <div class="row">
+            <span class="diag-label">${Format.escapeHtml(label)}</span>
+            <span class="diag-value">${valueHtml}</span>
+        </div>
+    `;
+}
+
+function formatSetting(value) {
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    return value === 0 ? 'Default' : String(value);
+}
@@ -0,0 +1,202 @@
+/**
+ * History Page Logic (zy://history)
+ * Lists visits grouped by day with search, per-entry and per-range deletion,
+ * and the tabs and windows closed lately
+ */
+
+const SEARCH_DELAY_MS = 200;
+
+const elements = {
+    list: document.getElementById('history-list'),
+    search: document.getElementById('history-search'),
+    rangeSelect: document.getElementById('range-select'),
+    btnDeleteRange: document.getElementById('btn-delete-range'),
+    selectionBar: document.getElementById('selection-bar'),
+    selectionCount: document.getElementById('selection-count'),
+    btnDeleteSelected: document.getElementById('btn-delete-selected')
+};
+
+let visits = [];
+let recentlyClosed = []; // Newest first: { id, type, closedAt, title, url, tabCount }
+const selectedIds = new Set();
+let searchTimer = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    // Allow deep links such as zy://history/?q=github
+    const params = new URLSearchParams(window.location.search);
+    elements.search.value = params.get('q') || '';
+
+    setupListeners();
+    loadHistory();
+
+    window.zyAPI.onRecentlyClosedUpdated((entries) => {
+        recentlyClosed = entries;
+        render();
+    });
+});
+
+/**
+ * Fetch visits matching the current search text
+ */
+async function loadHistory() {
+    [visits, recentlyClosed] = await Promise.all([
+        window.zyAPI.searchHistory({ text: elements.search.value }),
+        window.zyAPI.getRecentlyClosed()
+    ]);
+    selectedIds.clear();
+    render();
+}
+
+/**
+ * Render visits grouped by calendar day
+ */
+function render() {
+    updateSelectionBar();
+
+    if (visits.length === 0) {
+        elements.list.innerHTML = renderRecentlyClosed() +
+            `<div class="empty-state">${elements.search.value ? 'No search results found' : 'Your browsing history appears here'}</div>`;
+        return;
+    }
+
+    const groups = new Map();
+    visits.forEach(v => {
+        const label = getDayLabel(v.time);
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(v);
+    });
+
+    elements.list.innerHTML = renderRecentlyClosed() + Array.from(groups.entries()).map(([label, items]) => `
+        <h2 class="section-title">${Format.escapeHtml(label)}</h2>
+        <div class="card">
+            ${items.map(v => `
+                <div class="row" data-id="${v.id}">
+                    <input type="checkbox" class="row-select" ${selectedIds.has(v.id) ? 'checked' : ''}>
+                    <span class="row-time">${formatTime(v.time)}</span>
+                    <div class="row-main">
+                        <a class="row-title" href="${Format.escapeHtml(v.url)}" title="${Format.escapeHtml(v.url)}">${Format.escapeHtml(v.title || v.url)}</a>
+                        <span class="row-subtitle">${Format.escapeHtml(getHost(v.url))}</span>
+                    </div>
+                    <button class="row-action" title="Remove from history">×</button>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Recently closed tabs and windows, above the visits (not while searching)
+ */
+function renderRecentlyClosed() {
+    if (elements.search.value || recentlyClosed.length === 0) return '';
+
+    return `
+        <h2 class="section-title">Recently closed</h2>
+        <div class="card">
+            ${recentlyClosed.map(entry => `
+                <div class="row" data-closed-id="${Format.escapeHtml(entry.id)}">
+                    <span class="row-time">${formatTime(entry.closedAt)}</span>
+                    <div class="row-main">
+                        <a class="row-title" href="#" title="${entry.type === 'window' ? 'Reopen window' : Format.escapeHtml(entry.url)}">${Format.escapeHtml(entry.title)}</a>
+                        <span class="row-subtitle">${entry.type === 'window'
+                            ? `Window with ${entry.tabCount} tab${entry.tabCount === 1 ? '' : 's'}`
+                            : Format.escapeHtml(getHost(entry.url))}</span>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Setup event listeners for search and deletion controls
+ */
+function setupListeners() {
+    elements.search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadHistory, SEARCH_DELAY_MS);
+    });
+
+    // Row actions (event delegation)
+    elements.list.addEventListener('click', async (e) => {
+        // Recently closed: reopen it where it was (the list updates itself)
+        const closedRow = e.target.closest('[data-closed-id]');
+        if (closedRow) {
+            e.preventDefault();
+            if (e.target.classList.contains('row-title')) window.zyAPI.reopenClosed(closedRow.dataset.closedId);
+            return;
+        }
+
+        const row = e.target.closest('.row');
+        if (!row) return;
+        const id = Number(row.dataset.id);
+
+        if (e.target.classList.contains('row-action')) {
+            await window.zyAPI.deleteHistoryVisits([id]);
+            await loadHistory();
+        }
+    });
+
+    elements.list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('row-select')) return;
+        const id = Number(e.target.closest('.row').dataset.id);
+        if (e.target.checked) {
+            selectedIds.add(id);
+        } else {
+            selectedIds.delete(id);
+        }
+        updateSelectionBar();
+    });
+
+    elements.btnDeleteSelected.addEventListener('click', async () => {
+        await window.zyAPI.deleteHistoryVisits(Array.from(selectedIds));
+        await loadHistory();
+    });
+
+    elements.btnDeleteRange.addEventListener('click', async () => {
+        const range = elements.rangeSelect.value;
+        const label = elements.rangeSelect.selectedOptions[0].textContent.toLowerCase();
+        if (!confirm(`Delete browsing history from the ${label}?`)) return;
+
+        if (range === 'all') {
+            window.zyAPI.clearHistory();
+        } else {
+            await window.zyAPI.deleteHistoryRange(Date.now() - Number(range), Date.now());
+        }
+        await loadHistory();
+    });
+}
+
+function updateSelectionBar() {
+    elements.selectionBar.classList.toggle('visible', selectedIds.size > 0);
+    elements.selectionCount.textContent = `${selectedIds.size} selected`;
+}
+
+// ============================================
+// FORMATTING HELPERS
+// ============================================
+
+function getDayLabel(time) {
+    const date = new Date(time);
+    const today = new Date();
+    const yesterday = new Date();
+    yesterday.setDate(today.getDate() - 1);
+
+    const fullDate = date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    if (date.toDateString() === today.toDateString()) return `Today - ${fullDate}`;
+    if (date.toDateString() === yesterday.toDateString()) return `Yesterday - ${fullDate}`;
+    return fullDate;
+}
+
+function formatTime(time) {
+    return new Date(time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+function getHost(pageUrl) {
+    try {
+        return new URL(pageUrl).hostname;
+    } catch {
+        return '';
+    }
+}
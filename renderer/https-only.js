@@ -0,0 +1,45 @@
+/**
+ * HTTPS-Only Interstitial Logic (zy://https-only/?url=...)
+ * Shown when a site can't be upgraded to https:// in strict mode
+ */
+
+const elements = {
+    host: document.getElementById('host'),
+    remember: document.getElementById('remember'),
+    btnBack: document.getElementById('btn-back'),
+    btnContinue: document.getElementById('btn-continue')
+};
+
+// The http:// page the user was trying to open
+let target = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        const parsed = new URL(new URLSearchParams(window.location.search).get('url'));
+        if (parsed.protocol === 'http:') target = parsed;
+    } catch {
+        // Missing or invalid URL: nothing to continue to
+    }
+
+    elements.host.textContent = target ? target.host : 'This site';
+    elements.btnContinue.disabled = !target;
+    setupListeners();
+});
+
+function setupListeners() {
+    elements.btnBack.addEventListener('click', () => {
+        if (window.history.length > 1) {
+            window.history.back();
+        } else {
+            window.location.replace('zy://home');
+        }
+    });
+
+    elements.btnContinue.addEventListener('click', async () => {
+        if (!target) return;
+        await window.zyAPI.allowHttpHost(target.hostname, elements.remember.checked);
+
+        // Replace the interstitial so Back doesn't return to it
+        window.location.replace(target.href);
+    });
+}
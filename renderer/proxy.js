@@ -0,0 +1,158 @@
+/**
+ * Proxy Settings Page Logic (zy://proxy)
+ * Edit the proxy of all tabs or override it for a container
+ */
+
+const elements = {
+    scope: document.getElementById('proxy-scope'),
+    inheritCard: document.getElementById('inherit-card'),
+    inherit: document.getElementById('proxy-inherit'),
+    form: document.getElementById('proxy-form'),
+    modes: document.querySelectorAll('input[name="proxy-mode"]'),
+    modeFields: document.querySelectorAll('.mode-fields'),
+    http: document.getElementById('proxy-http'),
+    https: document.getElementById('proxy-https'),
+    socks: document.getElementById('proxy-socks'),
+    bypass: document.getElementById('proxy-bypass'),
+    pacUrl: document.getElementById('proxy-pac-url'),
+    pacFile: document.getElementById('proxy-pac-file'),
+    btnChoosePac: document.getElementById('btn-choose-pac'),
+    username: document.getElementById('proxy-username'),
+    password: document.getElementById('proxy-password'),
+    status: document.getElementById('proxy-status'),
+    btnTest: document.getElementById('btn-test-proxy'),
+    btnSave: document.getElementById('btn-save-proxy')
+};
+
+// Path of the chosen PAC file (shown by name only)
+let pacFile = '';
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    const settings = await window.zyAPI.getSettings();
+    elements.scope.innerHTML += Containers.getAll(settings).map(c => `
+        <option value="${Format.escapeHtml(c.id)}">Container: ${Format.escapeHtml(c.name)}</option>
+    `).join('');
+
+    setupListeners();
+    loadScope();
+});
+
+/**
+ * Show the settings of the selected scope
+ */
+async function loadScope() {
+    const scope = elements.scope.value;
+    const { config, hasOverride, username, hasPassword } = await window.zyAPI.getProxySettings(scope);
+
+    elements.inheritCard.style.display = scope === 'default' ? 'none' : '';
+    elements.inherit.checked = !hasOverride;
+
+    elements.modes.forEach(input => {
+        input.checked = input.value === config.mode;
+    });
+    elements.http.value = config.http;
+    elements.https.value = config.https;
+    elements.socks.value = config.socks;
+    elements.bypass.value = config.bypass;
+    elements.pacUrl.value = config.pacUrl;
+    setPacFile(config.pacFile);
+
+    elements.username.value = username;
+    elements.password.value = '';
+    elements.password.placeholder = hasPassword ? 'Saved (type to change)' : '';
+
+    setStatus('');
+    render();
+}
+
+/**
+ * Show the fields of the selected mode; a container using the default can't be edited
+ */
+function render() {
+    const mode = getMode();
+    elements.modeFields.forEach(fields => fields.classList.toggle('visible', fields.dataset.mode === mode));
+
+    const inherited = elements.scope.value !== 'default' && elements.inherit.checked;
+    elements.form.style.opacity = inherited ? '0.5' : '';
+    elements.form.querySelectorAll('input, textarea, button').forEach(control => {
+        control.disabled = inherited;
+    });
+}
+
+function getMode() {
+    const checked = Array.from(elements.modes).find(input => input.checked);
+    return checked ? checked.value : 'system';
+}
+
+function getConfig() {
+    return {
+        mode: getMode(),
+        http: elements.http.value,
+        https: elements.https.value,
+        socks: elements.socks.value,
+        bypass: elements.bypass.value,
+        pacUrl: elements.pacUrl.value,
+        pacFile
+    };
+}
+
+function getCredentials() {
+    return { username: elements.username.value, password: elements.password.value };
+}
+
+function setPacFile(filePath) {
+    pacFile = filePath || '';
+    elements.pacFile.textContent = pacFile ? pacFile.split(/[\\/]/).pop() : 'No file chosen';
+    elements.pacFile.title = pacFile;
+}
+
+function setStatus(text, isError = false) {
+    elements.status.textContent = text;
+    elements.status.classList.toggle('error', isError);
+}
+
+function setupListeners() {
+    elements.scope.addEventListener('change', loadScope);
+    elements.inherit.addEventListener('change', render);
+    elements.modes.forEach(input => input.addEventListener('change', render));
+
+    elements.btnChoosePac.addEventListener('click', async () => {
+        const filePath = await window.zyAPI.selectPacFile();
+        if (filePath) setPacFile(filePath);
+    });
+
+    elements.btnSave.addEventListener('click', async () => {
+        const scope = elements.scope.value;
+        const inherited = scope !== 'default' && elements.inherit.checked;
+        const error = await window.zyAPI.setProxySettings(scope, inherited ? null : getConfig(), getCredentials());
+
+        if (error) {
+            setStatus(error, true);
+            return;
+        }
+        await loadScope();
+        setStatus('Saved');
+    });
+
+    elements.btnTest.addEventListener('click', async () => {
+        setStatus('Testing…');
+        elements.btnTest.disabled = true;
+
+        const scope = elements.scope.value;
+        let config = getConfig();
+        if (scope !== 'default' && elements.inherit.checked) {
+            config = (await window.zyAPI.getProxySettings('default')).config;
+        }
+
+        const result = await window.zyAPI.testProxySettings(scope, config, getCredentials());
+        elements.btnTest.disabled = false;
+
+        const via = result.proxy ? ` (via ${result.proxy})` : '';
+        if (result.ok) {
+            setStatus(`Connected: HTTP ${result.status} in ${result.time} ms${via}`);
+        } else {
+            setStatus(`Connection failed: ${result.error}${via}`, true);
+        }
+    });
+}
@@ -7,12 +7,17 @@
 // ============================================
 
 const state = {
-    tabs: [], // Array of { id, url, title, isLoading }
+    tabs: [], // Array of { id, url, title, isLoading, pendingTransition, history, containerId, groupId, openerId, pinned, muted, audible, lastActiveAt, asleep, formDirty, find }
+    groups: [], // Array of { id, name, color, collapsed }
+    tabCounter: 0,
     activeTabId: null,
-    isSplitView: false,
-    splitTabId: null,
+    selectedTabIds: new Set(), // Tabs picked with Ctrl / Shift + click
+    split: null, // { orientation, tabIds, sizes, focusedIndex } while tabs are shown side by side
     isSidebarOpen: true,
-    metricsInterval: null
+    metricsInterval: null,
+
+    // Set in private windows: the in-memory partition all tabs use
+    privatePartition: new URLSearchParams(window.location.search).get('private')
 };
 
 const elements = {
@@ -48,13 +53,86 @@ const elements = {
 // Handles creation/deletion/switching of tabs
 // ============================================
 
+// Back/forward entries kept per tab (and saved with the session)
+const TAB_MAX_HISTORY_ENTRIES = 50;
+
+// Scroll position and edited form fields of a page, kept when its tab gets
+// a new webview (waking from sleep, moving to another window). Fields are
+// matched by position and name; passwords and files aren't kept.
+const PAGE_STATE_CAPTURE_SCRIPT = `(() => {
+    const fields = [];
+    document.querySelectorAll('input, textarea, select').forEach((el, index) => {
+        if (['password', 'file', 'hidden'].includes(el.type)) return;
+        if (el.type === 'checkbox' || el.type === 'radio') {
+            if (el.checked !== el.defaultChecked) fields.push({ index, name: el.name, checked: el.checked });
+        } else if (el.tagName === 'SELECT') {
+            if (Array.from(el.options).some(o => o.selected !== o.defaultSelected)) {
+                fields.push({ index, name: el.name, value: el.value });
+            }
+        } else if (el.value !== el.defaultValue) {
+            fields.push({ index, name: el.name, value: el.value });
+        }
+    });
+    return { scroll: [window.scrollX, window.scrollY], fields };
+})()`;
+
+const PAGE_STATE_RESTORE_SCRIPT = (pageState) => `((pageState) => {
+    const elements = document.querySelectorAll('input, textarea, select');
+    pageState.fields.forEach(field => {
+        const el = elements[field.index];
+        if (!el || el.name !== field.name) return;
+        if ('checked' in field) el.checked = field.checked;
+        else el.value = field.value;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    window.scrollTo(pageState.scroll[0], pageState.scroll[1]);
+})(${JSON.stringify(pageState)})`;
+
 const TabManager = {
     /**
-     * Create a new tab and its webview
+     * Create a new tab and its webview.
+     * options.title / options.history / options.pinned / options.muted / options.groupId
+     * restore a tab from a saved session; options.containerId opens it in a container
+     * (null: none, unset: site rules decide). options.openerId is the tab a link
+     * was opened from: the new tab goes after it (and its other children) and
+     * joins its group. options.pageState (see capturePageState) is put back
+     * once the page has loaded.
      */
-    createTab: (url = 'zy://home', activate = true) => {
-        const tabId = 'tab-' + Date.now();
-        const tabData = { id: tabId, url, title: 'New Tab', isLoading: true };
+    createTab: (url = 'zy://home', activate = true, options = {}) => {
+        const tabId = `tab-${Date.now()}-${++state.tabCounter}`;
+        const saved = options.history && options.history.entries && options.history.entries.length
+            ? options.history
+            : null;
+        const history = saved
+            ? { entries: saved.entries.slice(), index: saved.index, nativeStart: saved.index, nativeEnd: saved.index }
+            : { entries: [], index: -1, nativeStart: 0, nativeEnd: -1 };
+        if (saved) url = history.entries[history.index].url;
+
+        const title = options.title || 'New Tab';
+        const opener = TabManager.getTab(options.openerId);
+        const container = ContainerManager.resolve(url, options.containerId);
+        const tabData = {
+            id: tabId,
+            url,
+            title,
+            isLoading: true,
+            pendingTransition: saved ? 'back_forward' : 'link',
+            pendingHistoryStep: 0,
+            history, // { entries, index, nativeStart, nativeEnd } (see recordNavigation)
+            containerId: container ? container.id : null,
+            groupId: TabGroups.get(options.groupId) ? options.groupId : null,
+            openerId: opener ? opener.id : null, // Tab this one was opened from (nests it in the vertical tab list)
+            pinned: false,
+            muted: options.muted === true,
+            audible: false,
+            lastActiveAt: Date.now(),
+            asleep: false,
+            formDirty: false, // The page has unsubmitted input
+            pageState: null,  // Scroll and form input saved when the tab went to sleep
+            memorySaved: 0,   // Bytes released by putting the tab to sleep
+            find: null        // Find bar search (see FindBar.getState)
+        };
         state.tabs.push(tabData);
 
         // 1. Create Tab Button in UI
@@ -63,282 +141,3379 @@ const TabManager = {
         tabEl.id = `btn-${tabId}`;
         tabEl.innerHTML = `
             <div class="tab-favicon">🌐</div>
-            <span class="tab-title">New Tab</span>
+            <span class="tab-title">${Format.escapeHtml(title)}</span>
+            <button class="tab-audio" hidden></button>
             <button class="tab-close" title="Close Tab">×</button>
         `;
 
-        tabEl.addEventListener('click', () => TabManager.switchTab(tabId));
+        tabEl.addEventListener('click', (e) => TabManager.handleTabClick(tabId, e));
         tabEl.querySelector('.tab-close').addEventListener('click', (e) => {
             e.stopPropagation();
             TabManager.closeTab(tabId);
         });
+        tabEl.querySelector('.tab-audio').addEventListener('click', (e) => {
+            e.stopPropagation();
+            TabManager.setMuted(tabId, !tabData.muted);
+        });
+        tabEl.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            TabContextMenu.open(tabId, e.clientX, e.clientY);
+        });
+        TabDrag.attach(tabEl, tabId);
+        ContainerManager.decorateTab(tabEl, container);
 
         elements.tabBar.appendChild(tabEl);
+        TabManager.renderAudio(tabId);
 
         // 2. Create Webview
+        const webview = TabManager.createWebview(tabData, url);
+        TabManager.restorePageState(webview, options.pageState);
+        if (options.pinned) TabManager.setPinned(tabId, true);
+        if (tabData.groupId) TabGroups.addTabs(tabData.groupId, [tabId]);
+        if (opener) {
+            if (opener.groupId && !tabData.groupId) tabData.groupId = opener.groupId;
+            TabManager.moveTab(tabId, VerticalTabs.getSubtreeEnd(opener.id));
+        }
+
+        if (activate) TabManager.switchTab(tabId);
+        VerticalTabs.scheduleRender();
+        SessionManager.scheduleCheckpoint();
+        return tabId;
+    },
+
+    /**
+     * Create the webview that shows a tab (when it opens, or wakes from sleep)
+     */
+    createWebview: (tab, url) => {
+        const tabId = tab.id;
         const viewEl = document.createElement('webview');
         viewEl.id = `view-${tabId}`;
         viewEl.className = 'webview';
+        if (state.privatePartition) {
+            viewEl.setAttribute('partition', state.privatePartition);
+        } else if (tab.containerId) {
+            viewEl.setAttribute('partition', Containers.getPartition(tab.containerId));
+        }
         viewEl.src = url;
         viewEl.setAttribute('allowpopups', '');
         viewEl.setAttribute('plugins', '');
         viewEl.setAttribute('webpreferences', 'allowRunningInsecureContent=true');
 
         // Attach Webview Events
-        viewEl.addEventListener('did-start-loading', () => TabManager.updateLoading(tabId, true));
+        viewEl.addEventListener('did-start-loading', () => {
+            TabManager.setCrashed(tabId, false);
+            TabManager.updateLoading(tabId, true);
+        });
         viewEl.addEventListener('did-stop-loading', () => TabManager.updateLoading(tabId, false));
         viewEl.addEventListener('page-title-updated', (e) => TabManager.updateTitle(tabId, e.title));
-        viewEl.addEventListener('did-navigate', (e) => TabManager.updateUrl(tabId, e.url));
-        viewEl.addEventListener('did-navigate-in-page', (e) => TabManager.updateUrl(tabId, e.url));
-        viewEl.addEventListener('new-window', (e) => TabManager.createTab(e.url));
+        viewEl.addEventListener('did-navigate', (e) => {
+            TabManager.setAudible(tabId, false);
+            TabManager.updateUrl(tabId, e.url);
+        });
+        viewEl.addEventListener('did-navigate-in-page', (e) => {
+            if (e.isMainFrame) TabManager.updateUrl(tabId, e.url, true);
+        });
+        viewEl.addEventListener('ipc-message', (e) => TabManager.handleGuestMessage(tabId, e.channel, e.args));
+        viewEl.addEventListener('dom-ready', () => {
+            viewEl.setAudioMuted(tab.muted);
+            ZoomManager.apply(tab);
+        });
+        viewEl.addEventListener('media-started-playing', () => TabManager.updateAudible(tabId));
+        viewEl.addEventListener('media-paused', () => TabManager.updateAudible(tabId));
+        viewEl.addEventListener('focus', () => SplitView.focusTab(tabId));
+        viewEl.addEventListener('found-in-page', (e) => FindBar.handleResult(tabId, e.result));
+        viewEl.addEventListener('render-process-gone', (e) => {
+            if (e.details.reason !== 'clean-exit') TabManager.setCrashed(tabId, true);
+        });
+
+        // Hidden until switchTab (or the split layout) shows it
+        viewEl.style.display = 'none';
 
         elements.viewsContainer.appendChild(viewEl);
+        return viewEl;
+    },
+
+    /**
+     * A crashed page (its process died or was ended from the Task Manager)
+     * leaves the webview blank: cover it with a notice offering a reload.
+     * Loading anything in the tab takes the notice away.
+     */
+    setCrashed: (tabId, crashed) => {
+        const notice = document.getElementById(`crashed-${tabId}`);
+        const webview = document.getElementById(`view-${tabId}`);
+        if (!crashed || !webview) {
+            notice?.remove();
+            return;
+        }
+        if (notice) return;
+
+        const el = document.createElement('div');
+        el.id = `crashed-${tabId}`;
+        el.className = 'tab-crashed';
+        el.innerHTML = `
+            <div class="tab-crashed-title">This page crashed</div>
+            <div class="tab-crashed-message">Its process ended unexpectedly.</div>
+            <button class="permission-btn primary">Reload</button>
+        `;
+        el.querySelector('button').addEventListener('click', () => webview.reload());
+
+        // Shown and placed (in split view) together with the webview
+        const sync = () => {
+            el.hidden = webview.style.display === 'none';
+            el.style.gridArea = webview.style.gridArea;
+        };
+        const observer = new MutationObserver(() => el.isConnected ? sync() : observer.disconnect());
+        observer.observe(webview, { attributes: true, attributeFilter: ['style'] });
+
+        webview.after(el);
+        sync();
+    },
+
+    /**
+     * Scroll position and edited form fields of a tab's page, or null
+     */
+    capturePageState: async (tabId) => {
+        const webview = document.getElementById(`view-${tabId}`);
+        if (!webview) return null;
+        try {
+            return await webview.executeJavaScript(PAGE_STATE_CAPTURE_SCRIPT);
+        } catch {
+            return null; // Not loaded yet, or crashed
+        }
+    },
+
+    /**
+     * Put a captured page state back once a new webview has loaded the page
+     */
+    restorePageState: (webview, pageState) => {
+        if (!pageState || !Array.isArray(pageState.scroll) || !Array.isArray(pageState.fields)) return;
+        webview.addEventListener('did-stop-loading', () => {
+            webview.executeJavaScript(PAGE_STATE_RESTORE_SCRIPT(pageState)).catch(() => { });
+        }, { once: true });
+    },
+
+    /**
+     * Pinned tabs are compact and stay together at the left of the strip
+     */
+    setPinned: (tabId, pinned) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab || tab.pinned === pinned) return;
+
+        tab.pinned = pinned;
+        if (pinned) tab.groupId = null; // Pinned tabs aren't part of groups
+        document.getElementById(`btn-${tabId}`).classList.toggle('pinned', pinned);
+
+        // Pinning moves the tab to the end of the pinned group, unpinning to the start of
+        // the others (moveTab counts positions before the tab is taken out of the strip)
+        const pinnedCount = state.tabs.filter(t => t.pinned && t.id !== tabId).length;
+        TabManager.moveTab(tabId, pinned ? pinnedCount : pinnedCount + 1);
+    },
+
+    setMuted: (tabId, muted) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab) return;
+
+        tab.muted = muted;
+        const webview = document.getElementById(`view-${tabId}`);
+        if (webview) webview.setAudioMuted(muted);
+        TabManager.renderAudio(tabId);
+        SessionManager.scheduleCheckpoint();
+    },
+
+    setAudible: (tabId, audible) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab || tab.audible === audible) return;
+
+        tab.audible = audible;
+        TabManager.renderAudio(tabId);
+    },
+
+    /**
+     * Follow the page's actual sound output (muted autoplay videos play
+     * silently). Chromium notices sound starting or stopping a moment
+     * after the media event, so look again shortly after.
+     */
+    updateAudible: (tabId) => {
+        const check = () => {
+            const webview = document.getElementById(`view-${tabId}`);
+            if (webview) TabManager.setAudible(tabId, webview.isCurrentlyAudible());
+        };
+        check();
+        setTimeout(check, 1000);
+    },
+
+    /**
+     * Speaker icon: shown while the tab plays sound or is muted, click to toggle
+     */
+    renderAudio: (tabId) => {
+        const tab = TabManager.getTab(tabId);
+        const tabEl = document.getElementById(`btn-${tabId}`);
+        if (!tab || !tabEl) return;
+
+        const button = tabEl.querySelector('.tab-audio');
+        button.hidden = !tab.muted && !tab.audible;
+        button.textContent = tab.muted ? '🔇' : '🔊';
+        button.title = tab.muted ? 'Unmute tab' : 'Mute tab';
+        VerticalTabs.scheduleRender();
+    },
+
+    /**
+     * Open a copy of a tab (same page and back/forward list) next to it
+     */
+    duplicateTab: (tabId) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab) return null;
+
+        const copyId = TabManager.createTab(tab.url, true, SessionManager.serializeTab(tab));
+        TabManager.moveTab(copyId, state.tabs.indexOf(tab) + 1);
+        return copyId;
+    },
+
+    reloadTab: (tabId) => {
+        const tab = TabManager.getTab(tabId);
+        const webview = document.getElementById(`view-${tabId}`);
+        if (!tab) return;
+
+        if (tab.asleep) {
+            TabSleeper.wake(tab);
+        } else if (webview) {
+            tab.pendingTransition = 'reload';
+            webview.reload();
+        }
+    },
+
+    /**
+     * Switch to a specific tab
+     */
+    switchTab: (tabId) => {
+        // Tabs become idle from the moment they're left
+        const previous = TabManager.getTab(state.activeTabId);
+        if (previous) previous.lastActiveAt = Date.now();
+
+        const tab = TabManager.getTab(tabId);
+        if (tab) {
+            tab.lastActiveAt = Date.now();
+            if (tab.asleep) TabSleeper.wake(tab);
+            if (tab.groupId) TabGroups.setCollapsed(tab.groupId, false);
+        }
+
+        state.activeTabId = tabId;
+
+        // Update UI Tabs
+        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+        document.getElementById(`btn-${tabId}`).classList.add('active');
+
+        // Update Webviews (Show active, hide others; in split view, the panes)
+        if (state.split) {
+            SplitView.showTab(tabId);
+        } else {
+            document.querySelectorAll('webview').forEach(v => {
+                v.style.display = (v.id === `view-${tabId}`) ? 'flex' : 'none';
+            });
+        }
+
+        const activeWebview = TabManager.getActiveWebview();
+        if (activeWebview) {
+            elements.urlInput.value = activeWebview.getURL();
+            updateNavigationButtons();
+            // Sync Bookmark Star
+            if (window.BookmarksManager) window.BookmarksManager.updateStarState();
+        }
+        ContentBlockerIndicator.render();
+        FindBar.render();
+        ZoomManager.render();
+
+        VerticalTabs.scheduleRender();
+        SessionManager.scheduleCheckpoint();
+    },
+
+    /**
+     * Close a tab. It's kept in "Recently closed" unless it's only moving
+     * (to another window) or this is a private window.
+     */
+    closeTab: (tabId, recordClosed = true) => {
+        if (state.tabs.length <= 1) return; // Don't close last tab
+
+        PermissionPrompt.dismissForTab(tabId);
+
+        const index = state.tabs.findIndex(t => t.id === tabId);
+        if (recordClosed && !state.privatePartition && !SessionManager.isBlankTab(state.tabs[index])) {
+            window.zyAPI.recordClosedTab(SessionManager.serializeTab(state.tabs[index]), index);
+        }
+        VerticalTabs.detach(state.tabs[index]);
+        state.tabs.splice(index, 1);
+        state.selectedTabIds.delete(tabId);
+
+        document.getElementById(`btn-${tabId}`).remove();
+        TabManager.setCrashed(tabId, false);
+        document.getElementById(`view-${tabId}`)?.remove(); // Sleeping tabs have no webview
+        TabSleeper.render();
+        TabGroups.prune();
+
+        // Switch to neighbor if closed tab was active (in split view, to the focused pane)
+        const paneTabId = SplitView.removeTab(tabId);
+        if (state.activeTabId === tabId) {
+            const nextTab = state.tabs[index] || state.tabs[index - 1];
+            TabManager.switchTab(paneTabId || nextTab.id);
+        } else if (paneTabId) {
+            TabManager.switchTab(state.activeTabId);
+        }
+
+        SessionManager.scheduleCheckpoint();
+    },
+
+    /**
+     * Move a tab to a new position in the tab strip (webviews stay put,
+     * moving them in the DOM would reload them)
+     */
+    moveTab: (tabId, index) => {
+        const from = state.tabs.findIndex(t => t.id === tabId);
+        if (from === -1) return;
+
+        const [tab] = state.tabs.splice(from, 1);
+        if (index < 0 || index > state.tabs.length) index = state.tabs.length;
+        if (index > from) index--; // Positions after the tab shift left once it's removed
+
+        // Pinned tabs stay left of the others
+        const pinnedCount = state.tabs.filter(t => t.pinned).length;
+        index = tab.pinned ? Math.min(index, pinnedCount) : Math.max(index, pinnedCount);
+        state.tabs.splice(index, 0, tab);
+
+        const nextTab = state.tabs[index + 1];
+        elements.tabBar.insertBefore(
+            document.getElementById(`btn-${tabId}`),
+            nextTab ? document.getElementById(`btn-${nextTab.id}`) : null
+        );
+
+        TabGroups.render();
+        VerticalTabs.scheduleRender();
+        SessionManager.scheduleCheckpoint();
+    },
+
+    /**
+     * Click on a tab button: Ctrl + click adds it to (or removes it from) the
+     * selection, Shift + click selects the range from the active tab, a plain
+     * click switches to it
+     */
+    handleTabClick: (tabId, e) => {
+        const selection = state.selectedTabIds;
+        if (e.ctrlKey || e.metaKey) {
+            // The active tab is part of any selection
+            if (!selection.size) selection.add(state.activeTabId);
+            if (selection.has(tabId)) {
+                selection.delete(tabId);
+            } else {
+                selection.add(tabId);
+            }
+        } else if (e.shiftKey) {
+            const from = state.tabs.findIndex(t => t.id === state.activeTabId);
+            const to = state.tabs.findIndex(t => t.id === tabId);
+            state.selectedTabIds = new Set(
+                state.tabs.slice(Math.min(from, to), Math.max(from, to) + 1).map(t => t.id)
+            );
+        } else {
+            selection.clear();
+            TabManager.switchTab(tabId);
+        }
+        TabManager.renderSelection();
+    },
+
+    /**
+     * Tabs an action on `tabId` applies to: the selection if the tab is in it
+     * (in strip order), else the tab alone
+     */
+    getTargetTabIds: (tabId) => {
+        if (!state.selectedTabIds.has(tabId)) return [tabId];
+        return state.tabs.filter(t => state.selectedTabIds.has(t.id)).map(t => t.id);
+    },
+
+    clearSelection: () => {
+        state.selectedTabIds.clear();
+        TabManager.renderSelection();
+    },
+
+    renderSelection: () => {
+        state.tabs.forEach(tab => {
+            const tabEl = document.getElementById(`btn-${tab.id}`);
+            if (tabEl) tabEl.classList.toggle('selected', state.selectedTabIds.has(tab.id));
+        });
+        VerticalTabs.scheduleRender();
+    },
+
+    /**
+     * Messages sent by tab pages through the preload (sendToHost)
+     */
+    handleGuestMessage: (tabId, channel, args) => {
+        const tab = TabManager.getTab(tabId);
+        const webview = document.getElementById(`view-${tabId}`);
+        if (!tab || !webview) return;
+
+        // Home page search box: resolve with the same rules as the address bar
+        if (channel === 'submit-search-input' && typeof args[0] === 'string' && args[0].trim()) {
+            tab.pendingTransition = 'typed';
+            webview.src = formatUrl(args[0]);
+        }
+
+        // Web pages report typing into a form (keeps the tab awake)
+        if (channel === 'form-dirty') tab.formDirty = args[0] === true;
+    },
+
+    /**
+     * Get the state record of a tab
+     */
+    getTab: (tabId) => {
+        return state.tabs.find(t => t.id === tabId);
+    },
+
+    /**
+     * Tab whose webview has this webContents id (sleeping tabs have none)
+     */
+    findTabByWebContentsId: (webContentsId) => {
+        return state.tabs.find(tab => {
+            const webview = document.getElementById(`view-${tab.id}`);
+            try {
+                return webview && webview.getWebContentsId() === webContentsId;
+            } catch {
+                return false; // Not attached yet
+            }
+        });
+    },
+
+    /**
+     * Remember how the next navigation of the active tab was started
+     * (typed, back_forward, reload) so history can record it
+     */
+    setPendingTransition: (transition) => {
+        const tab = TabManager.getTab(state.activeTabId);
+        if (tab) tab.pendingTransition = transition;
+    },
+
+    /**
+     * Whether a tab can move `step` entries through its back/forward list
+     */
+    canGoToOffset: (tabId, step) => {
+        const tab = TabManager.getTab(tabId);
+        const webview = document.getElementById(`view-${tabId}`);
+        if (!tab || !webview) return false;
+
+        return !!tab.history.entries[tab.history.index + step];
+    },
+
+    /**
+     * Go back (-1) or forward (1). Entries the webview's own back/forward
+     * list doesn't have (from before a restore or sleep) are loaded directly.
+     */
+    goToOffset: (tabId, step) => {
+        if (!TabManager.canGoToOffset(tabId, step)) return;
+
+        const tab = TabManager.getTab(tabId);
+        const webview = document.getElementById(`view-${tabId}`);
+        const target = tab.history.index + step;
+        tab.pendingTransition = 'back_forward';
+        tab.pendingHistoryStep = step;
+
+        if (TabManager.isNativeEntry(tab, target) && (step < 0 ? webview.canGoBack() : webview.canGoForward())) {
+            webview.goToOffset(step);
+        } else {
+            tab.history.loadingSaved = true;
+            webview.src = tab.history.entries[target].url;
+        }
+    },
+
+    /**
+     * Whether the webview's back/forward list has this entry of the tab's list.
+     * A restored (or woken) tab starts out with just its current page there.
+     */
+    isNativeEntry: (tab, index) => index >= tab.history.nativeStart && index <= tab.history.nativeEnd,
+
+    /**
+     * Keep the tab's back/forward list in step with its navigations.
+     * history.entries[nativeStart..nativeEnd] are the webview's own list too;
+     * the older and newer entries are only saved here.
+     */
+    recordNavigation: (tab, url) => {
+        const history = tab.history;
+        const current = history.entries[history.index];
+        const loadingSaved = history.loadingSaved;
+        let step = tab.pendingHistoryStep;
+        tab.pendingHistoryStep = 0;
+        history.loadingSaved = false;
+
+        // Back/forward started by the page itself (history.back(), mouse buttons)
+        if (!step) {
+            if (TabManager.isNativeEntry(tab, history.index - 1) && history.entries[history.index - 1].url === url) step = -1;
+            else if (TabManager.isNativeEntry(tab, history.index + 1) && history.entries[history.index + 1].url === url) step = 1;
+        }
+
+        if (step && history.entries[history.index + step]?.url === url) {
+            history.index += step;
+
+            // A saved entry loaded directly is a new page to the webview, after the
+            // one just left: its list can only keep this page
+            if (loadingSaved || !TabManager.isNativeEntry(tab, history.index)) {
+                const webview = document.getElementById(`view-${tab.id}`);
+                if (webview) webview.clearHistory();
+                history.nativeStart = history.index;
+                history.nativeEnd = history.index;
+            }
+        } else if (!current || current.url !== url) {
+            history.entries.splice(history.index + 1);
+            history.entries.push({ url, title: '' });
+            if (history.entries.length > TAB_MAX_HISTORY_ENTRIES) {
+                history.entries.shift();
+                history.nativeStart = Math.max(0, history.nativeStart - 1);
+            }
+            history.index = history.entries.length - 1;
+            history.nativeEnd = history.index;
+            // A saved entry that redirected: the webview's list no longer lines up with ours
+            if (loadingSaved) history.nativeStart = history.index;
+        }
+    },
+
+    /**
+     * Get the webview of the currently active tab
+     */
+    getActiveWebview: () => {
+        return document.getElementById(`view-${state.activeTabId}`);
+    },
+
+    updateLoading: (tabId, isLoading) => {
+        if (tabId === state.activeTabId) {
+            if (isLoading) {
+                elements.loadingBar.classList.add('loading');
+                elements.loadingBar.classList.remove('complete');
+            } else {
+                elements.loadingBar.classList.remove('loading');
+                elements.loadingBar.classList.add('complete');
+                setTimeout(() => elements.loadingBar.classList.remove('complete'), 600);
+            }
+            updateNavigationButtons();
+        }
+    },
+
+    updateTitle: (tabId, title) => {
+        const tab = TabManager.getTab(tabId);
+        if (tab) {
+            tab.title = title;
+            const entry = tab.history.entries[tab.history.index];
+            if (entry) entry.title = title;
+        }
+
+        const tabEl = document.getElementById(`btn-${tabId}`);
+        if (tabEl) tabEl.querySelector('.tab-title').textContent = title || 'Untitled';
+        if (tabId === state.activeTabId) document.title = `${title} - Zy Browser`;
+
+        if (tab && tab.url && !state.privatePartition) window.zyAPI.updateHistoryTitle(tab.url, title);
+        VerticalTabs.scheduleRender();
+        SessionManager.scheduleCheckpoint();
+    },
+
+    updateUrl: (tabId, url, isInPage = false) => {
+        const tab = TabManager.getTab(tabId);
+        if (tab) {
+            tab.url = url;
+            if (!isInPage) {
+                tab.formDirty = false;
+                FindBar.handleNavigation(tab);
+                ZoomManager.apply(tab);
+            }
+            TabManager.recordNavigation(tab, url);
+
+            // Record the visit with how the user got here (not in private windows)
+            const transition = isInPage ? 'in_page' : tab.pendingTransition;
+            tab.pendingTransition = 'link';
+            // A full navigation still holds the previous page's title: page-title-updated
+            // fills it in (updateHistoryTitle)
+            const title = isInPage ? tab.title : '';
+            if (!state.privatePartition) window.zyAPI.addHistoryVisit({ url, title, transition });
+        }
+
+        if (tabId === state.activeTabId) {
+            elements.urlInput.value = url;
+            updateNavigationButtons();
+            // Sync Bookmark Star
+            if (window.BookmarksManager) window.BookmarksManager.updateStarState();
+        }
+
+        VerticalTabs.scheduleRender();
+        SessionManager.scheduleCheckpoint();
+    }
+};
+
+// ============================================
+// TAB SLEEP
+// Background tabs left idle give up their webview (and its memory);
+// the tab keeps its place, title and back/forward list, and the page
+// loads again, scrolled back into place, when the tab is switched to
+// ============================================
+
+const TAB_SLEEP_CHECK_INTERVAL_MS = 60 * 1000;
+
+const TabSleeper = {
+    summary: null,
+
+    init: () => {
+        TabSleeper.summary = document.getElementById('tab-sleep-summary');
+        setInterval(TabSleeper.check, TAB_SLEEP_CHECK_INTERVAL_MS);
+    },
+
+    /**
+     * Put tabs idle for longer than the setting to sleep
+     */
+    check: () => {
+        const minutes = SettingsManager.settings.tabSleepMinutes;
+        if (!minutes) return;
+
+        const idleSince = Date.now() - minutes * 60 * 1000;
+        state.tabs
+            .filter(tab => !tab.asleep && tab.lastActiveAt < idleSince)
+            .forEach(TabSleeper.sleep);
+    },
+
+    /**
+     * Tabs that must stay awake: visible, pinned, playing sound, loading,
+     * being inspected, or holding unsubmitted form input
+     */
+    isExempt: (tab, webview) => {
+        if (tab.id === state.activeTabId || SplitView.isShown(tab.id) || tab.pinned || tab.formDirty) return true;
+        try {
+            return webview.isCurrentlyAudible() || webview.isLoading() || webview.isDevToolsOpened();
+        } catch {
+            return true; // Webview not ready yet (before dom-ready): still loading
+        }
+    },
+
+    sleep: async (tab) => {
+        const webview = document.getElementById(`view-${tab.id}`);
+        if (!webview || TabSleeper.isExempt(tab, webview)) return;
+
+        const pageState = await TabManager.capturePageState(tab.id);
+        let memory = 0;
+        try {
+            memory = await window.zyAPI.getTabMemory(webview.getWebContentsId());
+        } catch (e) {
+            // Page not ready (crashed or still attaching): sleep anyway
+        }
+
+        // The tab may have been closed, switched to or started playing meanwhile
+        if (!TabManager.getTab(tab.id) || !webview.isConnected || TabSleeper.isExempt(tab, webview)) return;
+
+        tab.asleep = true;
+        tab.pageState = pageState;
+        tab.memorySaved = memory;
+
+        PermissionPrompt.dismissForTab(tab.id);
+        TabManager.setCrashed(tab.id, false);
+        webview.remove();
+        TabSleeper.render();
+    },
+
+    /**
+     * Give a sleeping tab its webview back (called when it's shown)
+     */
+    wake: (tab) => {
+        tab.asleep = false;
+        tab.memorySaved = 0;
+        tab.pendingTransition = 'reload';
+
+        // Like a restored tab, the new webview's list starts with just this page
+        tab.history.nativeStart = tab.history.index;
+        tab.history.nativeEnd = tab.history.index;
+
+        const webview = TabManager.createWebview(tab, tab.url);
+        TabManager.restorePageState(webview, tab.pageState);
+        tab.pageState = null;
+
+        TabSleeper.render();
+    },
+
+    /**
+     * Mark sleeping tabs and show how much memory they gave back
+     */
+    render: () => {
+        let sleeping = 0;
+        let saved = 0;
+
+        state.tabs.forEach(tab => {
+            const tabEl = document.getElementById(`btn-${tab.id}`);
+            if (!tabEl) return;
+            // The tab's own tooltip belongs to its container; the favicon carries this one
+            const favicon = tabEl.querySelector('.tab-favicon');
+            tabEl.classList.toggle('sleeping', tab.asleep);
+            if (tab.asleep) {
+                sleeping++;
+                saved += tab.memorySaved;
+                favicon.title = tab.memorySaved
+                    ? `Sleeping, saving about ${Format.bytes(tab.memorySaved)}`
+                    : 'Sleeping';
+            } else {
+                favicon.removeAttribute('title');
+            }
+        });
+
+        TabSleeper.summary.hidden = sleeping === 0;
+        TabSleeper.summary.textContent = saved ? `💤 ${Format.bytes(saved)}` : `💤 ${sleeping}`;
+        TabSleeper.summary.title = `${sleeping} sleeping tab${sleeping === 1 ? '' : 's'}` +
+            (saved ? `, about ${Format.bytes(saved)} of memory saved` : '');
+        VerticalTabs.scheduleRender();
+    }
+};
+
+// ============================================
+// TAB DRAG
+// Reorder tabs, or drag them into another window / out to a new one
+// ============================================
+
+const TAB_DRAG_TYPE = 'application/x-zy-tab';
+
+const TabDrag = {
+    init: () => {
+        elements.tabBar.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            TabDrag.showDropMarker(TabDrag.getDropIndex(e.clientX));
+        });
+
+        elements.tabBar.addEventListener('dragleave', (e) => {
+            if (!elements.tabBar.contains(e.relatedTarget)) TabDrag.showDropMarker(-1);
+        });
+
+        elements.tabBar.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+            e.preventDefault();
+            TabDrag.showDropMarker(-1);
+
+            const index = TabDrag.getDropIndex(e.clientX);
+            const tabId = e.dataTransfer.getData(TAB_DRAG_TYPE);
+            const chip = e.target.closest('.tab-group-chip');
+            if (TabManager.getTab(tabId) && chip) {
+                // Dropped on a group's label: join the group
+                TabGroups.addTabs(chip.dataset.groupId, [tabId]);
+            } else if (TabManager.getTab(tabId)) {
+                TabManager.moveTab(tabId, index);
+                TabGroups.updateAfterMove(tabId);
+                VerticalTabs.updateAfterMove(tabId);
+            } else {
+                // A tab from another window
+                window.zyAPI.dropTab(index);
+            }
+        });
+
+        // Tabs dragged in from another window, or reopened from "Recently closed"
+        window.zyAPI.onTabAttach(({ tab, index }) => {
+            const tabId = TabManager.createTab(tab.url, true, tab);
+            TabManager.moveTab(tabId, index);
+            TabGroups.updateAfterMove(tabId);
+        });
+
+        window.zyAPI.onTabDetach((tabId) => TabManager.closeTab(tabId, false));
+    },
+
+    /**
+     * Make a tab button draggable
+     */
+    attach: (tabEl, tabId) => {
+        tabEl.draggable = true;
+
+        tabEl.addEventListener('dragstart', (e) => {
+            const tab = TabManager.getTab(tabId);
+            e.dataTransfer.setData(TAB_DRAG_TYPE, tabId);
+            e.dataTransfer.effectAllowed = 'move';
+            tabEl.classList.add('dragging');
+
+            window.zyAPI.startTabDrag({
+                tabId,
+                tab: SessionManager.serializeTab(tab),
+                isOnlyTab: state.tabs.length === 1
+            });
+
+            // A tab moved to another window loads its page again there: take the
+            // scroll position and form input along (ready long before the drop)
+            TabManager.capturePageState(tabId).then(pageState => {
+                if (pageState) window.zyAPI.setTabDragPageState(tabId, pageState);
+            });
+        });
+
+        tabEl.addEventListener('dragend', (e) => {
+            tabEl.classList.remove('dragging');
+            TabDrag.showDropMarker(-1);
+            window.zyAPI.endTabDrag({ screenX: e.screenX, screenY: e.screenY });
+        });
+    },
+
+    /**
+     * Index in the tab strip the cursor points at (before the tab under it)
+     */
+    getDropIndex: (clientX) => {
+        const index = state.tabs.findIndex(t => {
+            const rect = document.getElementById(`btn-${t.id}`).getBoundingClientRect();
+            return clientX < rect.left + rect.width / 2;
+        });
+        return index === -1 ? state.tabs.length : index;
+    },
+
+    showDropMarker: (index) => {
+        document.querySelectorAll('.tab.drop-before, .tab.drop-after').forEach(t => {
+            t.classList.remove('drop-before', 'drop-after');
+        });
+        if (index < 0 || !state.tabs.length) return;
+
+        if (index < state.tabs.length) {
+            document.getElementById(`btn-${state.tabs[index].id}`).classList.add('drop-before');
+        } else {
+            document.getElementById(`btn-${state.tabs[state.tabs.length - 1].id}`).classList.add('drop-after');
+        }
+    }
+};
+
+// ============================================
+// VERTICAL TABS
+// The tab list in the sidebar: the same tabs as the strip, in the same
+// order, each nested under the tab it was opened from
+// ============================================
+
+const VERTICAL_TAB_DRAG_TYPE = 'application/x-zy-vertical-tab';
+const VERTICAL_TAB_INDENT_PX = 14;
+const VERTICAL_TAB_MAX_DEPTH = 6; // Deeper tabs are drawn at this depth
+
+const VerticalTabs = {
+    list: null,
+    filterInput: null,
+    enabled: false, // Setting: the list replaces the tab strip
+    renderFrame: null,
+
+    init: () => {
+        VerticalTabs.list = document.getElementById('vertical-tab-list');
+        VerticalTabs.filterInput = document.getElementById('vertical-tabs-filter');
+        const list = VerticalTabs.list;
+
+        VerticalTabs.filterInput.addEventListener('input', VerticalTabs.render);
+        VerticalTabs.filterInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            VerticalTabs.filterInput.value = '';
+            VerticalTabs.render();
+        });
+        document.getElementById('btn-vertical-new-tab').addEventListener('click', () => TabManager.createTab());
+
+        list.addEventListener('click', (e) => {
+            const groupRow = e.target.closest('.vertical-tab-group');
+            if (groupRow) {
+                const group = TabGroups.get(groupRow.dataset.groupId);
+                if (group) TabGroups.setCollapsed(group.id, !group.collapsed);
+                return;
+            }
+
+            const row = e.target.closest('.vertical-tab');
+            if (!row) return;
+            const tabId = row.dataset.tabId;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'close') {
+                TabManager.closeTab(tabId);
+            } else if (action === 'mute') {
+                TabManager.setMuted(tabId, !TabManager.getTab(tabId).muted);
+            } else {
+                TabManager.handleTabClick(tabId, e);
+            }
+        });
+
+        list.addEventListener('contextmenu', (e) => {
+            const groupRow = e.target.closest('.vertical-tab-group');
+            const row = e.target.closest('.vertical-tab');
+            if (!groupRow && !row) return;
+            e.preventDefault();
+            if (groupRow) {
+                TabGroups.openEditor(groupRow.dataset.groupId, groupRow);
+            } else {
+                TabContextMenu.open(row.dataset.tabId, e.clientX, e.clientY);
+            }
+        });
+
+        // Reordering (within this window: the tab strip handles dragging tabs out)
+        list.addEventListener('dragstart', (e) => {
+            const row = e.target.closest('.vertical-tab');
+            if (!row) return;
+            e.dataTransfer.setData(VERTICAL_TAB_DRAG_TYPE, row.dataset.tabId);
+            e.dataTransfer.effectAllowed = 'move';
+            row.classList.add('dragging');
+        });
+
+        list.addEventListener('dragend', () => {
+            list.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+            VerticalTabs.showDropMarker(null, false);
+        });
+
+        list.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(VERTICAL_TAB_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            VerticalTabs.showDropMarker(VerticalTabs.getDropRow(e.clientY));
+        });
+
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) VerticalTabs.showDropMarker(null, false);
+        });
+
+        list.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes(VERTICAL_TAB_DRAG_TYPE)) return;
+            e.preventDefault();
+            const row = VerticalTabs.getDropRow(e.clientY);
+            VerticalTabs.showDropMarker(null, false);
+            VerticalTabs.moveTabs(
+                e.dataTransfer.getData(VERTICAL_TAB_DRAG_TYPE),
+                row ? Number(row.dataset.index) : state.tabs.length
+            );
+        });
+    },
+
+    /**
+     * Vertical tabs setting: hide the tab strip and show the list
+     */
+    setEnabled: (enabled) => {
+        if (enabled === VerticalTabs.enabled) return;
+        VerticalTabs.enabled = enabled;
+        document.body.classList.toggle('vertical-tabs', enabled);
+        if (enabled) SidebarManager.open('tabs');
+    },
+
+    /**
+     * Depth of each tab in the tree. A tab is nested only while its opener
+     * is one of the tabs right above it (its parent, or the parent's
+     * children), so moving tabs apart flattens them.
+     */
+    getDepths: () => {
+        const depths = new Map();
+        const ancestors = []; // Ids from the top-level tab down to the previous tab
+        state.tabs.forEach(tab => {
+            ancestors.length = ancestors.lastIndexOf(tab.openerId) + 1;
+            depths.set(tab.id, ancestors.length);
+            ancestors.push(tab.id);
+        });
+        return depths;
+    },
+
+    /**
+     * Position just after a tab and all the tabs nested under it
+     */
+    getSubtreeEnd: (tabId) => {
+        const depths = VerticalTabs.getDepths();
+        const index = state.tabs.findIndex(t => t.id === tabId);
+        let end = index + 1;
+        while (end < state.tabs.length && depths.get(state.tabs[end].id) > depths.get(tabId)) end++;
+        return end;
+    },
+
+    /**
+     * Hand a tab's children to its own opener (before it's closed or moved)
+     */
+    detach: (tab) => {
+        state.tabs.forEach(t => {
+            if (t.openerId === tab.id) t.openerId = tab.openerId;
+        });
+    },
+
+    /**
+     * After a drag the tab leaves its place in the tree and takes the one it was
+     * dropped in: first child of the tab above when that tab's children follow,
+     * else a sibling of the tab above
+     */
+    updateAfterMove: (tabId) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab) return;
+        VerticalTabs.detach(tab);
+
+        const index = state.tabs.indexOf(tab);
+        const before = state.tabs[index - 1];
+        const after = state.tabs[index + 1];
+        const depths = VerticalTabs.getDepths();
+
+        if (before && after && depths.get(after.id) > depths.get(before.id)) {
+            tab.openerId = before.id;
+        } else {
+            tab.openerId = before && depths.get(before.id) ? before.openerId : null;
+        }
+        VerticalTabs.scheduleRender();
+        SessionManager.scheduleCheckpoint();
+    },
+
+    /**
+     * Move a dragged tab, or the selection it's part of, to a position in the strip
+     */
+    moveTabs: (tabId, index) => {
+        if (!TabManager.getTab(tabId)) return;
+
+        TabManager.getTargetTabIds(tabId).forEach(id => {
+            TabManager.moveTab(id, index);
+            TabGroups.updateAfterMove(id);
+            VerticalTabs.updateAfterMove(id);
+            index = state.tabs.findIndex(t => t.id === id) + 1; // The next one goes after it
+        });
+    },
+
+    /**
+     * Row the cursor is above (the drop goes before it); undefined past the last row
+     */
+    getDropRow: (clientY) => {
+        return Array.from(VerticalTabs.list.querySelectorAll('[data-index]')).find(row => {
+            const rect = row.getBoundingClientRect();
+            return clientY < rect.top + rect.height / 2;
+        });
+    },
+
+    /**
+     * Line before the row a drop goes before, or after the last row for the
+     * end of the list; `show` false removes it
+     */
+    showDropMarker: (row, show = true) => {
+        const list = VerticalTabs.list;
+        list.querySelectorAll('.drop-before, .drop-after').forEach(r => r.classList.remove('drop-before', 'drop-after'));
+        if (!show) return;
+
+        if (row) {
+            row.classList.add('drop-before');
+        } else {
+            list.lastElementChild?.classList.add('drop-after');
+        }
+    },
+
+    scheduleRender: () => {
+        if (VerticalTabs.renderFrame) return;
+        VerticalTabs.renderFrame = requestAnimationFrame(() => {
+            VerticalTabs.renderFrame = null;
+            VerticalTabs.render();
+        });
+    },
+
+    /**
+     * Redraw the list from state.tabs. While filtering, matching tabs are listed flat.
+     */
+    render: () => {
+        if (!VerticalTabs.list) return;
+
+        const query = VerticalTabs.filterInput.value.trim().toLowerCase();
+        const depths = VerticalTabs.getDepths();
+        const rows = [];
+
+        state.tabs.forEach((tab, index) => {
+            const group = TabGroups.get(tab.groupId);
+            if (query) {
+                if (!`${tab.title} ${tab.url}`.toLowerCase().includes(query)) return;
+            } else if (group) {
+                if (state.tabs[index - 1]?.groupId !== group.id) rows.push(VerticalTabs.renderGroupRow(group, index));
+                if (group.collapsed) return;
+            }
+            rows.push(VerticalTabs.renderTabRow(tab, index, query ? 0 : depths.get(tab.id)));
+        });
+
+        VerticalTabs.list.innerHTML = rows.join('') ||
+            '<li class="vertical-tabs-empty">No matching tabs</li>';
+    },
+
+    renderTabRow: (tab, index, depth) => {
+        const group = TabGroups.get(tab.groupId);
+        const container = tab.containerId && Containers.getAll(SettingsManager.settings).find(c => c.id === tab.containerId);
+        const classes = [
+            'vertical-tab',
+            tab.id === state.activeTabId ? 'active' : '',
+            state.selectedTabIds.has(tab.id) ? 'selected' : '',
+            tab.asleep ? 'sleeping' : '',
+            group ? 'in-group' : ''
+        ].filter(Boolean).join(' ');
+        const style = `padding-left: ${8 + Math.min(depth, VERTICAL_TAB_MAX_DEPTH) * VERTICAL_TAB_INDENT_PX}px;` +
+            (group ? ` --group-color: ${Containers.colors[group.color]};` : '');
+        const title = tab.title || 'Untitled';
+
+        return `
+            <li class="${classes}" data-tab-id="${tab.id}" data-index="${index}" draggable="true"
+                style="${style}" title="${Format.escapeHtml(title)}&#10;${Format.escapeHtml(tab.url)}">
+                <span class="vertical-tab-favicon">${tab.pinned ? '📌' : '🌐'}</span>
+                ${container ? `<span class="container-dot" style="background: ${Containers.getColor(container)}"></span>` : ''}
+                <span class="vertical-tab-title">${Format.escapeHtml(title)}</span>
+                ${tab.muted || tab.audible ? `
+                    <button class="tab-audio" data-action="mute" title="${tab.muted ? 'Unmute tab' : 'Mute tab'}">${tab.muted ? '🔇' : '🔊'}</button>
+                ` : ''}
+                <button class="vertical-tab-close" data-action="close" title="Close Tab">×</button>
+            </li>
+        `;
+    },
+
+    renderGroupRow: (group, index) => {
+        const count = TabGroups.getTabs(group.id).length;
+        return `
+            <li class="vertical-tab-group${group.collapsed ? ' collapsed' : ''}" data-group-id="${group.id}"
+                data-index="${index}" style="--group-color: ${Containers.colors[group.color]}">
+                <span class="vertical-tab-group-arrow">${group.collapsed ? '▸' : '▾'}</span>
+                <span class="vertical-tab-title">${Format.escapeHtml(group.name || 'Unnamed group')}</span>
+                <span class="vertical-tab-group-count">${count}</span>
+            </li>
+        `;
+    }
+};
+
+// ============================================
+// CONTAINER MANAGER
+// Container tabs: separate cookies/storage per identity
+// ============================================
+
+const ContainerManager = {
+    menu: null,
+
+    init: () => {
+        ContainerManager.menu = document.getElementById('container-menu');
+
+        // Right-click "+" to pick a container for the new tab
+        elements.btnNewTab.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            ContainerManager.toggleMenu();
+        });
+
+        ContainerManager.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-container]');
+            if (!item) return;
+            ContainerManager.closeMenu();
+            TabManager.createTab(undefined, true, { containerId: item.dataset.container || null });
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!ContainerManager.menu.contains(e.target) && e.target !== elements.btnNewTab) {
+                ContainerManager.closeMenu();
+            }
+        });
+    },
+
+    /**
+     * Container a new tab opens in: the one asked for, else the site's rule.
+     * Private windows have no containers.
+     */
+    resolve: (url, containerId) => {
+        if (state.privatePartition) return null;
+        const settings = SettingsManager.settings;
+        if (containerId !== undefined) return Containers.get(containerId, settings);
+
+        const rule = Containers.findRule(url, settings);
+        return rule ? Containers.get(rule.containerId, settings) : null;
+    },
+
+    /**
+     * Colour stripe and tooltip on the tab button
+     */
+    decorateTab: (tabEl, container) => {
+        tabEl.classList.toggle('in-container', !!container);
+        if (container) {
+            tabEl.style.setProperty('--container-color', Containers.getColor(container));
+            tabEl.dataset.containerName = container.name;
+            tabEl.title = `Container: ${container.name}`;
+        } else {
+            tabEl.style.removeProperty('--container-color');
+            delete tabEl.dataset.containerName;
+            tabEl.removeAttribute('title');
+        }
+    },
+
+    /**
+     * Containers may have been renamed or recoloured in settings
+     */
+    refreshTabs: () => {
+        state.tabs.forEach(tab => {
+            const tabEl = document.getElementById(`btn-${tab.id}`);
+            const container = Containers.get(tab.containerId, SettingsManager.settings);
+            if (tabEl && container) ContainerManager.decorateTab(tabEl, container);
+        });
+    },
+
+    toggleMenu: () => {
+        if (ContainerManager.menu.classList.contains('open')) {
+            ContainerManager.closeMenu();
+            return;
+        }
+
+        const containers = Containers.getAll(SettingsManager.settings);
+        ContainerManager.menu.innerHTML = `
+            <div class="container-menu-item" data-container="">No container</div>
+            ${containers.map(c => `
+                <div class="container-menu-item" data-container="${Format.escapeHtml(c.id)}">
+                    <span class="container-dot" style="background: ${Containers.getColor(c)}"></span>
+                    ${Format.escapeHtml(c.name)}
+                </div>
+            `).join('')}
+        `;
+
+        const rect = elements.btnNewTab.getBoundingClientRect();
+        ContainerManager.menu.style.left = `${rect.left}px`;
+        ContainerManager.menu.style.top = `${rect.bottom + 4}px`;
+        ContainerManager.menu.classList.add('open');
+    },
+
+    closeMenu: () => {
+        ContainerManager.menu.classList.remove('open');
+    }
+};
+
+// ============================================
+// TAB GROUPS
+// Named, coloured groups of adjacent tabs that can be collapsed
+// ============================================
+
+const TabGroups = {
+    editor: null,
+    editingId: null, // Group shown in the editor
+    groupCounter: 0,
+
+    init: () => {
+        TabGroups.editor = document.getElementById('tab-group-editor');
+        const nameInput = document.getElementById('tab-group-name');
+
+        nameInput.addEventListener('input', () => {
+            TabGroups.update(TabGroups.editingId, { name: nameInput.value.trim() });
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === 'Escape') TabGroups.closeEditor();
+        });
+
+        document.getElementById('tab-group-colors').addEventListener('click', (e) => {
+            const swatch = e.target.closest('[data-color]');
+            if (swatch) TabGroups.update(TabGroups.editingId, { color: swatch.dataset.color });
+        });
+
+        TabGroups.editor.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-group-action]');
+            if (!item) return;
+            const groupId = TabGroups.editingId;
+            TabGroups.closeEditor();
+            TabGroups.run(item.dataset.groupAction, groupId);
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!TabGroups.editor.contains(e.target)) TabGroups.closeEditor();
+        });
+    },
+
+    get: (groupId) => state.groups.find(g => g.id === groupId) || null,
+
+    getTabs: (groupId) => state.tabs.filter(t => t.groupId === groupId),
+
+    /**
+     * Add an empty group (tabs are added with addTabs). Returns its id.
+     */
+    create: ({ name = '', color, collapsed = false } = {}) => {
+        const colors = Object.keys(Containers.colors);
+        const group = {
+            id: `group-${Date.now()}-${++TabGroups.groupCounter}`,
+            name,
+            // New groups take the next colour in turn
+            color: colors.includes(color) ? color : colors[state.groups.length % colors.length],
+            collapsed
+        };
+        state.groups.push(group);
+        return group.id;
+    },
+
+    /**
+     * Put tabs in a group, moving them next to its other tabs (pinned tabs are skipped)
+     */
+    addTabs: (groupId, tabIds) => {
+        if (!TabGroups.get(groupId)) return;
+
+        tabIds.map(TabManager.getTab).filter(tab => tab && !tab.pinned).forEach(tab => {
+            const members = TabGroups.getTabs(groupId).filter(t => t !== tab);
+            tab.groupId = groupId;
+            if (members.length) {
+                const last = state.tabs.indexOf(members[members.length - 1]);
+                TabManager.moveTab(tab.id, last + 1);
+            }
+        });
+
+        TabGroups.prune();
+    },
+
+    /**
+     * Take a tab out of its group, placing it just after the group
+     */
+    removeTab: (tabId) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab || !tab.groupId) return;
+
+        const members = TabGroups.getTabs(tab.groupId);
+        tab.groupId = null;
+        TabManager.moveTab(tabId, state.tabs.indexOf(members[members.length - 1]) + 1);
+        TabGroups.prune();
+    },
+
+    /**
+     * After a drag: dropped between two tabs of a group, the tab joins it;
+     * dropped away from its own group, it leaves
+     */
+    updateAfterMove: (tabId) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab || tab.pinned) return;
+
+        const index = state.tabs.indexOf(tab);
+        const before = state.tabs[index - 1];
+        const after = state.tabs[index + 1];
+
+        if (before && after && before.groupId && before.groupId === after.groupId) {
+            tab.groupId = before.groupId;
+        } else if (tab.groupId && before?.groupId !== tab.groupId && after?.groupId !== tab.groupId) {
+            tab.groupId = null;
+        }
+        TabGroups.prune();
+    },
+
+    update: (groupId, changes) => {
+        const group = TabGroups.get(groupId);
+        if (!group) return;
+
+        Object.assign(group, changes);
+        TabGroups.render();
+        if (TabGroups.editingId === groupId) TabGroups.renderEditor();
+        SessionManager.scheduleCheckpoint();
+    },
+
+    /**
+     * Collapsing hides the group's tabs; the active tab can't be hidden,
+     * so another tab is shown instead (if there's one outside the group)
+     */
+    setCollapsed: (groupId, collapsed) => {
+        const group = TabGroups.get(groupId);
+        if (!group || group.collapsed === collapsed) return;
+
+        if (collapsed && TabManager.getTab(state.activeTabId)?.groupId === groupId) {
+            const outside = state.tabs.find(t => t.groupId !== groupId);
+            if (!outside) return;
+            TabManager.switchTab(outside.id);
+        }
+        TabGroups.update(groupId, { collapsed });
+    },
+
+    ungroup: (groupId) => {
+        TabGroups.getTabs(groupId).forEach(tab => {
+            tab.groupId = null;
+        });
+        TabGroups.prune();
+    },
+
+    closeGroup: (groupId) => {
+        TabGroups.getTabs(groupId).forEach(tab => TabManager.closeTab(tab.id));
+    },
+
+    run: (action, groupId) => {
+        const group = TabGroups.get(groupId);
+        if (!group) return;
+
+        switch (action) {
+            case 'new-tab': {
+                const tabId = TabManager.createTab();
+                TabGroups.addTabs(groupId, [tabId]);
+                break;
+            }
+            case 'save':
+                SessionManager.saveNamedSession(TabGroups.getTabs(groupId), group.name || 'Tab group');
+                SidebarManager.renderSessions();
+                break;
+            case 'ungroup':
+                TabGroups.ungroup(groupId);
+                break;
+            case 'close':
+                TabGroups.closeGroup(groupId);
+                break;
+        }
+    },
+
+    /**
+     * Forget groups that no longer have tabs, then redraw
+     */
+    prune: () => {
+        state.groups = state.groups.filter(g => state.tabs.some(t => t.groupId === g.id));
+        TabGroups.render();
+        SessionManager.scheduleCheckpoint();
+    },
+
+    /**
+     * Colour the grouped tabs, hide collapsed ones and put each group's
+     * label before its first tab
+     */
+    render: () => {
+        elements.tabBar.querySelectorAll('.tab-group-chip').forEach(chip => chip.remove());
+
+        state.tabs.forEach((tab, index) => {
+            const tabEl = document.getElementById(`btn-${tab.id}`);
+            const group = TabGroups.get(tab.groupId);
+            if (!tabEl) return;
+
+            tabEl.classList.toggle('in-group', !!group);
+            tabEl.classList.toggle('group-collapsed', !!group && group.collapsed);
+            if (group) {
+                tabEl.style.setProperty('--group-color', Containers.colors[group.color]);
+            } else {
+                tabEl.style.removeProperty('--group-color');
+            }
+
+            if (group && state.tabs[index - 1]?.groupId !== group.id) {
+                elements.tabBar.insertBefore(TabGroups.createChip(group), tabEl);
+            }
+        });
+        VerticalTabs.scheduleRender();
+    },
+
+    createChip: (group) => {
+        const chip = document.createElement('div');
+        chip.className = `tab-group-chip${group.collapsed ? ' collapsed' : ''}`;
+        chip.dataset.groupId = group.id;
+        chip.style.setProperty('--group-color', Containers.colors[group.color]);
+
+        const count = TabGroups.getTabs(group.id).length;
+        chip.textContent = group.name || (group.collapsed ? `${count}` : '');
+        chip.title = `${group.name || 'Unnamed group'} - ${count} tab${count === 1 ? '' : 's'}`;
+
+        chip.addEventListener('click', () => TabGroups.setCollapsed(group.id, !group.collapsed));
+        chip.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            TabGroups.openEditor(group.id, chip);
+        });
+        return chip;
+    },
+
+    /**
+     * Name, colour and actions of a group, shown under its label
+     */
+    openEditor: (groupId, anchor) => {
+        TabGroups.editingId = groupId;
+        TabGroups.renderEditor();
+
+        const rect = (anchor || elements.tabBar).getBoundingClientRect();
+        TabGroups.editor.style.left = `${rect.left}px`;
+        TabGroups.editor.style.top = `${rect.bottom + 4}px`;
+        TabGroups.editor.classList.add('open');
+
+        const nameInput = document.getElementById('tab-group-name');
+        nameInput.focus();
+        nameInput.select();
+    },
+
+    renderEditor: () => {
+        const group = TabGroups.get(TabGroups.editingId);
+        if (!group) return;
+
+        const nameInput = document.getElementById('tab-group-name');
+        if (document.activeElement !== nameInput) nameInput.value = group.name;
+
+        document.getElementById('tab-group-colors').innerHTML = Object.entries(Containers.colors).map(([name, value]) => `
+            <span class="tab-group-swatch${name === group.color ? ' selected' : ''}" data-color="${name}"
+                style="background: ${value}" title="${name}"></span>
+        `).join('');
+    },
+
+    closeEditor: () => {
+        TabGroups.editor.classList.remove('open');
+        TabGroups.editingId = null;
+    }
+};
+
+// ============================================
+// TAB CONTEXT MENU
+// Right-click on a tab button
+// ============================================
+
+const TabContextMenu = {
+    menu: null,
+    tabId: null, // Tab the menu was opened on
+
+    init: () => {
+        TabContextMenu.menu = document.getElementById('tab-menu');
+
+        TabContextMenu.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-action]');
+            if (!item || item.classList.contains('disabled')) return;
+            const tabId = TabContextMenu.tabId;
+            TabContextMenu.close();
+            TabContextMenu.run(item.dataset.action, tabId);
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!TabContextMenu.menu.contains(e.target)) TabContextMenu.close();
+        });
+        window.addEventListener('blur', TabContextMenu.close);
+    },
+
+    open: (tabId, x, y) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab) return;
+        TabContextMenu.tabId = tabId;
+
+        const index = state.tabs.indexOf(tab);
+        const isOnlyTab = state.tabs.length === 1;
+        const hasOthers = state.tabs.some(t => t !== tab && !t.pinned);
+        const hasRight = state.tabs.slice(index + 1).length > 0;
+        const isBookmarked = BookmarksManager.bookmarks.some(b => b.url === tab.url);
+        const targetCount = TabManager.getTargetTabIds(tabId).length;
+        const canSplit = !SplitView.isShown(tabId) && (state.split
+            ? state.split.tabIds.length < SPLIT_MAX_PANES
+            : tabId !== state.activeTabId);
+
+        const item = (action, label, enabled = true) =>
+            `<div class="container-menu-item${enabled ? '' : ' disabled'}" data-action="${action}">${label}</div>`;
+
+        const groupItems = [
+            item('new-group', targetCount > 1 ? `Add ${targetCount} tabs to new group` : 'Add to new group', !tab.pinned),
+            ...state.groups.filter(g => g.id !== tab.groupId).map(g =>
+                item(`add-to-group:${g.id}`, `Add to group "${Format.escapeHtml(g.name || 'Unnamed')}"`, !tab.pinned)),
+            tab.groupId ? item('remove-from-group', 'Remove from group') : ''
+        ];
+
+        TabContextMenu.menu.innerHTML = [
+            item('reload', 'Reload'),
+            item('duplicate', 'Duplicate'),
+            item('pin', tab.pinned ? 'Unpin' : 'Pin'),
+            item('mute', tab.muted ? 'Unmute tab' : 'Mute tab'),
+            item('split', 'Show in split view', canSplit),
+            '<div class="menu-separator"></div>',
+            ...groupItems,
+            '<div class="menu-separator"></div>',
+            // Private tabs can't move to a regular window
+            item('move-to-window', 'Move to new window', !isOnlyTab && !state.privatePartition),
+            item('bookmark', isBookmarked ? 'Remove bookmark' : 'Bookmark'),
+            '<div class="menu-separator"></div>',
+            item('close', 'Close', !isOnlyTab),
+            item('close-others', 'Close other tabs', hasOthers),
+            item('close-right', 'Close tabs to the right', hasRight),
+            item('reopen-closed', 'Reopen closed tab', RecentlyClosedMenu.entries.length > 0 && !state.privatePartition)
+        ].join('');
+
+        // Keep the menu inside the window
+        const menu = TabContextMenu.menu;
+        menu.classList.add('open');
+        menu.style.left = `${Math.min(x, window.innerWidth - menu.offsetWidth - 4)}px`;
+        menu.style.top = `${Math.min(y, window.innerHeight - menu.offsetHeight - 4)}px`;
+    },
+
+    close: () => {
+        TabContextMenu.menu.classList.remove('open');
+        TabContextMenu.tabId = null;
+    },
+
+    run: (action, tabId) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab) return;
+
+        if (action.startsWith('add-to-group:')) {
+            TabGroups.addTabs(action.slice('add-to-group:'.length), TabManager.getTargetTabIds(tabId));
+            TabManager.clearSelection();
+            return;
+        }
+
+        switch (action) {
+            case 'new-group': {
+                const groupId = TabGroups.create();
+                TabGroups.addTabs(groupId, TabManager.getTargetTabIds(tabId));
+                TabManager.clearSelection();
+                TabGroups.openEditor(groupId, elements.tabBar.querySelector(`.tab-group-chip[data-group-id="${groupId}"]`));
+                break;
+            }
+            case 'remove-from-group':
+                TabManager.getTargetTabIds(tabId).forEach(TabGroups.removeTab);
+                TabManager.clearSelection();
+                break;
+            case 'reload':
+                TabManager.reloadTab(tabId);
+                break;
+            case 'duplicate':
+                TabManager.duplicateTab(tabId);
+                break;
+            case 'pin':
+                TabManager.setPinned(tabId, !tab.pinned);
+                break;
+            case 'mute':
+                TabManager.setMuted(tabId, !tab.muted);
+                break;
+            case 'split':
+                SplitView.addPane(tabId);
+                break;
+            case 'move-to-window':
+                // The page loads again in the new window, with its scroll and form input put back
+                TabManager.capturePageState(tabId).then(pageState => {
+                    window.zyAPI.openWindow({ tabs: [{ ...SessionManager.serializeTab(tab), pageState }], activeIndex: 0 });
+                    TabManager.closeTab(tabId, false);
+                });
+                break;
+            case 'bookmark':
+                BookmarksManager.toggleBookmark(tab.url, tab.title);
+                break;
+            case 'close':
+                TabManager.closeTab(tabId);
+                break;
+            case 'close-others':
+                // Pinned tabs stay open
+                state.tabs.filter(t => t !== tab && !t.pinned).forEach(t => TabManager.closeTab(t.id));
+                break;
+            case 'close-right': {
+                const index = state.tabs.indexOf(tab);
+                state.tabs.slice(index + 1).forEach(t => TabManager.closeTab(t.id));
+                break;
+            }
+            case 'reopen-closed':
+                window.zyAPI.reopenClosed();
+                break;
+        }
+    }
+};
+
+// ============================================
+// RECENTLY CLOSED MENU
+// Toolbar menu of the tabs and windows closed lately (kept by the
+// main process across windows and restarts)
+// ============================================
+
+const RECENTLY_CLOSED_MENU_MAX_ITEMS = 10;
+
+const RecentlyClosedMenu = {
+    menu: null,
+    button: null,
+    entries: [], // Newest first: { id, type, closedAt, title, url, tabCount }
+
+    init: async () => {
+        RecentlyClosedMenu.menu = document.getElementById('recently-closed-menu');
+        RecentlyClosedMenu.button = document.getElementById('btn-recently-closed');
+
+        // Private windows neither add to the list nor reopen from it
+        if (state.privatePartition) {
+            RecentlyClosedMenu.button.hidden = true;
+            return;
+        }
+
+        RecentlyClosedMenu.button.addEventListener('click', () => {
+            if (RecentlyClosedMenu.menu.classList.contains('open')) {
+                RecentlyClosedMenu.close();
+            } else {
+                RecentlyClosedMenu.open();
+            }
+        });
+
+        RecentlyClosedMenu.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id], [data-action]');
+            if (!item || item.classList.contains('disabled')) return;
+            RecentlyClosedMenu.close();
+
+            if (item.dataset.action === 'history') {
+                TabManager.createTab('zy://history');
+            } else {
+                window.zyAPI.reopenClosed(item.dataset.id);
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!RecentlyClosedMenu.menu.contains(e.target) && !RecentlyClosedMenu.button.contains(e.target)) {
+                RecentlyClosedMenu.close();
+            }
+        });
+        window.addEventListener('blur', RecentlyClosedMenu.close);
+
+        window.zyAPI.onRecentlyClosedUpdated((entries) => {
+            RecentlyClosedMenu.entries = entries;
+            if (RecentlyClosedMenu.menu.classList.contains('open')) RecentlyClosedMenu.render();
+        });
+        RecentlyClosedMenu.entries = await window.zyAPI.getRecentlyClosed();
+    },
+
+    open: () => {
+        RecentlyClosedMenu.render();
+
+        const menu = RecentlyClosedMenu.menu;
+        const rect = RecentlyClosedMenu.button.getBoundingClientRect();
+        menu.classList.add('open');
+        menu.style.left = `${Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4)}px`;
+        menu.style.top = `${rect.bottom + 4}px`;
+    },
+
+    close: () => {
+        RecentlyClosedMenu.menu.classList.remove('open');
+    },
+
+    render: () => {
+        const items = RecentlyClosedMenu.entries.slice(0, RECENTLY_CLOSED_MENU_MAX_ITEMS).map(entry => {
+            const label = entry.type === 'window'
+                ? `${entry.tabCount} tab${entry.tabCount === 1 ? '' : 's'}: ${entry.title}`
+                : entry.title;
+            return `
+                <div class="container-menu-item recently-closed-item" data-id="${Format.escapeHtml(entry.id)}" title="${Format.escapeHtml(entry.url)}">
+                    <span class="recently-closed-icon">${entry.type === 'window' ? '🗗' : '🌐'}</span>
+                    <span class="recently-closed-title">${Format.escapeHtml(label)}</span>
+                </div>
+            `;
+        });
+
+        RecentlyClosedMenu.menu.innerHTML = `
+            <div class="menu-heading">Recently closed</div>
+            ${items.join('') || '<div class="container-menu-item disabled">Nothing closed recently</div>'}
+            <div class="menu-separator"></div>
+            <div class="container-menu-item" data-action="history">Show full history</div>
+        `;
+    }
+};
+
+// ============================================
+// SIDEBAR TOOLS (Productivity)
+// ============================================
+
+const SidebarManager = {
+    init: () => {
+        // Tab switching
+        elements.sidebarTabs.forEach(tab => {
+            tab.addEventListener('click', () => SidebarManager.showView(tab.dataset.view));
+        });
+
+        // Toggle Sidebar
+        elements.btnToggleSidebar.addEventListener('click', () => {
+            state.isSidebarOpen = !state.isSidebarOpen;
+            elements.sidebar.classList.toggle('collapsed', !state.isSidebarOpen);
+        });
+
+        // Initialize Tools
+        SidebarManager.setupClipboard();
+        SidebarManager.setupNotes();
+        SidebarManager.setupSessions();
+    },
+
+    showView: (view) => {
+        elements.sidebarTabs.forEach(t => t.classList.toggle('active', t.dataset.view === view));
+        elements.toolViews.forEach(v => v.classList.toggle('active', v.id === `view-${view}`));
+    },
+
+    /**
+     * Show the sidebar on one of its views
+     */
+    open: (view) => {
+        elements.sidebar.classList.add('open');
+        SidebarManager.showView(view);
+    },
+
+    setupClipboard: () => {
+        // In a real app, listen to 'clipboard-read' ipc
+        // For demo: Mock functionality or simple text monitoring
+        setInterval(async () => {
+            try {
+                // Poll clipboard logic if supported by API
+            } catch (e) { }
+        }, 1000);
+
+        document.getElementById('btn-clear-clipboard').addEventListener('click', () => {
+            elements.clipboardList.innerHTML = '';
+        });
+    },
+
+    setupNotes: () => {
+        // Load saved notes
+        const saved = localStorage.getItem('zy-notes');
+        if (saved) elements.notesArea.value = saved;
+
+        // Auto-save notes
+        elements.notesArea.addEventListener('input', (e) => {
+            localStorage.setItem('zy-notes', e.target.value);
+        });
+    },
+
+    renderSessions: () => {
+        const sessions = SessionManager.getNamedSessions();
+        elements.sessionList.innerHTML = sessions.map((s, i) => `
+            <li class="list-item" data-index="${i}">
+                <span>${s.name ? `${Format.escapeHtml(s.name)} · ` : ''}${Format.escapeHtml(s.date)} (${s.count} tabs)</span>
+                <span>
+                    <button class="text-btn" data-action="open" title="Open in new tabs">Load</button>
+                    <button class="text-btn" data-action="open-window" title="Open in new window">⧉</button>
+                    <button class="text-btn" data-action="delete" title="Delete session">×</button>
+                </span>
+            </li>
+        `).join('');
+    },
+
+    setupSessions: () => {
+        document.getElementById('btn-save-session').addEventListener('click', () => {
+            SessionManager.saveNamedSession();
+            SidebarManager.renderSessions();
+        });
+
+        elements.sessionList.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            const item = e.target.closest('.list-item');
+            if (!action || !item) return;
+
+            const index = Number(item.dataset.index);
+            if (action === 'open') SessionManager.restoreNamedSession(index);
+            if (action === 'open-window') SessionManager.restoreNamedSession(index, true);
+            if (action === 'delete') {
+                SessionManager.deleteNamedSession(index);
+                SidebarManager.renderSessions();
+            }
+        });
+
+        SidebarManager.renderSessions();
+    }
+};
+
+// ============================================
+// NAVIGATION & UI HELPERS
+// ============================================
+
+function navigateTo(url) {
+    const webview = TabManager.getActiveWebview();
+    if (!webview) return;
+
+    // Sites with an "always open in" rule load in a tab of their container
+    const target = formatUrl(url);
+    const tab = TabManager.getTab(state.activeTabId);
+    const rule = state.privatePartition ? null : Containers.findRule(target, SettingsManager.settings);
+    if (rule && rule.containerId !== tab.containerId) {
+        const wasBlank = SessionManager.isBlankTab(tab);
+        TabManager.createTab(target, true, { containerId: rule.containerId });
+        TabManager.setPendingTransition('typed');
+        if (wasBlank) TabManager.closeTab(tab.id, false);
+        return;
+    }
+
+    TabManager.setPendingTransition('typed');
+    webview.src = target;
+}
+
+function reload() {
+    const webview = TabManager.getActiveWebview();
+    if (webview) {
+        TabManager.setPendingTransition('reload');
+        webview.reload();
+    }
+}
+
+function goBack() {
+    TabManager.goToOffset(state.activeTabId, -1);
+}
+
+function goForward() {
+    TabManager.goToOffset(state.activeTabId, 1);
+}
+
+function updateNavigationButtons() {
+    const webview = TabManager.getActiveWebview();
+    if (webview) {
+        elements.btnBack.disabled = !TabManager.canGoToOffset(state.activeTabId, -1);
+        elements.btnForward.disabled = !TabManager.canGoToOffset(state.activeTabId, 1);
+    }
+}
+
+// URL Utilities
+function isSearchInput(input) {
+    const text = input.trim();
+    if (/^zy:\/\//i.test(text)) return false;
+    return text.includes(' ') || !text.includes('.');
+}
+
+function formatUrl(input) {
+    if (!input) return 'home.html';
+    let url = input.trim();
+    if (isSearchInput(url)) return SearchEngines.buildSearchUrl(url, SettingsManager.settings);
+    if (/^zy:\/\//i.test(url)) return url;
+    if (!/^https?:\/\//i.test(url)) return 'https://' + url;
+    return url;
+}
+
+// ============================================
+// OMNIBOX
+// Address bar suggestions from bookmarks, open tabs, sessions and history
+// ============================================
+
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+
+// Ranking bonuses per suggestion source
+const OMNIBOX_SOURCE_BONUS = { bookmark: 30, tab: 15, session: 5 };
+
+// When a URL comes from several sources, the first type listed here is shown
+const OMNIBOX_TYPE_PRIORITY = ['tab', 'bookmark', 'history', 'session'];
+
+const OMNIBOX_ICONS = { input: '🔍', history: '🕘', bookmark: '★', tab: '⧉', session: '💾' };
+
+const OmniboxManager = {
+    dropdown: null,
+    suggestions: [],
+    selectedIndex: -1,
+    typedText: '', // What the user typed, without the inline completion
+    queryId: 0,    // Guards against out-of-order history responses
+
+    init: () => {
+        OmniboxManager.dropdown = document.getElementById('omnibox-dropdown');
+        const input = elements.urlInput;
+
+        input.addEventListener('input', (e) => {
+            OmniboxManager.typedText = input.value;
+            // Only complete inline while typing forward, never after deleting
+            OmniboxManager.update(e.inputType === 'insertText');
+        });
+
+        input.addEventListener('keydown', OmniboxManager.handleKeydown);
+        input.addEventListener('blur', () => OmniboxManager.close());
+
+        // Keep focus in the address bar while clicking suggestions
+        OmniboxManager.dropdown.addEventListener('mousedown', (e) => e.preventDefault());
+        OmniboxManager.dropdown.addEventListener('click', (e) => {
+            const item = e.target.closest('.omnibox-item');
+            if (item) OmniboxManager.open(OmniboxManager.suggestions[Number(item.dataset.index)]);
+        });
+    },
+
+    /**
+     * Rebuild suggestions for the current input
+     */
+    update: async (allowInline) => {
+        const text = OmniboxManager.typedText.trim();
+        const queryId = ++OmniboxManager.queryId;
+
+        if (!text) {
+            OmniboxManager.close();
+            return;
+        }
+
+        const history = await window.zyAPI.suggestHistory(text);
+        if (queryId !== OmniboxManager.queryId) return; // A newer query is in flight
+
+        OmniboxManager.suggestions = OmniboxManager.rank(text, history);
+        OmniboxManager.selectedIndex = 0;
+
+        if (allowInline) OmniboxManager.inlineComplete();
+        OmniboxManager.render();
+    },
+
+    /**
+     * Merge candidates from every source and sort them by score
+     */
+    rank: (text, history) => {
+        const needle = text.toLowerCase();
+        const candidates = new Map(); // url -> suggestion
+
+        const add = (source, url, title, bonus, extra = {}) => {
+            const match = OmniboxManager.matchScore(needle, url, title);
+            if (match === 0) return;
+
+            let suggestion = candidates.get(url);
+            if (!suggestion) {
+                suggestion = { type: source, url, title: title || '', score: match, removable: false };
+                candidates.set(url, suggestion);
+            }
+            suggestion.score += bonus;
+            if (!suggestion.title && title) suggestion.title = title;
+            // Open tabs win so Enter switches instead of opening a duplicate
+            if (OMNIBOX_TYPE_PRIORITY.indexOf(source) < OMNIBOX_TYPE_PRIORITY.indexOf(suggestion.type)) {
+                suggestion.type = source;
+            }
+            Object.assign(suggestion, extra);
+        };
+
+        history.forEach(h => add('history', h.url, h.title, Math.min(50, h.frecency * 10), { removable: true }));
+        BookmarksManager.bookmarks.forEach(b => add('bookmark', b.url, b.title, OMNIBOX_SOURCE_BONUS.bookmark));
+        state.tabs.forEach(t => {
+            if (t.id === state.activeTabId || !t.url) return;
+            add('tab', t.url, t.title, OMNIBOX_SOURCE_BONUS.tab, { tabId: t.id });
+        });
+        SessionManager.getNamedSessions().forEach(s => {
+            (s.urls || []).forEach(u => add('session', u, '', OMNIBOX_SOURCE_BONUS.session));
+        });
+
+        const ranked = Array.from(candidates.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, OMNIBOX_MAX_SUGGESTIONS - 1);
+
+        // The verbatim input comes first unless the best match completes what was typed
+        const verbatim = { type: 'input', url: formatUrl(text), title: text, isSearch: isSearchInput(text), removable: false };
+        if (verbatim.isSearch) {
+            const { engine, query } = SearchEngines.resolve(text, SettingsManager.settings);
+            verbatim.title = query;
+            verbatim.engineName = engine.name;
+        }
+        const top = ranked[0];
+        if (top && OmniboxManager.stripUrl(top.url).startsWith(needle)) {
+            return [top, verbatim, ...ranked.slice(1)];
+        }
+        return [verbatim, ...ranked];
+    },
+
+    /**
+     * How well a URL/title matches the typed text (0 = no match)
+     */
+    matchScore: (needle, url, title) => {
+        const stripped = OmniboxManager.stripUrl(url);
+        const lowerTitle = (title || '').toLowerCase();
+        let score = 0;
+
+        if (stripped.startsWith(needle)) score += 40;
+        else if (stripped.split('/')[0].includes(needle)) score += 25;
+        else if (url.toLowerCase().includes(needle)) score += 10;
+
+        if (lowerTitle.split(/\s+/).some(w => w.startsWith(needle))) score += 20;
+        else if (lowerTitle.includes(needle)) score += 10;
+
+        return score;
+    },
+
+    /**
+     * URL without scheme, "www." or a bare trailing slash (what users type)
+     */
+    stripUrl: (url) => {
+        return url.toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/^([^/]+)\/$/, '$1');
+    },
+
+    /**
+     * Fill in the rest of the top suggestion and select the added part
+     */
+    inlineComplete: () => {
+        const top = OmniboxManager.suggestions[0];
+        const typed = OmniboxManager.typedText;
+        if (!top || top.type === 'input') return;
+
+        const stripped = OmniboxManager.stripUrl(top.url);
+        if (!stripped.startsWith(typed.toLowerCase()) || stripped.length === typed.length) return;
+
+        elements.urlInput.value = typed + stripped.slice(typed.length);
+        elements.urlInput.setSelectionRange(typed.length, elements.urlInput.value.length);
+    },
+
+    render: () => {
+        const dropdown = OmniboxManager.dropdown;
+        if (OmniboxManager.suggestions.length === 0) {
+            OmniboxManager.close();
+            return;
+        }
+
+        dropdown.innerHTML = OmniboxManager.suggestions.map((s, i) => {
+            const subtitle = s.type === 'input' ? (s.isSearch ? `${s.engineName} Search` : 'Go to') : s.url;
+            return `
+                <div class="omnibox-item ${i === OmniboxManager.selectedIndex ? 'selected' : ''}" data-index="${i}">
+                    <span class="omnibox-icon">${s.type === 'input' && !s.isSearch ? '🌐' : OMNIBOX_ICONS[s.type]}</span>
+                    <span class="omnibox-title">${Format.escapeHtml(s.title || s.url)}</span>
+                    <span class="omnibox-url">– ${Format.escapeHtml(subtitle)}</span>
+                    ${s.tabId ? '<span class="omnibox-action">Switch to tab</span>' : ''}
+                </div>
+            `;
+        }).join('');
+        dropdown.classList.add('open');
+    },
+
+    handleKeydown: (e) => {
+        const isOpen = OmniboxManager.dropdown.classList.contains('open');
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const selected = isOpen ? OmniboxManager.suggestions[OmniboxManager.selectedIndex] : null;
+            if (selected) {
+                OmniboxManager.open(selected);
+            } else {
+                navigateTo(elements.urlInput.value);
+                elements.urlInput.blur();
+            }
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (isOpen) {
+                elements.urlInput.value = OmniboxManager.typedText;
+                OmniboxManager.close();
+            } else {
+                // Revert to the page URL
+                const webview = TabManager.getActiveWebview();
+                if (webview) elements.urlInput.value = webview.getURL();
+                elements.urlInput.blur();
+            }
+            return;
+        }
+
+        if (!isOpen) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const count = OmniboxManager.suggestions.length;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            OmniboxManager.selectedIndex = (OmniboxManager.selectedIndex + step + count) % count;
+
+            const selected = OmniboxManager.suggestions[OmniboxManager.selectedIndex];
+            elements.urlInput.value = selected.type === 'input' ? OmniboxManager.typedText : selected.url;
+            OmniboxManager.render();
+            return;
+        }
+
+        // Shift + Delete removes a history suggestion
+        if (e.key === 'Delete' && e.shiftKey) {
+            const selected = OmniboxManager.suggestions[OmniboxManager.selectedIndex];
+            if (!selected || !selected.removable) return;
+
+            e.preventDefault();
+            window.zyAPI.deleteHistoryUrl(selected.url);
+            OmniboxManager.suggestions.splice(OmniboxManager.selectedIndex, 1);
+            OmniboxManager.selectedIndex = Math.min(OmniboxManager.selectedIndex, OmniboxManager.suggestions.length - 1);
+            elements.urlInput.value = OmniboxManager.typedText;
+            OmniboxManager.render();
+        }
+    },
+
+    /**
+     * Act on a suggestion: switch to an open tab or navigate
+     */
+    open: (suggestion) => {
+        if (suggestion.tabId && TabManager.getTab(suggestion.tabId)) {
+            TabManager.switchTab(suggestion.tabId);
+        } else if (suggestion.type === 'input') {
+            navigateTo(OmniboxManager.typedText.trim());
+        } else {
+            navigateTo(suggestion.url);
+        }
+
+        OmniboxManager.close();
+        elements.urlInput.blur();
+    },
+
+    close: () => {
+        OmniboxManager.queryId++;
+        OmniboxManager.suggestions = [];
+        OmniboxManager.selectedIndex = -1;
+        OmniboxManager.dropdown.classList.remove('open');
+        OmniboxManager.dropdown.innerHTML = '';
+    }
+};
+
+// ============================================
+// ZOOM
+// Per-site zoom (Ctrl + Plus / Minus / 0 and Ctrl + scroll) with an
+// indicator in the address bar. Levels are saved by hostname in the main
+// process and shared by all windows; sites without one use the default zoom.
+// ============================================
+
+// Zoom factors Ctrl + Plus / Minus step through
+const ZOOM_STEPS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5];
+
+const ZoomManager = {
+    indicator: null,
+    levels: new Map(),        // hostname -> zoom factor (saved)
+    privateLevels: new Map(), // Private windows: changes made here, forgotten with the window
+
+    init: async () => {
+        ZoomManager.indicator = document.getElementById('zoom-indicator');
+        ZoomManager.indicator.addEventListener('click', () => ZoomManager.reset());
+
+        window.zyAPI.onSiteZoomChanged(ZoomManager.load);
+        window.zyAPI.onTabZoomWheel(({ webContentsId, direction }) => {
+            const tab = TabManager.findTabByWebContentsId(webContentsId);
+            if (tab) ZoomManager.step(direction, tab);
+        });
+
+        await ZoomManager.load();
+    },
+
+    load: async () => {
+        const sites = await window.zyAPI.getSiteZoomLevels();
+        ZoomManager.levels = new Map(sites.map(({ host, factor }) => [host, factor]));
+        ZoomManager.applyAll();
+    },
+
+    /**
+     * Pages without a hostname (files, blank tabs) always use the default zoom
+     */
+    getHost: (url) => {
+        try {
+            return new URL(url).hostname || null;
+        } catch {
+            return null;
+        }
+    },
+
+    getDefault: () => SettingsManager.settings.defaultZoom || 1,
+
+    getFactor: (tab) => {
+        const host = ZoomManager.getHost(tab.url);
+        if (!host) return ZoomManager.getDefault();
+        return ZoomManager.privateLevels.get(host) || ZoomManager.levels.get(host) || ZoomManager.getDefault();
+    },
+
+    /**
+     * Zoom a tab's page to its site's level (after it navigates)
+     */
+    apply: (tab) => {
+        const webview = document.getElementById(`view-${tab.id}`);
+        if (webview) {
+            try {
+                webview.setZoomFactor(ZoomManager.getFactor(tab));
+            } catch {
+                // Not ready yet: dom-ready applies it
+            }
+        }
+        if (tab.id === state.activeTabId) ZoomManager.render();
+    },
+
+    applyAll: () => {
+        state.tabs.forEach(ZoomManager.apply);
+        ZoomManager.render();
+    },
+
+    /**
+     * Zoom a tab's site in (1) or out (-1) one step
+     */
+    step: (direction, tab = TabManager.getTab(state.activeTabId)) => {
+        if (!tab) return;
+
+        const current = ZoomManager.getFactor(tab);
+        const next = direction > 0
+            ? ZOOM_STEPS.find(factor => factor > current + 0.001)
+            : ZOOM_STEPS.slice().reverse().find(factor => factor < current - 0.001);
+        if (next) ZoomManager.set(tab, next);
+    },
+
+    reset: (tab = TabManager.getTab(state.activeTabId)) => {
+        if (tab) ZoomManager.set(tab, ZoomManager.getDefault());
+    },
+
+    /**
+     * Set the zoom of a tab's site; every tab showing the site follows
+     */
+    set: (tab, factor) => {
+        const host = ZoomManager.getHost(tab.url);
+        if (!host) return;
+
+        if (state.privatePartition) {
+            ZoomManager.privateLevels.set(host, factor);
+        } else {
+            if (factor === ZoomManager.getDefault()) {
+                ZoomManager.levels.delete(host);
+            } else {
+                ZoomManager.levels.set(host, factor);
+            }
+            window.zyAPI.setSiteZoom(host, factor);
+        }
+        ZoomManager.applyAll();
+    },
+
+    /**
+     * Show the active tab's zoom while it isn't the default
+     */
+    render: () => {
+        const indicator = ZoomManager.indicator;
+        if (!indicator) return;
+
+        const tab = TabManager.getTab(state.activeTabId);
+        const factor = tab ? ZoomManager.getFactor(tab) : ZoomManager.getDefault();
+        indicator.hidden = factor === ZoomManager.getDefault();
+        indicator.textContent = `${Math.round(factor * 100)}%`;
+        indicator.title = `Zoom: ${Math.round(factor * 100)}% (click to reset)`;
+    }
+};
+
+// ============================================
+// FIND BAR
+// Find in page (Ctrl + F). Plain text uses the webview's findInPage;
+// whole words and regular expressions are matched in the page through
+// InjectionBridge. Each tab keeps its own search.
+// ============================================
+
+const FindBar = {
+    bar: null,
+    input: null,
+    count: null,
+    toggles: {}, // Option name -> button
+    searchCounter: 0, // Drops results of searches overtaken by newer ones
+
+    init: () => {
+        FindBar.bar = document.getElementById('find-bar');
+        FindBar.input = document.getElementById('find-input');
+        FindBar.count = document.getElementById('find-count');
+        FindBar.toggles = {
+            matchCase: document.getElementById('find-match-case'),
+            wholeWord: document.getElementById('find-whole-word'),
+            regex: document.getElementById('find-regex')
+        };
+
+        FindBar.input.addEventListener('input', FindBar.search);
+        FindBar.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                FindBar.step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                FindBar.close();
+            }
+        });
+
+        Object.entries(FindBar.toggles).forEach(([option, button]) => {
+            button.addEventListener('click', () => {
+                const find = FindBar.getState(TabManager.getTab(state.activeTabId));
+                find[option] = !find[option];
+                FindBar.search();
+                FindBar.input.focus();
+            });
+        });
+
+        document.getElementById('find-prev').addEventListener('click', () => FindBar.step(-1));
+        document.getElementById('find-next').addEventListener('click', () => FindBar.step(1));
+        document.getElementById('find-close').addEventListener('click', FindBar.close);
+    },
+
+    /**
+     * A tab's search, created on first use
+     */
+    getState: (tab) => {
+        if (!tab.find) {
+            tab.find = {
+                open: false,
+                text: '',
+                matchCase: false,
+                wholeWord: false,
+                regex: false,
+                injected: false, // The last search ran in the page (marks to clear)
+                matches: 0,
+                activeMatch: 0,  // 1-based, 0: none
+                error: ''
+            };
+        }
+        return tab.find;
+    },
+
+    open: () => {
+        const tab = TabManager.getTab(state.activeTabId);
+        if (!tab) return;
+
+        FindBar.getState(tab).open = true;
+        FindBar.render();
+        FindBar.input.focus();
+        FindBar.input.select();
+        if (tab.find.text) FindBar.search();
+    },
+
+    close: () => {
+        const tab = TabManager.getTab(state.activeTabId);
+        if (!tab || !tab.find) return;
+
+        tab.find.open = false;
+        FindBar.clearPage(tab);
+        FindBar.render();
+        TabManager.getActiveWebview()?.focus();
+    },
+
+    /**
+     * Remove the highlights of a tab's last search (the search text is kept)
+     */
+    clearPage: (tab) => {
+        const webview = document.getElementById(`view-${tab.id}`);
+        if (!webview) return;
+
+        webview.stopFindInPage('keepSelection');
+        if (tab.find.injected) {
+            tab.find.injected = false;
+            window.InjectionBridge.clearRegexFind(webview).catch(() => { });
+        }
+    },
+
+    /**
+     * Search the active tab for the text in the bar
+     */
+    search: async () => {
+        const tab = TabManager.getTab(state.activeTabId);
+        const webview = TabManager.getActiveWebview();
+        if (!tab || !webview) return;
+
+        const find = FindBar.getState(tab);
+        const counter = ++FindBar.searchCounter;
+        find.text = FindBar.input.value;
+        find.matches = 0;
+        find.activeMatch = 0;
+        find.error = '';
+        FindBar.clearPage(tab);
+
+        if (!find.text) {
+            FindBar.render();
+            return;
+        }
+
+        if (!find.regex && !find.wholeWord) {
+            // Counts arrive through found-in-page
+            webview.findInPage(find.text, { matchCase: find.matchCase, findNext: true });
+            FindBar.render();
+            return;
+        }
+
+        const source = find.regex ? find.text : find.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let result;
+        try {
+            find.injected = true;
+            result = await window.InjectionBridge.findRegex(
+                find.wholeWord ? `\\b(?:${source})\\b` : source,
+                find.matchCase ? 'g' : 'gi',
+                webview
+            );
+        } catch {
+            result = { error: "Can't search this page" };
+        }
+        if (counter !== FindBar.searchCounter) return;
+
+        if (result.error) {
+            find.error = find.regex ? 'Invalid pattern' : result.error;
+        } else {
+            find.matches = result.matches;
+            if (find.matches) FindBar.selectMatch(tab, 1);
+        }
+        FindBar.render();
+    },
+
+    /**
+     * Go to the next (1) or previous (-1) match
+     */
+    step: (direction) => {
+        const tab = TabManager.getTab(state.activeTabId);
+        const webview = TabManager.getActiveWebview();
+        if (!tab || !webview || !tab.find || !tab.find.text) return;
+
+        const find = tab.find;
+        if (!find.matches) {
+            // The page may have changed since (navigated, loaded more content)
+            FindBar.search();
+        } else if (find.injected) {
+            FindBar.selectMatch(tab, (find.activeMatch - 1 + direction + find.matches) % find.matches + 1);
+            FindBar.render();
+        } else {
+            webview.findInPage(find.text, { matchCase: find.matchCase, forward: direction > 0 });
+        }
+    },
+
+    selectMatch: (tab, ordinal) => {
+        tab.find.activeMatch = ordinal;
+        const webview = document.getElementById(`view-${tab.id}`);
+        if (webview) window.InjectionBridge.selectRegexMatch(ordinal - 1, webview).catch(() => { });
+    },
+
+    /**
+     * found-in-page from a tab's webview
+     */
+    handleResult: (tabId, result) => {
+        const tab = TabManager.getTab(tabId);
+        if (!tab || !tab.find || tab.find.injected) return;
+
+        tab.find.matches = result.matches;
+        tab.find.activeMatch = result.activeMatchOrdinal;
+        if (tabId === state.activeTabId) FindBar.render();
+    },
+
+    /**
+     * A new page has none of the old matches
+     */
+    handleNavigation: (tab) => {
+        if (!tab.find) return;
+        tab.find.injected = false;
+        tab.find.matches = 0;
+        tab.find.activeMatch = 0;
+        if (tab.id === state.activeTabId) FindBar.render();
+    },
+
+    /**
+     * Show the active tab's search (called when tabs switch)
+     */
+    render: () => {
+        if (!FindBar.bar) return;
+
+        const tab = TabManager.getTab(state.activeTabId);
+        const find = tab && tab.find;
+        FindBar.bar.hidden = !find || !find.open;
+        if (FindBar.bar.hidden) return;
+
+        if (FindBar.input.value !== find.text) FindBar.input.value = find.text;
+        Object.entries(FindBar.toggles).forEach(([option, button]) => {
+            button.classList.toggle('active', find[option]);
+            button.setAttribute('aria-pressed', String(find[option]));
+        });
+
+        FindBar.count.textContent = find.error || (find.text ? `${find.activeMatch}/${find.matches}` : '');
+        FindBar.count.classList.toggle('no-match', !!find.text && !find.matches);
+    }
+};
+
+// ============================================
+// DOWNLOADS INDICATOR
+// Toolbar button showing overall progress of active downloads
+// ============================================
+
+const DownloadsIndicator = {
+    button: null,
+    active: new Map(), // id -> download record
+
+    init: () => {
+        DownloadsIndicator.button = document.getElementById('btn-downloads');
+        DownloadsIndicator.button.addEventListener('click', () => TabManager.createTab('zy://downloads'));
+
+        window.zyAPI.onDownloadUpdated(DownloadsIndicator.update);
+    },
+
+    update: (download) => {
+        const isNew = download.state === 'progressing' && !DownloadsIndicator.active.has(download.id);
+
+        if (download.state === 'progressing' || download.state === 'paused') {
+            DownloadsIndicator.active.set(download.id, download);
+        } else {
+            DownloadsIndicator.active.delete(download.id);
+        }
+
+        // The button appears once something has been downloaded this session
+        DownloadsIndicator.button.classList.add('visible');
+        DownloadsIndicator.render();
+
+        if (isNew) {
+            DownloadsIndicator.button.classList.add('pulse');
+            setTimeout(() => DownloadsIndicator.button.classList.remove('pulse'), 1000);
+        }
+    },
+
+    render: () => {
+        const downloads = Array.from(DownloadsIndicator.active.values());
+        const button = DownloadsIndicator.button;
+
+        if (downloads.length === 0) {
+            button.classList.remove('downloading');
+            button.style.removeProperty('--download-progress');
+            button.title = 'Downloads (Ctrl+J)';
+            return;
+        }
+
+        const total = downloads.reduce((sum, d) => sum + d.totalBytes, 0);
+        const received = downloads.reduce((sum, d) => sum + d.receivedBytes, 0);
+        const progress = total > 0 ? Math.min(100, Math.round(received / total * 100)) : 0;
+
+        button.classList.add('downloading');
+        button.style.setProperty('--download-progress', `${progress}%`);
+        button.title = `${downloads.length} download${downloads.length > 1 ? 's' : ''} in progress${total > 0 ? ` (${progress}%)` : ''}`;
+    }
+};
+
+// ============================================
+// CONTENT BLOCKER INDICATOR
+// Shield button with the active tab's blocked count and a per-site toggle
+// ============================================
+
+const ContentBlockerIndicator = {
+    button: null,
+    panel: null,
+
+    init: () => {
+        ContentBlockerIndicator.button = document.getElementById('btn-blocker');
+        ContentBlockerIndicator.panel = document.getElementById('blocker-panel');
+
+        ContentBlockerIndicator.button.addEventListener('click', ContentBlockerIndicator.togglePanel);
+
+        ContentBlockerIndicator.panel.addEventListener('change', (e) => {
+            if (e.target.id === 'blocker-site-toggle') {
+                ContentBlockerIndicator.setSiteEnabled(e.target.dataset.site, e.target.checked);
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!ContentBlockerIndicator.panel.contains(e.target) && !ContentBlockerIndicator.button.contains(e.target)) {
+                ContentBlockerIndicator.closePanel();
+            }
+        });
+
+        window.zyAPI.onBlockedCount(ContentBlockerIndicator.update);
+        ContentBlockerIndicator.render();
+    },
+
+    update: ({ webContentsId, count }) => {
+        const tab = TabManager.findTabByWebContentsId(webContentsId);
+        if (!tab) return;
+
+        tab.blockedCount = count;
+        if (tab.id === state.activeTabId) ContentBlockerIndicator.render();
+    },
+
+    render: () => {
+        const button = ContentBlockerIndicator.button;
+        if (!button) return;
+
+        const tab = TabManager.getTab(state.activeTabId);
+        const count = (tab && tab.blockedCount) || 0;
+        const enabled = SettingsManager.settings.contentBlocking !== false;
+
+        button.classList.toggle('disabled', !enabled);
+        button.classList.toggle('has-count', enabled && count > 0);
+        button.querySelector('.blocker-count').textContent = count > 99 ? '99+' : String(count);
+        button.title = enabled
+            ? `Content Blocker: ${count} blocked on this page`
+            : 'Content Blocker: off';
+    },
+
+    togglePanel: async () => {
+        const panel = ContentBlockerIndicator.panel;
+        if (panel.classList.contains('open')) {
+            ContentBlockerIndicator.closePanel();
+            return;
+        }
+
+        const webview = TabManager.getActiveWebview();
+        const tab = TabManager.getTab(state.activeTabId);
+        const siteState = await window.zyAPI.getBlockerSiteState(webview ? webview.getURL() : '');
+        const count = (tab && tab.blockedCount) || 0;
+
+        if (!siteState.enabled) {
+            panel.innerHTML = `
+                <div class="blocker-site">Content blocking is off</div>
+                <div class="blocker-note">Turn on "Block ads and trackers" in Settings → Privacy.</div>
+            `;
+        } else if (!siteState.site) {
+            panel.innerHTML = `
+                <div class="blocker-site">Nothing to block on this page</div>
+            `;
+        } else {
+            panel.innerHTML = `
+                <div class="blocker-site">${Format.escapeHtml(siteState.site)}</div>
+                <div class="blocker-stat">${count} ad${count === 1 ? '' : 's'} and tracker${count === 1 ? '' : 's'} blocked on this page</div>
+                <label class="blocker-toggle">
+                    <span>Block on this site</span>
+                    <input type="checkbox" id="blocker-site-toggle" data-site="${Format.escapeHtml(siteState.site)}" ${siteState.siteEnabled ? 'checked' : ''}>
+                </label>
+            `;
+        }
+
+        const rect = ContentBlockerIndicator.button.getBoundingClientRect();
+        panel.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 268))}px`;
+        panel.style.top = `${rect.bottom + 6}px`;
+        panel.classList.add('open');
+    },
+
+    closePanel: () => {
+        ContentBlockerIndicator.panel.classList.remove('open');
+    },
+
+    /**
+     * Turn blocking on/off for a site and reload the tab so it takes effect
+     */
+    setSiteEnabled: async (site, enabled) => {
+        await window.zyAPI.setBlockerSiteEnabled(site, enabled);
+        ContentBlockerIndicator.closePanel();
+
+        const webview = TabManager.getActiveWebview();
+        if (webview) webview.reload();
+    }
+};
+
+// ============================================
+// PERMISSION PROMPTS
+// Bubble anchored to the requesting tab: Allow / Allow this time / Block
+// ============================================
+
+const PERMISSION_LABELS = {
+    camera: 'Use your camera',
+    microphone: 'Use your microphone',
+    geolocation: 'Know your location',
+    notifications: 'Show notifications',
+    midi: 'Use your MIDI devices',
+    midiSysex: 'Control and reprogram your MIDI devices',
+    'clipboard-read': 'See text and images copied to the clipboard',
+    'display-capture': 'Share your screen',
+    pointerLock: 'Lock and use your mouse',
+    'idle-detection': 'Know when you\'re actively using this device',
+    'window-management': 'Manage windows on all your displays'
+};
+
+const PermissionPrompt = {
+    bubble: null,
+    queue: [],     // Requests waiting for the bubble, oldest first
+    current: null, // Request currently shown
+
+    init: () => {
+        PermissionPrompt.bubble = document.getElementById('permission-bubble');
+
+        window.zyAPI.onPermissionRequest(PermissionPrompt.enqueue);
+        window.zyAPI.onPermissionRequestCancelled(PermissionPrompt.cancel);
+
+        PermissionPrompt.bubble.addEventListener('click', (e) => {
+            const decision = e.target.dataset.decision;
+            if (decision) PermissionPrompt.respond(decision);
+        });
+
+        window.addEventListener('resize', PermissionPrompt.position);
+    },
+
+    enqueue: (request) => {
+        const tab = TabManager.findTabByWebContentsId(request.webContentsId);
+        if (!tab) {
+            window.zyAPI.respondToPermission(request.requestId, 'dismiss');
+            return;
+        }
+
+        request.tabId = tab.id;
+        PermissionPrompt.queue.push(request);
+        PermissionPrompt.showNext();
+    },
+
+    showNext: () => {
+        if (PermissionPrompt.current || PermissionPrompt.queue.length === 0) return;
+
+        const request = PermissionPrompt.queue.shift();
+        PermissionPrompt.current = request;
+
+        let host = request.origin;
+        try {
+            host = new URL(request.origin).host;
+        } catch { }
+
+        PermissionPrompt.bubble.innerHTML = `
+            <div class="permission-title"><strong>${Format.escapeHtml(host)}</strong> wants to</div>
+            <ul class="permission-list">
+                ${request.permissions.map(p => `<li>${Format.escapeHtml(PERMISSION_LABELS[p] || p)}</li>`).join('')}
+            </ul>
+            <div class="permission-actions">
+                <button class="permission-btn" data-decision="block">Block</button>
+                <button class="permission-btn" data-decision="allow-once">Allow this time</button>
+                <button class="permission-btn primary" data-decision="allow">Allow</button>
+            </div>
+            <button class="permission-close" data-decision="dismiss" title="Close">×</button>
+        `;
+
+        document.getElementById(`btn-${request.tabId}`)?.classList.add('permission-pending');
+        PermissionPrompt.bubble.classList.add('open');
+        PermissionPrompt.position();
+    },
+
+    /**
+     * Anchor the bubble below the requesting tab's button
+     */
+    position: () => {
+        const request = PermissionPrompt.current;
+        if (!request) return;
+
+        const tabEl = document.getElementById(`btn-${request.tabId}`);
+        if (!tabEl) return;
+
+        const rect = tabEl.getBoundingClientRect();
+        const bubbleWidth = PermissionPrompt.bubble.offsetWidth;
+        const left = Math.max(8, Math.min(rect.left, window.innerWidth - bubbleWidth - 8));
+
+        PermissionPrompt.bubble.style.left = `${left}px`;
+        PermissionPrompt.bubble.style.top = `${rect.bottom + 6}px`;
+        PermissionPrompt.bubble.style.setProperty('--arrow-left', `${Math.max(12, rect.left - left + 16)}px`);
+    },
+
+    respond: (decision) => {
+        const request = PermissionPrompt.current;
+        if (!request) return;
+
+        window.zyAPI.respondToPermission(request.requestId, decision);
+        PermissionPrompt.hide();
+        PermissionPrompt.showNext();
+    },
+
+    hide: () => {
+        const request = PermissionPrompt.current;
+        if (request) document.getElementById(`btn-${request.tabId}`)?.classList.remove('permission-pending');
+
+        PermissionPrompt.current = null;
+        PermissionPrompt.bubble.classList.remove('open');
+        PermissionPrompt.bubble.innerHTML = '';
+    },
+
+    /**
+     * The main process withdrew a request (tab navigated away)
+     */
+    cancel: (requestId) => {
+        PermissionPrompt.queue = PermissionPrompt.queue.filter(r => r.requestId !== requestId);
+        if (PermissionPrompt.current && PermissionPrompt.current.requestId === requestId) {
+            PermissionPrompt.hide();
+            PermissionPrompt.showNext();
+        }
+    },
+
+    /**
+     * Dismiss every request from a tab that is being closed
+     */
+    dismissForTab: (tabId) => {
+        PermissionPrompt.queue = PermissionPrompt.queue.filter(r => {
+            if (r.tabId !== tabId) return true;
+            window.zyAPI.respondToPermission(r.requestId, 'dismiss');
+            return false;
+        });
+        if (PermissionPrompt.current && PermissionPrompt.current.tabId === tabId) {
+            PermissionPrompt.respond('dismiss');
+        }
+    }
+};
+
+// ============================================
+// SETTINGS MANAGER
+// ============================================
+
+const SettingsManager = {
+    settings: {}, // Last applied settings (read by the search engine registry)
+
+    init: async () => {
+        await SettingsManager.loadSettings();
+
+        // Listen for changes (settings page, other windows)
+        window.zyAPI.onSettingsUpdated((settings) => {
+            SettingsManager.applySettings(settings);
+        });
+    },
+
+    loadSettings: async () => {
+        // Older versions kept settings in localStorage: hand them to the
+        // main process once (it ignores them if it already has a settings file)
+        const legacy = localStorage.getItem('zy-settings');
+        if (legacy) {
+            try {
+                await window.zyAPI.importLegacySettings(JSON.parse(legacy));
+            } catch (e) {
+                console.error('Failed to import settings', e);
+            }
+            localStorage.removeItem('zy-settings');
+        }
+
+        SettingsManager.applySettings(await window.zyAPI.getSettings());
+    },
+
+    applySettings: (settings) => {
+        SettingsManager.settings = settings;
+        ContainerManager.refreshTabs();
+        ContentBlockerIndicator.render();
+        VerticalTabs.setEnabled(settings.verticalTabs);
+        ZoomManager.applyAll();
+
+        if (settings.theme) {
+            document.documentElement.setAttribute('data-theme', settings.theme);
+        }
+    }
+};
+
+// ============================================
+// SPLIT VIEW
+// Up to four tabs side by side or stacked, with draggable dividers.
+// The focused pane holds the active tab (and drives the address bar);
+// picking another tab shows it in the focused pane.
+// ============================================
+
+const SPLIT_MAX_PANES = 4;
+const SPLIT_MIN_PANE_SHARE = 0.1; // Smallest pane while resizing, as a share of the whole
+
+const SplitView = {
+    menu: null,
+
+    init: () => {
+        SplitView.menu = document.getElementById('split-menu');
+
+        // Off: split the active tab with the next one. On: layout options.
+        elements.btnSplitView.addEventListener('click', () => {
+            if (!state.split) {
+                SplitView.start();
+            } else if (SplitView.menu.classList.contains('open')) {
+                SplitView.closeMenu();
+            } else {
+                SplitView.openMenu();
+            }
+        });
+
+        SplitView.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-action]');
+            if (!item || item.classList.contains('disabled')) return;
+            SplitView.closeMenu();
+            SplitView.run(item.dataset.action);
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!SplitView.menu.contains(e.target) && e.target !== elements.btnSplitView) SplitView.closeMenu();
+        });
+        window.addEventListener('blur', SplitView.closeMenu);
+
+        elements.viewsContainer.addEventListener('mousedown', (e) => {
+            const divider = e.target.closest('.split-divider');
+            if (divider) SplitView.startResize(e, Number(divider.dataset.index));
+        });
+    },
+
+    /**
+     * Whether a tab is showing in one of the panes
+     */
+    isShown: (tabId) => !!state.split && state.split.tabIds.includes(tabId),
+
+    /**
+     * Split the active tab with the given tabs (default: the next tab, or a new one)
+     */
+    start: (tabIds = null) => {
+        if (!tabIds) {
+            const index = state.tabs.findIndex(t => t.id === state.activeTabId);
+            const other = state.tabs[index + 1] || state.tabs[index - 1];
+            tabIds = [state.activeTabId, other ? other.id : TabManager.createTab('zy://home', false)];
+        }
+
+        tabIds = tabIds.filter((id, i) => TabManager.getTab(id) && tabIds.indexOf(id) === i).slice(0, SPLIT_MAX_PANES);
+        if (tabIds.length < 2) return;
+
+        state.split = {
+            orientation: 'vertical', // vertical: panes side by side, horizontal: stacked
+            tabIds,
+            sizes: tabIds.map(() => 1 / tabIds.length),
+            focusedIndex: Math.max(0, tabIds.indexOf(state.activeTabId))
+        };
+        elements.btnSplitView.classList.add('active');
+        TabManager.switchTab(tabIds[state.split.focusedIndex]);
+    },
+
+    stop: () => {
+        if (!state.split) return;
+        state.split = null;
+        elements.btnSplitView.classList.remove('active');
+        SplitView.layout();
+        TabManager.switchTab(state.activeTabId);
+    },
+
+    /**
+     * Show a tab: focus its pane, or put it in the focused pane
+     * (called by TabManager.switchTab)
+     */
+    showTab: (tabId) => {
+        const split = state.split;
+        const index = split.tabIds.indexOf(tabId);
+        if (index === -1) {
+            split.tabIds[split.focusedIndex] = tabId;
+        } else {
+            split.focusedIndex = index;
+        }
+        SplitView.layout();
+    },
+
+    /**
+     * A pane's page was clicked into
+     */
+    focusTab: (tabId) => {
+        if (SplitView.isShown(tabId) && tabId !== state.activeTabId) TabManager.switchTab(tabId);
+    },
+
+    /**
+     * Add a pane showing a tab (default: the first tab that isn't shown, or a new one)
+     */
+    addPane: (tabId = null) => {
+        const split = state.split;
+        if (!split) {
+            SplitView.start(tabId ? [state.activeTabId, tabId] : null);
+            return;
+        }
+        if (split.tabIds.length >= SPLIT_MAX_PANES || split.tabIds.includes(tabId)) return;
 
-        if (activate) TabManager.switchTab(tabId);
-        return tabId;
+        if (!tabId) {
+            const hidden = state.tabs.find(t => !split.tabIds.includes(t.id));
+            tabId = hidden ? hidden.id : TabManager.createTab('zy://home', false);
+        }
+        split.tabIds.push(tabId);
+        split.sizes = split.tabIds.map(() => 1 / split.tabIds.length);
+        SplitView.layout();
+        SessionManager.scheduleCheckpoint();
     },
 
     /**
-     * Switch to a specific tab
+     * Take a tab out of the split (closed, or its pane removed); below two
+     * panes the split ends. Returns the tab left in focus, if the tab was
+     * shown, for the caller to switch to.
      */
-    switchTab: (tabId) => {
-        state.activeTabId = tabId;
-
-        // Update UI Tabs
-        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-        document.getElementById(`btn-${tabId}`).classList.add('active');
-
-        // Update Webviews (Show active, hide others)
-        document.querySelectorAll('webview').forEach(v => {
-            v.style.display = (v.id === `view-${tabId}`) ? 'flex' : 'none';
-        });
-
-        const activeWebview = TabManager.getActiveWebview();
-        if (activeWebview) {
-            elements.urlInput.value = activeWebview.getURL();
-            updateNavigationButtons();
-            // Sync Bookmark Star
-            if (window.BookmarksManager) window.BookmarksManager.updateStarState();
+    removeTab: (tabId) => {
+        const split = state.split;
+        const index = split ? split.tabIds.indexOf(tabId) : -1;
+        if (index === -1) return null;
+
+        split.tabIds.splice(index, 1);
+        const [removed] = split.sizes.splice(index, 1);
+        // The neighbouring pane takes the space
+        split.sizes[Math.min(index, split.sizes.length - 1)] += removed;
+        if (split.focusedIndex >= index && split.focusedIndex > 0) split.focusedIndex--;
+
+        const focusedTabId = split.tabIds[split.focusedIndex];
+        if (split.tabIds.length < 2) {
+            state.split = null;
+            elements.btnSplitView.classList.remove('active');
+            SplitView.layout();
         }
+        return focusedTabId;
+    },
 
-        // Handle Split View visibility
-        if (state.isSplitView && state.splitTabId) {
-            const splitView = document.getElementById(`view-${state.splitTabId}`);
-            if (splitView) splitView.style.display = 'flex';
+    run: (action) => {
+        const split = state.split;
+        if (!split) return;
+
+        switch (action) {
+            case 'add-pane':
+                SplitView.addPane();
+                break;
+            case 'remove-pane':
+                TabManager.switchTab(SplitView.removeTab(state.activeTabId));
+                break;
+            case 'vertical':
+            case 'horizontal':
+                split.orientation = action;
+                SplitView.layout();
+                break;
+            case 'equal-sizes':
+                split.sizes = split.tabIds.map(() => 1 / split.tabIds.length);
+                SplitView.layout();
+                break;
+            case 'close':
+                SplitView.stop();
+                break;
         }
+        SessionManager.scheduleCheckpoint();
+    },
+
+    openMenu: () => {
+        const split = state.split;
+        const item = (action, label, enabled = true) =>
+            `<div class="container-menu-item${enabled ? '' : ' disabled'}" data-action="${action}">${label}</div>`;
+        const check = (on) => on ? '✓ ' : '';
+
+        SplitView.menu.innerHTML = [
+            item('add-pane', 'Add pane', split.tabIds.length < SPLIT_MAX_PANES),
+            item('remove-pane', 'Remove focused pane'),
+            '<div class="menu-separator"></div>',
+            item('vertical', `${check(split.orientation === 'vertical')}Side by side`),
+            item('horizontal', `${check(split.orientation === 'horizontal')}Stacked`),
+            item('equal-sizes', 'Equal sizes'),
+            '<div class="menu-separator"></div>',
+            item('close', 'Close split view')
+        ].join('');
+
+        const menu = SplitView.menu;
+        const rect = elements.btnSplitView.getBoundingClientRect();
+        menu.classList.add('open');
+        menu.style.left = `${Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4)}px`;
+        menu.style.top = `${rect.bottom + 4}px`;
+    },
+
+    closeMenu: () => {
+        SplitView.menu.classList.remove('open');
     },
 
     /**
-     * Close a tab
+     * Place the panes' webviews in the grid, with a divider between each pair
      */
-    closeTab: (tabId) => {
-        if (state.tabs.length <= 1) return; // Don't close last tab
+    layout: () => {
+        const split = state.split;
+        const container = elements.viewsContainer;
+        container.querySelectorAll('.split-divider').forEach(divider => divider.remove());
+        container.classList.toggle('split', !!split);
+        container.classList.toggle('stacked', !!split && split.orientation === 'horizontal');
 
-        const index = state.tabs.findIndex(t => t.id === tabId);
-        state.tabs.splice(index, 1);
+        document.querySelectorAll('webview').forEach(v => {
+            v.style.display = 'none';
+            v.style.gridArea = '';
+            v.classList.remove('split-focused');
+        });
+        if (!split) {
+            container.style.gridTemplateColumns = '';
+            container.style.gridTemplateRows = '';
+            return;
+        }
 
-        document.getElementById(`btn-${tabId}`).remove();
-        document.getElementById(`view-${tabId}`).remove();
+        const stacked = split.orientation === 'horizontal';
+        split.tabIds.forEach((tabId, i) => {
+            const tab = TabManager.getTab(tabId);
+            if (tab && tab.asleep) TabSleeper.wake(tab);
 
-        // Switch to neighbor if closed tab was active
-        if (state.activeTabId === tabId) {
-            const nextTab = state.tabs[index] || state.tabs[index - 1];
-            TabManager.switchTab(nextTab.id);
-        }
+            // Panes take the odd tracks, dividers the even ones
+            const place = (el, track) => {
+                el.style.gridArea = stacked ? `${track} / 1` : `1 / ${track}`;
+            };
+            const webview = document.getElementById(`view-${tabId}`);
+            if (webview) {
+                webview.style.display = 'flex';
+                webview.classList.toggle('split-focused', i === split.focusedIndex);
+                place(webview, 2 * i + 1);
+            }
+            if (i > 0) {
+                const divider = document.createElement('div');
+                divider.className = 'split-divider';
+                divider.dataset.index = i - 1;
+                place(divider, 2 * i);
+                container.appendChild(divider);
+            }
+        });
+        SplitView.applySizes();
     },
 
-    /**
-     * Get the webview of the currently active tab
-     */
-    getActiveWebview: () => {
-        return document.getElementById(`view-${state.activeTabId}`);
+    applySizes: () => {
+        const split = state.split;
+        const template = split.sizes.map(size => `minmax(0, ${size}fr)`).join(' 4px ');
+        const stacked = split.orientation === 'horizontal';
+        elements.viewsContainer.style.gridTemplateColumns = stacked ? '' : template;
+        elements.viewsContainer.style.gridTemplateRows = stacked ? template : '';
     },
 
-    updateLoading: (tabId, isLoading) => {
-        if (tabId === state.activeTabId) {
-            if (isLoading) {
-                elements.loadingBar.classList.add('loading');
-                elements.loadingBar.classList.remove('complete');
-            } else {
-                elements.loadingBar.classList.remove('loading');
-                elements.loadingBar.classList.add('complete');
-                setTimeout(() => elements.loadingBar.classList.remove('complete'), 600);
-            }
-            updateNavigationButtons();
-        }
+    /**
+     * Drag the divider after pane `index`: the two panes beside it trade space
+     */
+    startResize: (e, index) => {
+        const split = state.split;
+        if (!split) return;
+        e.preventDefault();
+
+        const container = elements.viewsContainer;
+        const stacked = split.orientation === 'horizontal';
+        const rect = container.getBoundingClientRect();
+        const length = stacked ? rect.height : rect.width;
+        const startPos = stacked ? e.clientY : e.clientX;
+        const pair = split.sizes[index] + split.sizes[index + 1];
+        const startSize = split.sizes[index];
+
+        // Webviews would swallow the mouse events
+        container.classList.add('resizing');
+
+        const onMove = (moveEvent) => {
+            const delta = ((stacked ? moveEvent.clientY : moveEvent.clientX) - startPos) / length;
+            const size = Math.min(Math.max(startSize + delta, SPLIT_MIN_PANE_SHARE), pair - SPLIT_MIN_PANE_SHARE);
+            split.sizes[index] = size;
+            split.sizes[index + 1] = pair - size;
+            SplitView.applySizes();
+        };
+        const onUp = () => {
+            container.classList.remove('resizing');
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            SessionManager.scheduleCheckpoint();
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
     },
 
-    updateTitle: (tabId, title) => {
-        const tabEl = document.getElementById(`btn-${tabId}`);
-        if (tabEl) tabEl.querySelector('.tab-title').textContent = title || 'Untitled';
-        if (tabId === state.activeTabId) document.title = `${title} - Zy Browser`;
+    /**
+     * Serializable layout, with tabs saved by position in the strip
+     */
+    serialize: () => {
+        const split = state.split;
+        if (!split) return null;
+        return {
+            orientation: split.orientation,
+            tabIndexes: split.tabIds.map(id => state.tabs.findIndex(t => t.id === id)),
+            sizes: split.sizes.slice(),
+            focusedIndex: split.focusedIndex
+        };
     },
 
-    updateUrl: (tabId, url) => {
-        if (tabId === state.activeTabId) {
-            elements.urlInput.value = url;
-            updateNavigationButtons();
-            // Sync Bookmark Star
-            if (window.BookmarksManager) window.BookmarksManager.updateStarState();
+    /**
+     * Split again from a saved layout; tabIds are the restored tabs in saved order
+     */
+    restore: (saved, tabIds) => {
+        const panes = (saved.tabIndexes || []).map(i => tabIds[i]);
+        if (panes.length < 2 || panes.some(id => !id)) return;
+
+        SplitView.start(panes);
+        const split = state.split;
+        if (!split) return;
+
+        if (saved.orientation === 'horizontal') split.orientation = 'horizontal';
+        if (Array.isArray(saved.sizes) && saved.sizes.length === panes.length) {
+            const total = saved.sizes.reduce((sum, size) => sum + (Number(size) || 0), 0);
+            if (total > 0) split.sizes = saved.sizes.map(size => (Number(size) || 0) / total);
         }
+        TabManager.switchTab(panes[saved.focusedIndex] || panes[0]);
     }
 };
 
 // ============================================
-// SIDEBAR TOOLS (Productivity)
+// SESSION MANAGER
+// Checkpoints open tabs for crash recovery and
+// restores saved / previous sessions
 // ============================================
 
-const SidebarManager = {
-    init: () => {
-        // Tab switching
-        elements.sidebarTabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                elements.sidebarTabs.forEach(t => t.classList.remove('active'));
-                elements.toolViews.forEach(v => v.classList.remove('active'));
+const SESSION_CHECKPOINT_DELAY_MS = 1000;
 
-                tab.classList.add('active');
-                document.getElementById(`view-${tab.dataset.view}`).classList.add('active');
-            });
-        });
+// Pages that don't count as user content when restoring over them
+const SESSION_BLANK_URLS = ['zy://home', 'zy://newtab'];
 
-        // Toggle Sidebar
-        elements.btnToggleSidebar.addEventListener('click', () => {
-            state.isSidebarOpen = !state.isSidebarOpen;
-            elements.sidebar.classList.toggle('collapsed', !state.isSidebarOpen);
-        });
+const SessionManager = {
+    checkpointTimer: null,
+    previous: null, // { crashed, windows } offered by the restore bar
 
-        // Initialize Tools
-        SidebarManager.setupClipboard();
-        SidebarManager.setupNotes();
-        SidebarManager.setupSessions();
-    },
+    init: async () => {
+        document.getElementById('btn-restore-session').addEventListener('click', SessionManager.restorePrevious);
+        document.getElementById('btn-dismiss-restore').addEventListener('click', SessionManager.hideRestoreBar);
 
-    setupClipboard: () => {
-        // In a real app, listen to 'clipboard-read' ipc
-        // For demo: Mock functionality or simple text monitoring
-        setInterval(async () => {
-            try {
-                // Poll clipboard logic if supported by API
-            } catch (e) { }
-        }, 1000);
+        // Windows opened with tabs (dragged-out tab, saved session) restore them first
+        const initialState = await window.zyAPI.takeInitialWindowState();
+        if (initialState) {
+            SessionManager.restoreWindow(initialState);
+            return;
+        }
 
-        document.getElementById('btn-clear-clipboard').addEventListener('click', () => {
-            elements.clipboardList.innerHTML = '';
-        });
+        if (state.privatePartition) return;
+        const previous = await window.zyAPI.takePreviousSession();
+        if (previous) SessionManager.showRestoreBar(previous);
     },
 
-    setupNotes: () => {
-        // Load saved notes
-        const saved = localStorage.getItem('zy-notes');
-        if (saved) elements.notesArea.value = saved;
+    /**
+     * Serializable state of a tab: URL, title, pinned / muted and back/forward entries
+     */
+    serializeTab: (tab) => ({
+        url: tab.url,
+        title: tab.title,
+        containerId: tab.containerId,
+        groupId: tab.groupId,
+        pinned: tab.pinned,
+        muted: tab.muted,
+        history: {
+            entries: tab.history.entries.map(e => ({ url: e.url, title: e.title })),
+            index: tab.history.index
+        }
+    }),
 
-        // Auto-save notes
-        elements.notesArea.addEventListener('input', (e) => {
-            localStorage.setItem('zy-notes', e.target.value);
-        });
+    /**
+     * Serializable state of this window: tab order and nesting, tab groups, active tab and split view
+     */
+    serializeWindow: () => ({
+        // Tab ids change on restore, so openers are saved by position
+        tabs: state.tabs.map(tab => ({
+            ...SessionManager.serializeTab(tab),
+            openerIndex: state.tabs.findIndex(t => t.id === tab.openerId)
+        })),
+        groups: state.groups.map(g => ({ ...g })),
+        activeIndex: state.tabs.findIndex(t => t.id === state.activeTabId),
+        split: SplitView.serialize()
+    }),
+
+    /**
+     * Send the window state to the main process (debounced)
+     */
+    scheduleCheckpoint: () => {
+        if (SessionManager.checkpointTimer || state.privatePartition) return;
+        SessionManager.checkpointTimer = setTimeout(() => {
+            SessionManager.checkpointTimer = null;
+            if (state.tabs.length) window.zyAPI.checkpointSession(SessionManager.serializeWindow());
+        }, SESSION_CHECKPOINT_DELAY_MS);
     },
 
-    setupSessions: () => {
-        const loadSessions = () => {
-            const sessions = JSON.parse(localStorage.getItem('zy-sessions') || '[]');
-            elements.sessionList.innerHTML = sessions.map((s, i) => `
-                <li class="list-item">
-                    <span>${s.date} (${s.count} tabs)</span>
-                    <button class="text-btn" onclick="restoreSession(${i})">Load</button>
-                </li>
-            `).join('');
-        };
+    isBlankTab: (tab) => SESSION_BLANK_URLS.includes(tab.url.replace(/\/$/, '')) && tab.history.entries.length <= 1,
 
-        document.getElementById('btn-save-session').addEventListener('click', () => {
-            const session = {
-                date: new Date().toLocaleTimeString(),
-                count: state.tabs.length,
-                urls: state.tabs.map(t => document.getElementById(`view-${t.id}`).src)
-            };
-            const sessions = JSON.parse(localStorage.getItem('zy-sessions') || '[]');
-            sessions.push(session);
-            localStorage.setItem('zy-sessions', JSON.stringify(sessions));
-            loadSessions();
+    /**
+     * Open the tabs of a saved window state in new tabs. Untouched
+     * new-tab pages are replaced so a restore at startup doesn't leave
+     * an extra home tab behind.
+     */
+    restoreWindow: (windowState) => {
+        const tabs = (windowState.tabs || []).filter(t => t.url);
+        if (!tabs.length) return;
+
+        const blankTabs = state.tabs.filter(SessionManager.isBlankTab);
+
+        const tabIds = tabs.map(t => TabManager.createTab(t.url, false, { ...t, groupId: null }));
+        tabs.forEach((t, i) => {
+            if (tabIds[t.openerIndex]) TabManager.getTab(tabIds[i]).openerId = tabIds[t.openerIndex];
         });
 
-        loadSessions();
-    }
-};
+        // Groups are added once all their tabs exist (adding tabs one by one
+        // prunes the groups that don't have any yet). Restored groups get new
+        // ids: this window may have groups of its own.
+        (windowState.groups || []).forEach(g => {
+            const members = tabIds.filter((tabId, i) => tabs[i].groupId === g.id && !TabManager.getTab(tabId).pinned);
+            if (!members.length) return;
 
-// ============================================
-// NAVIGATION & UI HELPERS
-// ============================================
+            const groupId = TabGroups.create(g);
+            members.forEach(tabId => {
+                TabManager.getTab(tabId).groupId = groupId;
+            });
+        });
+        TabGroups.prune();
 
-function navigateTo(url) {
-    const webview = TabManager.getActiveWebview();
-    if (webview) webview.src = formatUrl(url);
-}
+        TabManager.switchTab(tabIds[windowState.activeIndex] || tabIds[0]);
+        blankTabs.forEach(t => TabManager.closeTab(t.id, false));
 
-function reload() {
-    const webview = TabManager.getActiveWebview();
-    if (webview) webview.reload();
-}
+        if (!state.split && windowState.split) {
+            SplitView.restore(windowState.split, tabIds);
+        } else if (!state.split && windowState.splitTabIndex >= 0) {
+            // Saved before split layouts: the first tab beside another
+            SplitView.start([tabIds[0], tabIds[windowState.splitTabIndex]]);
+        }
+    },
 
-function goBack() {
-    const webview = TabManager.getActiveWebview();
-    if (webview && webview.canGoBack()) webview.goBack();
-}
+    showRestoreBar: (previous) => {
+        SessionManager.previous = previous;
 
-function goForward() {
-    const webview = TabManager.getActiveWebview();
-    if (webview && webview.canGoForward()) webview.goForward();
-}
+        const tabCount = previous.windows.reduce((count, w) => count + w.tabs.length, 0);
+        document.getElementById('restore-message').textContent = previous.crashed
+            ? `Zy didn't shut down correctly. Restore ${tabCount} tab${tabCount === 1 ? '' : 's'}?`
+            : `Restore ${tabCount} tab${tabCount === 1 ? '' : 's'} from your last session?`;
+        document.getElementById('restore-bar').classList.add('visible');
+    },
 
-function updateNavigationButtons() {
-    const webview = TabManager.getActiveWebview();
-    if (webview) {
-        elements.btnBack.disabled = !webview.canGoBack();
-        elements.btnForward.disabled = !webview.canGoForward();
-    }
-}
+    hideRestoreBar: () => {
+        SessionManager.previous = null;
+        document.getElementById('restore-bar').classList.remove('visible');
+    },
 
-// URL Utilities
-function formatUrl(input) {
-    if (!input) return 'home.html';
-    let url = input.trim();
-    if (url.includes(' ') || !url.includes('.')) return 'https://www.google.com/search?q=' + encodeURIComponent(url);
-    if (!/^https?:\/\//i.test(url)) return 'https://' + url;
-    return url;
-}
+    /**
+     * The first window of the previous session restores here, the others in new windows
+     */
+    restorePrevious: () => {
+        const previous = SessionManager.previous;
+        SessionManager.hideRestoreBar();
+        if (!previous) return;
+
+        const [first, ...others] = previous.windows;
+        SessionManager.restoreWindow(first);
+        others.forEach(windowState => window.zyAPI.openWindow(windowState));
+    },
 
-// ============================================
-// SETTINGS MANAGER
-// ============================================
+    // Named sessions (saved from the sidebar)
 
-const SettingsManager = {
-    init: () => {
-        // Load settings from storage
-        SettingsManager.loadSettings();
+    getNamedSessions: () => JSON.parse(localStorage.getItem('zy-sessions') || '[]'),
 
-        // Listen for updates from other windows
-        if (window.zyAPI && window.zyAPI.onSettingsUpdated) {
-            window.zyAPI.onSettingsUpdated((settings) => {
-                SettingsManager.applySettings(settings);
-            });
-        }
+    setNamedSessions: (sessions) => {
+        localStorage.setItem('zy-sessions', JSON.stringify(sessions));
     },
 
-    loadSettings: () => {
-        const saved = localStorage.getItem('zy-settings');
-        if (saved) {
-            try {
-                const settings = JSON.parse(saved);
-                SettingsManager.applySettings(settings);
-            } catch (e) {
-                console.error('Failed to parse settings', e);
-            }
+    /**
+     * Save this window's tabs, or just the given ones (a tab group) under a name
+     */
+    saveNamedSession: (tabs = null, name = '') => {
+        const windowState = SessionManager.serializeWindow();
+        if (tabs) {
+            windowState.tabs = tabs.map(SessionManager.serializeTab);
+            windowState.groups = windowState.groups.filter(g => tabs.some(t => t.groupId === g.id));
+            windowState.activeIndex = 0;
+            windowState.split = null;
         }
+
+        const sessions = SessionManager.getNamedSessions();
+        sessions.push({
+            name,
+            date: new Date().toLocaleString(),
+            savedAt: Date.now(),
+            count: windowState.tabs.length,
+            urls: windowState.tabs.map(t => t.url), // Searched by the omnibox
+            ...windowState
+        });
+        SessionManager.setNamedSessions(sessions);
     },
 
-    applySettings: (settings) => {
-        if (settings.theme) {
-            document.documentElement.setAttribute('data-theme', settings.theme);
+    /**
+     * Open a saved session in new tabs of this window, or in a new window
+     */
+    restoreNamedSession: (index, inNewWindow = false) => {
+        const session = SessionManager.getNamedSessions()[index];
+        if (!session) return;
+
+        // Sessions saved before tab state was recorded only have URLs
+        const tabs = session.tabs || (session.urls || []).map(url => ({ url }));
+        const windowState = { tabs, groups: session.groups, activeIndex: session.activeIndex };
+        if (inNewWindow) {
+            window.zyAPI.openWindow(windowState);
+        } else {
+            SessionManager.restoreWindow(windowState);
         }
+    },
+
+    deleteNamedSession: (index) => {
+        const sessions = SessionManager.getNamedSessions();
+        sessions.splice(index, 1);
+        SessionManager.setNamedSessions(sessions);
+    },
+
+    /**
+     * Delete sessions saved since a time (0: all). Sessions saved before
+     * the time was recorded only go with "all time".
+     */
+    clearNamedSessions: (since = 0) => {
+        SessionManager.setNamedSessions(SessionManager.getNamedSessions().filter(s => since > 0 && (s.savedAt || 0) < since));
+        SidebarManager.renderSessions();
     }
 };
 
@@ -346,20 +3521,19 @@ const SettingsManager = {
 // INITIALIZATION
 // ============================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Private windows look different so they can't be mistaken for regular ones
+    if (state.privatePartition) {
+        document.body.classList.add('private-window');
+        document.title = 'Zy Browser (Private)';
+    }
+
     // Event Listeners
     elements.btnNewTab.addEventListener('click', () => TabManager.createTab());
     elements.btnBack.addEventListener('click', goBack);
     elements.btnForward.addEventListener('click', goForward);
     elements.btnReload.addEventListener('click', reload);
 
-    elements.urlInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            navigateTo(e.target.value);
-            e.target.blur();
-        }
-    });
-
     elements.urlInput.addEventListener('focus', () => elements.urlInput.select());
 
     // Tools Toggle
@@ -396,45 +3570,6 @@ document.addEventListener('DOMContentLoaded', () => {
         window.zyAPI.windowClose();
     });
 
-    // Split View Toggle
-    const btnSplitView = document.getElementById('btn-split-view');
-    if (btnSplitView) {
-        btnSplitView.addEventListener('click', () => {
-            state.isSplitView = !state.isSplitView;
-            btnSplitView.classList.toggle('active', state.isSplitView);
-
-            const container = elements.viewsContainer;
-
-            if (state.isSplitView && state.tabs.length >= 2) {
-                // Enable split view - show 2 tabs side by side
-                container.style.display = 'grid';
-                container.style.gridTemplateColumns = '1fr 1fr';
-
-                // Show first two tabs
-                const firstTab = state.tabs[0];
-                const secondTab = state.tabs[1];
-
-                document.querySelectorAll('webview').forEach(v => v.style.display = 'none');
-
-                const view1 = document.getElementById(`view-${firstTab.id}`);
-                const view2 = document.getElementById(`view-${secondTab.id}`);
-
-                if (view1) view1.style.display = 'flex';
-                if (view2) view2.style.display = 'flex';
-
-                state.splitTabId = secondTab.id;
-            } else {
-                // Disable split view
-                container.style.display = 'block';
-                container.style.gridTemplateColumns = '';
-                state.splitTabId = null;
-
-                // Show only active tab
-                TabManager.switchTab(state.activeTabId);
-            }
-        });
-    }
-
     // DevTools Toggle
     elements.btnDevTools?.addEventListener('click', () => {
         const webview = TabManager.getActiveWebview();
@@ -443,15 +3578,48 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Initialize Systems
-    SettingsManager.init();
+    // Initialize Systems (settings first: tabs need search engines and container rules)
+    await SettingsManager.init();
+    OmniboxManager.init();
+    DownloadsIndicator.init();
+    RecentlyClosedMenu.init();
+    FindBar.init();
+    ZoomManager.init();
+    ContentBlockerIndicator.init();
+    PermissionPrompt.init();
+    TabSleeper.init();
+    TabContextMenu.init();
+    SplitView.init();
+    TabGroups.init();
+    VerticalTabs.init();
+    ContainerManager.init();
     SidebarManager.init();
     CSSOverridesManager.init();
     BookmarksManager.init();
     ShortcutManager.init();
 
+    TabDrag.init();
+
+    // Data this window keeps itself, cleared from settings
+    window.zyAPI.onBrowsingDataCleared(({ types, since }) => {
+        if (types.includes('sessions')) SessionManager.clearNamedSessions(since);
+        if (types.includes('cssOverrides')) CSSOverridesManager.clearAll();
+    });
+
+    // Tabs requested by pages and other windows (e.g. target=_blank links, settings -> Site Settings)
+    window.zyAPI.onOpenTab((url, options) => {
+        const opener = options.openerWebContentsId && TabManager.findTabByWebContentsId(options.openerWebContentsId);
+        TabManager.createTab(url, options.activate !== false, {
+            ...(options.containerId ? { containerId: options.containerId } : {}),
+            ...(opener ? { openerId: opener.id } : {})
+        });
+    });
+
     // Create initial tab
     TabManager.createTab();
+
+    // Offer to restore the previous session (after the initial tab so it can be replaced)
+    SessionManager.init();
 });
 
 // ============================================
@@ -508,9 +3676,13 @@ const BookmarksManager = {
         const webview = TabManager.getActiveWebview();
         if (!webview) return;
 
-        const url = webview.getURL();
-        const title = webview.getTitle();
+        BookmarksManager.toggleBookmark(webview.getURL(), webview.getTitle());
+    },
 
+    /**
+     * Bookmark a page, or remove its bookmark
+     */
+    toggleBookmark: (url, title) => {
         const index = BookmarksManager.bookmarks.findIndex(b => b.url === url);
 
         if (index === -1) {
@@ -688,6 +3860,17 @@ const CSSOverridesManager = {
         }
     },
 
+    /**
+     * Forget the CSS saved for every site (clear browsing data)
+     */
+    clearAll: () => {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith('zy-css-'))
+            .forEach(key => localStorage.removeItem(key));
+        CSSOverridesManager.editor.value = '';
+        CSSOverridesManager.removeCSS();
+    },
+
     removeCSS: async () => {
         // Note: Electron's webview doesn't have a removeCSS method
         // The CSS persists until page reload. For full removal, reload the page.
@@ -702,6 +3885,11 @@ const CSSOverridesManager = {
 
 const ShortcutManager = {
     init: () => {
+        // Pressed in a page: replay them here, for every shortcut listener
+        window.zyAPI.onGuestShortcut((keys) => {
+            document.dispatchEvent(new KeyboardEvent('keydown', { ...keys, bubbles: true, cancelable: true }));
+        });
+
         window.addEventListener('keydown', (e) => {
             // Check modifier keys based on platform if needed, but Ctrl is standard for most
             const cmdOrCtrl = e.ctrlKey || e.metaKey;
@@ -712,6 +3900,24 @@ const ShortcutManager = {
                 TabManager.createTab();
             }
 
+            // Reopen Closed Tab (or window): Ctrl + Shift + T
+            if (cmdOrCtrl && e.shiftKey && e.key === 'T') {
+                e.preventDefault();
+                if (!state.privatePartition) window.zyAPI.reopenClosed();
+            }
+
+            // New Window: Ctrl + N
+            if (cmdOrCtrl && e.key === 'n') {
+                e.preventDefault();
+                window.zyAPI.openWindow();
+            }
+
+            // New Private Window: Ctrl + Shift + N
+            if (cmdOrCtrl && e.shiftKey && e.key === 'N') {
+                e.preventDefault();
+                window.zyAPI.openPrivateWindow();
+            }
+
             // Close Tab: Ctrl + W
             if (cmdOrCtrl && e.key === 'w') {
                 e.preventDefault();
@@ -724,6 +3930,35 @@ const ShortcutManager = {
                 reload();
             }
 
+            // Find in Page: Ctrl + F
+            if (cmdOrCtrl && e.key === 'f') {
+                e.preventDefault();
+                FindBar.open();
+            }
+
+            // History: Ctrl + H
+            if (cmdOrCtrl && e.key === 'h') {
+                e.preventDefault();
+                TabManager.createTab('zy://history');
+            }
+
+            // Downloads: Ctrl + J
+            if (cmdOrCtrl && e.key === 'j') {
+                e.preventDefault();
+                TabManager.createTab('zy://downloads');
+            }
+
+            // Task Manager: Shift + Esc (switches to it if it's already open)
+            if (e.shiftKey && e.key === 'Escape') {
+                e.preventDefault();
+                const taskManager = state.tabs.find(t => t.url.startsWith('zy://task-manager'));
+                if (taskManager) {
+                    TabManager.switchTab(taskManager.id);
+                } else {
+                    TabManager.createTab('zy://task-manager');
+                }
+            }
+
             // Focus Address Bar: Ctrl + L or F6 or Alt + D
             if ((cmdOrCtrl && e.key === 'l') || e.key === 'F6' || (e.altKey && e.key === 'd')) {
                 e.preventDefault();
@@ -758,8 +3993,19 @@ const ShortcutManager = {
                 if (nextTab) TabManager.switchTab(nextTab.id);
             }
 
-            // Zoom In/Out (Basic implementation) - Webviews handle this naturally usually, 
-            // but we can enforce it if needed. For now let webview handle it if focused.
+            // Zoom: Ctrl + Plus / Minus, reset with Ctrl + 0
+            if (cmdOrCtrl && (e.key === '+' || e.key === '=')) {
+                e.preventDefault();
+                ZoomManager.step(1);
+            }
+            if (cmdOrCtrl && (e.key === '-' || e.key === '_')) {
+                e.preventDefault();
+                ZoomManager.step(-1);
+            }
+            if (cmdOrCtrl && e.key === '0') {
+                e.preventDefault();
+                ZoomManager.reset();
+            }
         });
     }
 };
@@ -0,0 +1,133 @@
+/**
+ * Search Engine Registry
+ * Shared by the address bar, the home page and the settings page.
+ *
+ * An engine is { id, name, keyword, url } where url is a template
+ * containing %s for the (encoded) search terms.
+ */
+
+const SearchEngines = {
+    builtins: [
+        { id: 'google', name: 'Google', keyword: 'g', url: 'https://www.google.com/search?q=%s' },
+        { id: 'duckduckgo', name: 'DuckDuckGo', keyword: 'ddg', url: 'https://duckduckgo.com/?q=%s' },
+        { id: 'bing', name: 'Bing', keyword: 'b', url: 'https://www.bing.com/search?q=%s' }
+    ],
+
+    /**
+     * Built-in engines followed by the user's custom engines
+     */
+    getAll(settings = {}) {
+        return [...this.builtins, ...(settings.customSearchEngines || [])];
+    },
+
+    /**
+     * The engine selected in settings (falls back to the first built-in)
+     */
+    getDefault(settings = {}) {
+        return this.getAll(settings).find(e => e.id === settings.searchEngine) || this.builtins[0];
+    },
+
+    findByKeyword(keyword, settings = {}) {
+        const needle = keyword.toLowerCase();
+        return this.getAll(settings).find(e => e.keyword && e.keyword.toLowerCase() === needle);
+    },
+
+    /**
+     * Split "gh foo bar" into { engine: GitHub, query: 'foo bar' }
+     * when the first word is an engine keyword. Returns null otherwise.
+     */
+    parseKeyword(input, settings = {}) {
+        const match = input.trim().match(/^(\S+)\s+(.+)$/);
+        if (!match) return null;
+
+        const engine = this.findByKeyword(match[1], settings);
+        return engine ? { engine, query: match[2] } : null;
+    },
+
+    /**
+     * Resolve search input to an engine and the terms to search for
+     */
+    resolve(input, settings = {}) {
+        return this.parseKeyword(input, settings) || { engine: this.getDefault(settings), query: input.trim() };
+    },
+
+    /**
+     * Build the results URL for the input (keyword-aware)
+     */
+    buildSearchUrl(input, settings = {}) {
+        const { engine, query } = this.resolve(input, settings);
+        return engine.url.split('%s').join(encodeURIComponent(query));
+    },
+
+    /**
+     * Validate a custom engine. Returns an error message, or null if valid.
+     */
+    validate(engine, settings = {}) {
+        if (!engine.name || !engine.name.trim()) return 'Name is required';
+        if (!/^https?:\/\/.+%s/i.test(engine.url || '')) return 'URL must start with http(s):// and contain %s';
+        if (engine.keyword) {
+            if (/\s/.test(engine.keyword)) return 'Keyword cannot contain spaces';
+            const existing = this.findByKeyword(engine.keyword, settings);
+            if (existing && existing.id !== engine.id) return `Keyword "${engine.keyword}" is used by ${existing.name}`;
+        }
+        return null;
+    },
+
+    /**
+     * Suggest a keyword from a URL template (e.g. github.com -> github)
+     */
+    suggestKeyword(template) {
+        try {
+            const host = new URL(template.replace(/%s/g, 'x')).hostname.replace(/^www\./, '');
+            return host.split('.')[0];
+        } catch {
+            return '';
+        }
+    },
+
+    /**
+     * Parse an OpenSearch description document into an engine (without id).
+     * Relative templates are resolved against the document's URL. Returns
+     * null if there is no usable HTML search URL.
+     */
+    parseOpenSearch(xmlText, documentUrl) {
+        try {
+            const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+            if (doc.querySelector('parsererror')) return null;
+
+            const urlEl = Array.from(doc.getElementsByTagName('Url'))
+                .find(el => (el.getAttribute('type') || 'text/html') === 'text/html' && (el.getAttribute('method') || 'get').toLowerCase() === 'get');
+            if (!urlEl) return null;
+
+            const template = (urlEl.getAttribute('template') || '')
+                .replace(/\{searchTerms\}/g, '%s')
+                .replace(/\{(inputEncoding|outputEncoding)\??\}/g, 'UTF-8')
+                .replace(/\{language\??\}/g, '*')
+                .replace(/\{[^}]+\?\}/g, ''); // Drop remaining optional parameters
+            if (!template.includes('%s') || /\{[^}]+\}/.test(template)) return null;
+
+            // %s isn't a valid escape, so the URL parser leaves it alone
+            const searchUrl = new URL(template, documentUrl);
+            if (!/^https?:$/.test(searchUrl.protocol) || !searchUrl.href.includes('%s')) return null;
+
+            const nameEl = doc.getElementsByTagName('ShortName')[0];
+            const name = (nameEl && nameEl.textContent.trim()) || searchUrl.hostname;
+
+            return { name, keyword: this.suggestKeyword(searchUrl.href), url: searchUrl.href };
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Find the OpenSearch description link advertised by an HTML page
+     */
+    findOpenSearchLink(htmlText, pageUrl) {
+        const doc = new DOMParser().parseFromString(htmlText, 'text/html');
+        const link = doc.querySelector('link[rel="search"][type="application/opensearchdescription+xml"]');
+        return link ? new URL(link.getAttribute('href'), pageUrl).href : null;
+    }
+};
+
+// Export singleton
+window.SearchEngines = SearchEngines;
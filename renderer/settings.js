@@ -4,32 +4,91 @@
  */
 
 // State Management
-const defaultSettings = {
-    theme: 'dark',
-    showHomeButton: true,
-    searchEngine: 'google',
-    clearOnExit: false,
-    blockThirdPartyCookies: true,
-    doNotTrack: true,
-    location: '',
-    askDownload: false,
-    hardwareAcceleration: true
-};
+// The main process owns the settings (defaults, validation, the settings file)
+let currentSettings = {};
+
+// Shown when no download location is set (the system Downloads folder)
+let defaultDownloadPath = '';
 
-let currentSettings = { ...defaultSettings };
+// Clear browsing data time ranges
+const CLEAR_DATA_RANGES_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    all: 0
+};
 
 // DOM Elements
 const elements = {
     theme: document.getElementById('theme-select'),
     showHomeBtn: document.getElementById('show-home-btn'),
+    verticalTabs: document.getElementById('vertical-tabs'),
+    defaultZoom: document.getElementById('default-zoom'),
+    siteZoomList: document.getElementById('site-zoom-list'),
     searchEngine: document.getElementById('search-engine'),
+    contentBlocking: document.getElementById('content-blocking'),
+    filterListsInfo: document.getElementById('filter-lists-info'),
+    btnOpenFilters: document.getElementById('btn-open-filters'),
+    btnReloadFilters: document.getElementById('btn-reload-filters'),
     block3rdCookies: document.getElementById('block-3rd-cookies'),
     doNotTrack: document.getElementById('do-not-track'),
     downloadPath: document.getElementById('download-path'),
     btnChangeLoc: document.getElementById('btn-change-loc'),
     askDownload: document.getElementById('ask-download'),
     hardwareAccel: document.getElementById('hardware-accel'),
-    btnClearData: document.getElementById('btn-clear-data')
+    rendererProcessLimit: document.getElementById('renderer-process-limit'),
+    v8HeapSize: document.getElementById('v8-heap-size'),
+    backgroundThrottling: document.getElementById('background-throttling'),
+    tabSleepMinutes: document.getElementById('tab-sleep-minutes'),
+    restartBanner: document.getElementById('restart-banner'),
+    btnRestart: document.getElementById('btn-restart'),
+    btnGpu: document.getElementById('btn-gpu'),
+    btnProxy: document.getElementById('btn-proxy'),
+    btnClearData: document.getElementById('btn-clear-data'),
+    clearOnExit: document.getElementById('clear-on-exit'),
+    clearOnExitTypes: document.getElementById('clear-on-exit-types'),
+    clearOnExitSites: document.getElementById('clear-on-exit-sites'),
+    keepSiteList: document.getElementById('keep-site-list'),
+    keepSiteHost: document.getElementById('keep-site-host'),
+    keepSiteError: document.getElementById('keep-site-error'),
+    btnAddKeepSite: document.getElementById('btn-add-keep-site'),
+
+    // Clear browsing data dialog
+    clearDataDialog: document.getElementById('clear-data-dialog'),
+    clearDataRange: document.getElementById('clear-data-range'),
+    clearDataTypes: document.getElementById('clear-data-types'),
+    clearDataStatus: document.getElementById('clear-data-status'),
+    btnClearDataCancel: document.getElementById('btn-clear-data-cancel'),
+    btnClearDataConfirm: document.getElementById('btn-clear-data-confirm'),
+    btnSiteSettings: document.getElementById('btn-site-settings'),
+    httpsMode: document.getElementById('https-mode'),
+    httpsExceptionList: document.getElementById('https-exception-list'),
+    httpsExceptionHost: document.getElementById('https-exception-host'),
+    httpsExceptionError: document.getElementById('https-exception-error'),
+    btnAddHttpsException: document.getElementById('btn-add-https-exception'),
+
+    // Search engine management
+    engineList: document.getElementById('search-engine-list'),
+    engineName: document.getElementById('engine-name'),
+    engineKeyword: document.getElementById('engine-keyword'),
+    engineUrl: document.getElementById('engine-url'),
+    engineError: document.getElementById('engine-error'),
+    btnAddEngine: document.getElementById('btn-add-engine'),
+    opensearchUrl: document.getElementById('opensearch-url'),
+    opensearchStatus: document.getElementById('opensearch-status'),
+    btnImportEngine: document.getElementById('btn-import-engine'),
+
+    // Containers
+    containerList: document.getElementById('container-list'),
+    containerName: document.getElementById('container-name'),
+    containerColor: document.getElementById('container-color'),
+    containerError: document.getElementById('container-error'),
+    btnAddContainer: document.getElementById('btn-add-container'),
+    ruleList: document.getElementById('container-rule-list'),
+    ruleHost: document.getElementById('rule-host'),
+    ruleContainer: document.getElementById('rule-container'),
+    ruleError: document.getElementById('rule-error'),
+    btnAddRule: document.getElementById('btn-add-rule')
 };
 
 // Initialize
@@ -40,23 +99,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Load settings from storage and merge with defaults
+ * Load settings from the main process and follow changes made elsewhere
+ * (another settings page, the browser window)
  */
 async function loadSettings() {
-    const saved = localStorage.getItem('zy-settings');
-    if (saved) {
-        try {
-            currentSettings = { ...defaultSettings, ...JSON.parse(saved) };
-        } catch (e) {
-            console.error('Failed to parse settings', e);
-        }
-    }
+    currentSettings = await window.zyAPI.getSettings();
+    defaultDownloadPath = await window.zyAPI.getDefaultDownloadPath();
 
-    // Load dynamic system values
-    if (!currentSettings.location) {
-        const defaultPath = await window.zyAPI.getDefaultDownloadPath();
-        currentSettings.location = defaultPath;
-    }
+    window.zyAPI.onSettingsUpdated((settings) => {
+        currentSettings = settings;
+        updateUI();
+    });
 }
 
 /**
@@ -65,12 +118,23 @@ async function loadSettings() {
 function updateUI() {
     elements.theme.value = currentSettings.theme;
     elements.showHomeBtn.checked = currentSettings.showHomeButton;
-    elements.searchEngine.value = currentSettings.searchEngine;
+    elements.verticalTabs.checked = currentSettings.verticalTabs;
+    elements.defaultZoom.value = String(currentSettings.defaultZoom);
+    renderSearchEngines();
+    renderContainers();
+    elements.contentBlocking.checked = currentSettings.contentBlocking;
     elements.block3rdCookies.checked = currentSettings.blockThirdPartyCookies;
     elements.doNotTrack.checked = currentSettings.doNotTrack;
-    elements.downloadPath.textContent = currentSettings.location;
+    elements.httpsMode.value = currentSettings.httpsMode;
+    renderClearOnExit();
+    elements.downloadPath.textContent = currentSettings.location || defaultDownloadPath;
     elements.askDownload.checked = currentSettings.askDownload;
     elements.hardwareAccel.checked = currentSettings.hardwareAcceleration;
+    elements.rendererProcessLimit.value = currentSettings.rendererProcessLimit;
+    elements.v8HeapSize.value = currentSettings.v8HeapSizeMb;
+    elements.backgroundThrottling.checked = currentSettings.backgroundThrottling;
+    elements.tabSleepMinutes.value = currentSettings.tabSleepMinutes;
+    renderRestartBanner();
 
     // Apply immediate visual effects (e.g. theme)
     document.documentElement.setAttribute('data-theme', currentSettings.theme);
@@ -90,11 +154,35 @@ function setupListeners() {
 
     bindChange(elements.theme, 'theme');
     bindChange(elements.showHomeBtn, 'showHomeButton', true);
+    bindChange(elements.verticalTabs, 'verticalTabs', true);
     bindChange(elements.searchEngine, 'searchEngine');
+    elements.searchEngine.addEventListener('change', renderSearchEngines);
+    bindChange(elements.contentBlocking, 'contentBlocking', true);
     bindChange(elements.block3rdCookies, 'blockThirdPartyCookies', true);
     bindChange(elements.doNotTrack, 'doNotTrack', true);
+    bindChange(elements.httpsMode, 'httpsMode');
     bindChange(elements.askDownload, 'askDownload', true);
     bindChange(elements.hardwareAccel, 'hardwareAcceleration', true);
+    bindChange(elements.backgroundThrottling, 'backgroundThrottling', true);
+
+    // Number settings picked from a <select>
+    [
+        [elements.rendererProcessLimit, 'rendererProcessLimit'],
+        [elements.v8HeapSize, 'v8HeapSizeMb'],
+        [elements.tabSleepMinutes, 'tabSleepMinutes'],
+        [elements.defaultZoom, 'defaultZoom']
+    ].forEach(([el, key]) => {
+        el.addEventListener('change', (e) => {
+            currentSettings[key] = Number(e.target.value);
+            saveSettings();
+        });
+    });
+
+    elements.btnRestart.addEventListener('click', () => window.zyAPI.restartApp());
+
+    elements.btnGpu.addEventListener('click', () => {
+        window.zyAPI.openInNewTab('zy://gpu');
+    });
 
     // Special handlers
     elements.btnChangeLoc.addEventListener('click', async () => {
@@ -106,22 +194,449 @@ function setupListeners() {
         }
     });
 
+    // Search engines
+    elements.btnAddEngine.addEventListener('click', () => {
+        const engine = {
+            name: elements.engineName.value.trim(),
+            keyword: elements.engineKeyword.value.trim() || SearchEngines.suggestKeyword(elements.engineUrl.value.trim()),
+            url: elements.engineUrl.value.trim()
+        };
+        const error = addSearchEngine(engine);
+        elements.engineError.textContent = error || '';
+        if (!error) {
+            elements.engineName.value = '';
+            elements.engineKeyword.value = '';
+            elements.engineUrl.value = '';
+        }
+    });
+
+    elements.btnImportEngine.addEventListener('click', async () => {
+        elements.opensearchStatus.textContent = 'Importing...';
+        elements.opensearchStatus.textContent = await importOpenSearch(elements.opensearchUrl.value.trim());
+    });
+
+    elements.engineList.addEventListener('click', (e) => {
+        const row = e.target.closest('.engine-row');
+        if (!row) return;
+        const id = row.dataset.id;
+
+        if (e.target.classList.contains('engine-default')) {
+            currentSettings.searchEngine = id;
+        } else if (e.target.classList.contains('engine-remove')) {
+            currentSettings.customSearchEngines = currentSettings.customSearchEngines.filter(en => en.id !== id);
+            if (currentSettings.searchEngine === id) currentSettings.searchEngine = SearchEngines.builtins[0].id;
+        } else {
+            return;
+        }
+        saveSettings();
+        renderSearchEngines();
+    });
+
+    // Containers
+    elements.containerColor.innerHTML = Object.keys(Containers.colors).map(color => `
+        <option value="${color}">${color.charAt(0).toUpperCase() + color.slice(1)}</option>
+    `).join('');
+
+    elements.btnAddContainer.addEventListener('click', () => {
+        const container = { name: elements.containerName.value.trim(), color: elements.containerColor.value };
+        const error = Containers.validate(container, currentSettings);
+        elements.containerError.textContent = error || '';
+        if (error) return;
+
+        currentSettings.containers = [
+            ...Containers.getAll(currentSettings),
+            { id: 'c' + Date.now().toString(36), ...container }
+        ];
+        elements.containerName.value = '';
+        saveSettings();
+        renderContainers();
+    });
+
+    elements.containerList.addEventListener('click', async (e) => {
+        const row = e.target.closest('.container-row');
+        if (!row) return;
+        const container = Containers.get(row.dataset.id, currentSettings);
+
+        if (e.target.classList.contains('container-clear')) {
+            if (!confirm(`Delete cookies and site data stored in the "${container.name}" container?`)) return;
+            await window.zyAPI.clearContainerData(container.id);
+            alert(`Data in "${container.name}" cleared.`);
+        } else if (e.target.classList.contains('container-remove')) {
+            if (!confirm(`Remove the "${container.name}" container and delete its data?`)) return;
+            currentSettings.containers = Containers.getAll(currentSettings).filter(c => c.id !== container.id);
+            currentSettings.containerRules = currentSettings.containerRules.filter(r => r.containerId !== container.id);
+            await window.zyAPI.clearContainerData(container.id);
+            saveSettings();
+            renderContainers();
+        }
+    });
+
+    elements.btnAddRule.addEventListener('click', () => {
+        const host = Containers.normalizeHost(elements.ruleHost.value);
+        if (!host) {
+            elements.ruleError.textContent = 'Enter a site, e.g. example.com';
+            return;
+        }
+
+        // One rule per site: adding it again moves it to the new container
+        currentSettings.containerRules = [
+            ...currentSettings.containerRules.filter(r => r.host !== host),
+            { host, containerId: elements.ruleContainer.value }
+        ];
+        elements.ruleHost.value = '';
+        elements.ruleError.textContent = '';
+        saveSettings();
+        renderContainers();
+    });
+
+    elements.ruleList.addEventListener('click', (e) => {
+        const row = e.target.closest('.rule-row');
+        if (!row || !e.target.classList.contains('rule-remove')) return;
+        currentSettings.containerRules = currentSettings.containerRules.filter(r => r.host !== row.dataset.host);
+        saveSettings();
+        renderContainers();
+    });
+
+    // Content blocker filter lists
+    elements.btnOpenFilters.addEventListener('click', () => window.zyAPI.openFiltersFolder());
+    elements.btnReloadFilters.addEventListener('click', async () => {
+        renderFilterLists(await window.zyAPI.reloadFilterLists());
+    });
+    window.zyAPI.getBlockerInfo().then(renderFilterLists);
+
+    // HTTPS-Only exceptions (stored by the main process)
+    elements.btnAddHttpsException.addEventListener('click', async () => {
+        const host = Containers.normalizeHost(elements.httpsExceptionHost.value);
+        if (!host) {
+            elements.httpsExceptionError.textContent = 'Enter a site, e.g. example.com';
+            return;
+        }
+        await window.zyAPI.addHttpsException(host);
+        elements.httpsExceptionHost.value = '';
+        elements.httpsExceptionError.textContent = '';
+    });
+
+    elements.httpsExceptionList.addEventListener('click', (e) => {
+        const row = e.target.closest('.https-exception-row');
+        if (!row || !e.target.classList.contains('https-exception-remove')) return;
+        window.zyAPI.removeHttpsException(row.dataset.host);
+    });
+
+    window.zyAPI.onHttpsExceptionsChanged(renderHttpsExceptions);
+    renderHttpsExceptions();
+
+    // Site zoom levels (stored by the main process)
+    elements.siteZoomList.addEventListener('click', (e) => {
+        const row = e.target.closest('.site-zoom-row');
+        if (!row || !e.target.classList.contains('site-zoom-remove')) return;
+        window.zyAPI.removeSiteZoom(row.dataset.host);
+    });
+
+    window.zyAPI.onSiteZoomChanged(renderSiteZoomLevels);
+    renderSiteZoomLevels();
+
+    elements.btnSiteSettings.addEventListener('click', () => {
+        window.zyAPI.openInNewTab('zy://site-settings');
+    });
+
+    elements.btnProxy.addEventListener('click', () => {
+        window.zyAPI.openInNewTab('zy://proxy');
+    });
+
+    // Clear browsing data
     elements.btnClearData.addEventListener('click', () => {
-        if (confirm('Are you sure you want to clear all browsing data (cookies, cache, history)?')) {
-            window.zyAPI.clearAllData();
-            alert('Browsing data cleared.');
+        elements.clearDataStatus.textContent = '';
+        elements.btnClearDataConfirm.disabled = false;
+        elements.clearDataDialog.showModal();
+    });
+
+    elements.btnClearDataCancel.addEventListener('click', () => elements.clearDataDialog.close());
+
+    elements.btnClearDataConfirm.addEventListener('click', async () => {
+        const types = Array.from(elements.clearDataTypes.querySelectorAll('input:checked')).map(input => input.value);
+        if (types.length === 0) {
+            elements.clearDataStatus.textContent = 'Select something to clear';
+            return;
+        }
+
+        const range = CLEAR_DATA_RANGES_MS[elements.clearDataRange.value];
+        const since = range ? Date.now() - range : 0;
+
+        elements.btnClearDataConfirm.disabled = true;
+        elements.clearDataStatus.textContent = 'Clearing…';
+        const { freedBytes } = await window.zyAPI.clearBrowsingData({ types, since });
+        elements.btnClearDataConfirm.disabled = false;
+        elements.clearDataStatus.textContent = freedBytes > 0
+            ? `Done. Freed ${Format.bytes(freedBytes)}.`
+            : 'Done.';
+    });
+
+    // Clear on exit
+    elements.clearOnExit.addEventListener('change', (e) => {
+        currentSettings.clearOnExit = e.target.checked;
+        saveSettings();
+        renderClearOnExit();
+    });
+
+    elements.clearOnExitTypes.addEventListener('change', () => {
+        currentSettings.clearOnExitTypes = Array.from(elements.clearOnExitTypes.querySelectorAll('input:checked'))
+            .map(input => input.value);
+        saveSettings();
+        renderClearOnExit();
+    });
+
+    elements.btnAddKeepSite.addEventListener('click', () => {
+        const host = Containers.normalizeHost(elements.keepSiteHost.value);
+        if (!host) {
+            elements.keepSiteError.textContent = 'Enter a site, e.g. example.com';
+            return;
         }
+
+        currentSettings.clearOnExitKeepSites = [
+            ...currentSettings.clearOnExitKeepSites.filter(site => site !== host),
+            host
+        ];
+        elements.keepSiteHost.value = '';
+        elements.keepSiteError.textContent = '';
+        saveSettings();
+        renderClearOnExit();
+    });
+
+    elements.keepSiteList.addEventListener('click', (e) => {
+        const row = e.target.closest('.keep-site-row');
+        if (!row || !e.target.classList.contains('keep-site-remove')) return;
+        currentSettings.clearOnExitKeepSites = currentSettings.clearOnExitKeepSites.filter(site => site !== row.dataset.host);
+        saveSettings();
+        renderClearOnExit();
     });
 }
 
 /**
- * Save settings to storage and notify main process
+ * Show the restart banner while startup settings differ from the ones in use
+ */
+async function renderRestartBanner() {
+    const { restartRequired } = await window.zyAPI.getPerformanceStatus();
+    elements.restartBanner.hidden = !restartRequired;
+}
+
+/**
+ * Save settings through the main process (it broadcasts the change)
  */
 function saveSettings() {
-    localStorage.setItem('zy-settings', JSON.stringify(currentSettings));
+    window.zyAPI.setSettings(currentSettings);
+}
+
+// ============================================
+// SEARCH ENGINES
+// ============================================
+
+/**
+ * Render the default engine picker and the engine list
+ */
+function renderSearchEngines() {
+    const engines = SearchEngines.getAll(currentSettings);
+    const defaultEngine = SearchEngines.getDefault(currentSettings);
+
+    elements.searchEngine.innerHTML = engines.map(e => `
+        <option value="${Format.escapeHtml(e.id)}">${Format.escapeHtml(e.name)}</option>
+    `).join('');
+    elements.searchEngine.value = defaultEngine.id;
+
+    elements.engineList.innerHTML = engines.map(e => {
+        const isCustom = !SearchEngines.builtins.includes(e);
+        const isDefault = e.id === defaultEngine.id;
+        return `
+            <div class="setting-row engine-row" data-id="${Format.escapeHtml(e.id)}">
+                <div class="setting-info">
+                    <span class="setting-label">${Format.escapeHtml(e.name)}${isDefault ? '<span class="engine-tag">Default</span>' : ''}</span>
+                    <span class="setting-description">${e.keyword ? `Keyword: ${Format.escapeHtml(e.keyword)} · ` : ''}${Format.escapeHtml(e.url)}</span>
+                </div>
+                <div class="engine-actions">
+                    ${isDefault ? '' : '<button class="btn-text engine-default">Make default</button>'}
+                    ${isCustom ? '<button class="btn-text btn-danger engine-remove">Remove</button>' : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Validate and store a custom engine. Returns an error message or null.
+ */
+function addSearchEngine(engine) {
+    const error = SearchEngines.validate(engine, currentSettings);
+    if (error) return error;
 
-    // Notify main process to broadcast changes
-    if (window.zyAPI && window.zyAPI.updateSettings) {
-        window.zyAPI.updateSettings(currentSettings);
+    currentSettings.customSearchEngines = [
+        ...currentSettings.customSearchEngines,
+        { id: 'custom-' + Date.now(), name: engine.name, keyword: engine.keyword, url: engine.url }
+    ];
+    saveSettings();
+    renderSearchEngines();
+    return null;
+}
+
+/**
+ * Import an engine from an OpenSearch description, or from a page that
+ * advertises one via <link rel="search">. Returns a status message.
+ */
+async function importOpenSearch(targetUrl) {
+    if (!targetUrl) return 'Enter a URL';
+    if (!/^https?:\/\//i.test(targetUrl)) targetUrl = 'https://' + targetUrl;
+
+    let result = await window.zyAPI.fetchOpenSearch(targetUrl);
+    if (!result.success) return `Import failed: ${result.error}`;
+
+    let engine = SearchEngines.parseOpenSearch(result.text, result.url);
+    if (!engine) {
+        // Not a description document: look for one advertised by the page
+        const descriptionUrl = SearchEngines.findOpenSearchLink(result.text, result.url);
+        if (!descriptionUrl) return 'No OpenSearch description found on this page';
+
+        result = await window.zyAPI.fetchOpenSearch(descriptionUrl);
+        if (!result.success) return `Import failed: ${result.error}`;
+        engine = SearchEngines.parseOpenSearch(result.text, result.url);
+        if (!engine) return 'The OpenSearch description has no usable search URL';
     }
+
+    // Avoid clashing with an existing keyword
+    if (engine.keyword && SearchEngines.findByKeyword(engine.keyword, currentSettings)) {
+        engine.keyword = '';
+    }
+
+    const error = addSearchEngine(engine);
+    return error ? `Import failed: ${error}` : `Added ${engine.name}`;
+}
+
+// ============================================
+// CONTAINERS
+// ============================================
+
+/**
+ * Render the container list, the site rules and the rule container picker
+ */
+function renderContainers() {
+    const containers = Containers.getAll(currentSettings);
+
+    elements.containerList.innerHTML = containers.map(c => `
+        <div class="setting-row container-row" data-id="${Format.escapeHtml(c.id)}">
+            <div class="setting-info">
+                <span class="setting-label">
+                    <span class="container-dot" style="background: ${Containers.getColor(c)}"></span>${Format.escapeHtml(c.name)}
+                </span>
+            </div>
+            <div class="engine-actions">
+                <button class="btn-text container-clear">Clear data</button>
+                <button class="btn-text btn-danger container-remove">Remove</button>
+            </div>
+        </div>
+    `).join('');
+
+    elements.ruleContainer.innerHTML = containers.map(c => `
+        <option value="${Format.escapeHtml(c.id)}">${Format.escapeHtml(c.name)}</option>
+    `).join('');
+    elements.btnAddRule.disabled = containers.length === 0;
+
+    const rules = currentSettings.containerRules.filter(r => Containers.get(r.containerId, currentSettings));
+    elements.ruleList.innerHTML = rules.map(r => {
+        const container = Containers.get(r.containerId, currentSettings);
+        return `
+            <div class="setting-row rule-row" data-host="${Format.escapeHtml(r.host)}">
+                <div class="setting-info">
+                    <span class="setting-label">${Format.escapeHtml(r.host)}</span>
+                    <span class="setting-description">
+                        <span class="container-dot" style="background: ${Containers.getColor(container)}"></span>${Format.escapeHtml(container.name)}
+                    </span>
+                </div>
+                <div class="engine-actions">
+                    <button class="btn-text btn-danger rule-remove">Remove</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Sites the user allowed over HTTP (from settings or the interstitial)
+ */
+async function renderHttpsExceptions() {
+    const hosts = await window.zyAPI.getHttpsExceptions();
+    elements.httpsExceptionList.innerHTML = hosts.map(host => `
+        <div class="setting-row https-exception-row" data-host="${Format.escapeHtml(host)}">
+            <div class="setting-info">
+                <span class="setting-label">${Format.escapeHtml(host)}</span>
+            </div>
+            <div class="engine-actions">
+                <button class="btn-text btn-danger https-exception-remove">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Sites zoomed to something other than the default zoom
+ */
+async function renderSiteZoomLevels() {
+    const sites = await window.zyAPI.getSiteZoomLevels();
+    if (!sites.length) {
+        elements.siteZoomList.innerHTML = `
+            <div class="setting-row">
+                <span class="setting-description">Sites you zoom in or out are listed here</span>
+            </div>
+        `;
+        return;
+    }
+
+    elements.siteZoomList.innerHTML = sites.map(({ host, factor }) => `
+        <div class="setting-row site-zoom-row" data-host="${Format.escapeHtml(host)}">
+            <div class="setting-info">
+                <span class="setting-label">${Format.escapeHtml(host)}</span>
+                <span class="setting-description">${Math.round(factor * 100)}%</span>
+            </div>
+            <div class="engine-actions">
+                <button class="btn-text btn-danger site-zoom-remove">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// ============================================
+// CLEAR ON EXIT
+// ============================================
+
+/**
+ * What is cleared when the browser closes, and the sites whose cookies are kept
+ */
+function renderClearOnExit() {
+    const enabled = currentSettings.clearOnExit;
+    elements.clearOnExit.checked = enabled;
+    elements.clearOnExitTypes.style.display = enabled ? '' : 'none';
+    elements.clearOnExitTypes.querySelectorAll('input').forEach(input => {
+        input.checked = currentSettings.clearOnExitTypes.includes(input.value);
+    });
+
+    // Keeping cookies only matters if cookies are cleared
+    elements.clearOnExitSites.style.display = enabled && currentSettings.clearOnExitTypes.includes('cookies') ? '' : 'none';
+    elements.keepSiteList.innerHTML = currentSettings.clearOnExitKeepSites.map(host => `
+        <div class="setting-row keep-site-row" data-host="${Format.escapeHtml(host)}">
+            <div class="setting-info">
+                <span class="setting-label">${Format.escapeHtml(host)}</span>
+            </div>
+            <div class="engine-actions">
+                <button class="btn-text btn-danger keep-site-remove">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Summary of the loaded filter lists (bundled + the user's filters folder)
+ */
+function renderFilterLists(info) {
+    const userLists = info.lists.filter(l => !l.bundled).map(l => l.name);
+    const summary = `${info.ruleCount.toLocaleString()} rules from ${info.lists.length} list${info.lists.length === 1 ? '' : 's'}.`;
+    const extra = userLists.length
+        ? ` Your lists: ${userLists.join(', ')}.`
+        : ' Add more (e.g. EasyList) as .txt files in the filters folder, then reload.';
+    elements.filterListsInfo.textContent = summary + extra;
 }
@@ -0,0 +1,99 @@
+/**
+ * Site Settings Page Logic (zy://site-settings)
+ * Review and revoke per-site permission decisions
+ */
+
+const PERMISSION_NAMES = {
+    camera: 'Camera',
+    microphone: 'Microphone',
+    geolocation: 'Location',
+    notifications: 'Notifications',
+    midi: 'MIDI devices',
+    midiSysex: 'MIDI device control',
+    'clipboard-read': 'Clipboard',
+    'display-capture': 'Screen sharing',
+    pointerLock: 'Mouse lock',
+    'idle-detection': 'Idle detection',
+    'window-management': 'Window management'
+};
+
+const elements = {
+    list: document.getElementById('site-list'),
+    search: document.getElementById('site-search')
+};
+
+let permissions = []; // [{ origin, permission, decision }]
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    setupListeners();
+    loadPermissions();
+});
+
+async function loadPermissions() {
+    permissions = await window.zyAPI.getPermissions();
+    render();
+}
+
+/**
+ * Render one card per site
+ */
+function render() {
+    const needle = elements.search.value.trim().toLowerCase();
+    const sites = new Map();
+    permissions
+        .filter(p => !needle || p.origin.toLowerCase().includes(needle))
+        .forEach(p => {
+            if (!sites.has(p.origin)) sites.set(p.origin, []);
+            sites.get(p.origin).push(p);
+        });
+
+    if (sites.size === 0) {
+        elements.list.innerHTML = `<div class="empty-state">${needle ? 'No matching sites' : 'Sites you allow or block will appear here'}</div>`;
+        return;
+    }
+
+    elements.list.innerHTML = Array.from(sites.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([origin, items]) => `
+            <div class="site-header" data-origin="${Format.escapeHtml(origin)}">
+                <h2 class="section-title">${Format.escapeHtml(origin)}</h2>
+                <button class="btn-text btn-danger" data-action="reset">Reset permissions</button>
+            </div>
+            <div class="card">
+                ${items.map(p => `
+                    <div class="row" data-origin="${Format.escapeHtml(origin)}" data-permission="${Format.escapeHtml(p.permission)}">
+                        <span class="permission-label">${Format.escapeHtml(PERMISSION_NAMES[p.permission] || p.permission)}</span>
+                        <select class="permission-select">
+                            <option value="allow" ${p.decision === 'allow' ? 'selected' : ''}>Allow</option>
+                            <option value="block" ${p.decision === 'block' ? 'selected' : ''}>Block</option>
+                            <option value="ask">Ask (default)</option>
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+}
+
+/**
+ * Setup event listeners for editing and revoking decisions
+ */
+function setupListeners() {
+    elements.search.addEventListener('input', render);
+
+    elements.list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('permission-select')) return;
+        const row = e.target.closest('.row');
+        const decision = e.target.value === 'ask' ? null : e.target.value;
+        window.zyAPI.setPermission(row.dataset.origin, row.dataset.permission, decision);
+    });
+
+    elements.list.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'reset') return;
+        const origin = e.target.closest('.site-header').dataset.origin;
+        window.zyAPI.resetSitePermissions(origin);
+    });
+
+    // Decisions can change from prompts in other tabs
+    window.zyAPI.onPermissionsChanged(loadPermissions);
+}
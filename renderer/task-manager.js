@@ -0,0 +1,156 @@
+/**
+ * Task Manager Page Logic (zy://task-manager)
+ * Memory, CPU and network requests of every process, and the tabs each one renders
+ */
+
+const REFRESH_INTERVAL_MS = 2000;
+
+const elements = {
+    list: document.getElementById('task-list'),
+    headers: document.querySelectorAll('.task-table th'),
+    btnReload: document.getElementById('btn-reload-task'),
+    btnEnd: document.getElementById('btn-end-process')
+};
+
+let processes = [];
+let sortKey = 'memory';
+let selected = null;            // { pid, tabId } of the selected row
+let previousNetwork = new Map(); // tab id -> { requests, time } at the last refresh
+const networkRates = new Map();  // tab id -> requests per second
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupListeners();
+    refresh();
+    setInterval(refresh, REFRESH_INTERVAL_MS);
+});
+
+async function refresh() {
+    processes = await window.zyAPI.getTaskManagerProcesses();
+    updateNetworkRates();
+    render();
+}
+
+/**
+ * Turn the cumulative per-tab request counts into rates since the last refresh
+ */
+function updateNetworkRates() {
+    const now = Date.now();
+    const current = new Map();
+
+    processes.forEach(proc => proc.tabs.forEach(tab => {
+        const previous = previousNetwork.get(tab.id);
+        const rate = previous ? (tab.network.requests - previous.requests) / ((now - previous.time) / 1000) : 0;
+        networkRates.set(tab.id, Math.max(0, rate));
+        current.set(tab.id, { requests: tab.network.requests, time: now });
+    }));
+
+    // Forget closed tabs
+    networkRates.forEach((rate, id) => {
+        if (!current.has(id)) networkRates.delete(id);
+    });
+    previousNetwork = current;
+}
+
+function getNetworkRate(proc) {
+    return proc.tabs.reduce((sum, tab) => sum + (networkRates.get(tab.id) || 0), 0);
+}
+
+function sortProcesses() {
+    const compare = {
+        name: (a, b) => a.name.localeCompare(b.name),
+        memory: (a, b) => b.memory - a.memory,
+        cpu: (a, b) => b.cpu - a.cpu,
+        network: (a, b) => getNetworkRate(b) - getNetworkRate(a),
+        pid: (a, b) => a.pid - b.pid
+    }[sortKey];
+    return processes.slice().sort(compare);
+}
+
+function render() {
+    elements.headers.forEach(th => th.classList.toggle('sorted', th.dataset.sort === sortKey));
+
+    // The selected process or tab may have gone away
+    if (selected && !processes.some(p => p.pid === selected.pid &&
+        (!selected.tabId || p.tabs.some(t => t.id === selected.tabId)))) {
+        selected = null;
+    }
+
+    elements.list.innerHTML = sortProcesses().map(proc => {
+        const isSelected = selected && selected.pid === proc.pid && !selected.tabId;
+        const rows = [`
+            <tr class="task-process${isSelected ? ' selected' : ''}" data-pid="${proc.pid}">
+                <td class="task-name" title="${Format.escapeHtml(proc.name)}">${Format.escapeHtml(proc.name)}</td>
+                <td>${Format.bytes(proc.memory)}</td>
+                <td>${proc.cpu.toFixed(1)}%</td>
+                <td>${proc.tabs.length ? formatRate(getNetworkRate(proc)) : ''}</td>
+                <td>${proc.pid}</td>
+            </tr>
+        `];
+
+        // Tabs sharing the process, listed under it
+        if (proc.tabs.length > 1) {
+            proc.tabs.forEach(tab => {
+                const tabSelected = selected && selected.tabId === tab.id;
+                const title = tab.title || tab.url;
+                rows.push(`
+                    <tr class="task-tab${tabSelected ? ' selected' : ''}" data-pid="${proc.pid}" data-tab-id="${tab.id}">
+                        <td class="task-name" title="${Format.escapeHtml(tab.url)}">${Format.escapeHtml(title)}</td>
+                        <td></td>
+                        <td></td>
+                        <td>${formatRate(networkRates.get(tab.id) || 0)}</td>
+                        <td></td>
+                    </tr>
+                `);
+            });
+        }
+        return rows.join('');
+    }).join('');
+
+    updateActions();
+}
+
+/**
+ * Reload works on one tab; ending a process needs one that renders tabs
+ */
+function updateActions() {
+    const proc = selected && processes.find(p => p.pid === selected.pid);
+    const tabId = selected && (selected.tabId || (proc && proc.tabs.length === 1 ? proc.tabs[0].id : null));
+
+    elements.btnReload.disabled = !tabId;
+    elements.btnEnd.disabled = !proc || proc.tabs.length === 0;
+}
+
+function setupListeners() {
+    elements.headers.forEach(th => th.addEventListener('click', () => {
+        sortKey = th.dataset.sort;
+        render();
+    }));
+
+    elements.list.addEventListener('click', (e) => {
+        const row = e.target.closest('tr');
+        if (!row) return;
+        selected = { pid: Number(row.dataset.pid), tabId: row.dataset.tabId ? Number(row.dataset.tabId) : null };
+        render();
+    });
+
+    elements.btnReload.addEventListener('click', async () => {
+        const proc = processes.find(p => p.pid === selected.pid);
+        const tabId = selected.tabId || proc.tabs[0].id;
+        await window.zyAPI.reloadTabContents(tabId);
+        refresh();
+    });
+
+    elements.btnEnd.addEventListener('click', async () => {
+        const proc = processes.find(p => p.pid === selected.pid);
+        const count = proc.tabs.length;
+        if (count > 1 && !confirm(`End this process? All ${count} tabs it shows will stop working until they are reloaded.`)) return;
+
+        await window.zyAPI.killProcess(proc.pid);
+        selected = null;
+        refresh();
+    });
+}
+
+function formatRate(perSecond) {
+    return `${perSecond.toFixed(1)}/s`;
+}